@@ -1,37 +1,395 @@
 // assets/accessControl.js — The Employee Playbook (static HTML + Supabase CDN)
-// Use on PROTECTED pages only.
+// Tier + feature entitlements, and the page guard.
+//
+// Load as a module, after supabaseClient.js:
+//   <script type="module" src="assets/accessControl.js"></script>
+// Pages listed in ROUTE_POLICIES are guarded on load: no session -> sign-in,
+// plan below the page's tier -> pricing. Other pages are left alone, so
+// authUI.js can import this anywhere. Pages that declare <body data-tep-protect>
+// are handled by authLoader.js instead.
+//
+// Tiers come from profiles.plan (ensureProfileRow in auth.js creates "free").
+// The signed-in user is cached as { id, email, plan } under "tep_user" (see
+// authUI.js getStoredUser), so the sync helpers below can take that object.
+// Sign-in / pricing links carry a returnTo validated by redirect.js.
+// Offline, the cached user stands in for the session (see offlineUser), so guarded pages
+// served by the service worker (sw.js) don't bounce to sign-in.
 
-(function () {
-  const client = window.supabaseClient;
+import "./redirect.js";
 
-  if (!client) {
-    console.error("[TEP] window.supabaseClient is missing. Check script order.");
-    return;
+// ----------------------------
+// Tiers + features
+// ----------------------------
+export const TIERS = Object.freeze({
+  FREE: "free",
+  CORE: "core",
+  EDGE: "strategic_edge",
+});
+
+export const TIER_LABELS = Object.freeze({
+  [TIERS.FREE]: "Essentials",
+  [TIERS.CORE]: "Core",
+  [TIERS.EDGE]: "Strategic Edge",
+});
+
+const TIER_ORDER = [TIERS.FREE, TIERS.CORE, TIERS.EDGE];
+
+// Older rows / pricing copy use these names for the same plans.
+const PLAN_ALIASES = {
+  essentials: TIERS.FREE,
+  basic: TIERS.FREE,
+  strategic: TIERS.EDGE,
+  "strategic-edge": TIERS.EDGE,
+  edge: TIERS.EDGE,
+  pro: TIERS.EDGE,
+};
+
+export const FEATURES = Object.freeze({
+  THE_LENS: "the_lens",
+  SCRIPT_LIBRARY: "script_library",
+  SCRIPT_LIBRARY_FULL: "script_library_full",
+  CHECKLISTS: "checklists",
+  CHECKLISTS_FULL: "checklists_full",
+  ASSESSMENTS: "assessments",
+  FRAMEWORKS: "frameworks",
+  PLANNERS: "planners",
+  PLAYBOOKS: "playbooks",
+  THE_COACH: "the_coach",
+  THE_COACH_FULL: "the_coach_full",
+  THE_SHIFT: "the_shift",
+  CAREER_COMPASS: "career_compass",
+  SAVE_TO_MY_PLAYBOOK: "save_to_my_playbook",
+  EXPORT_PACK: "export_pack",
+});
+
+// Minimum tier per feature — mirrors the comparison table on the-pricing.html.
+const FEATURE_MIN_TIER = Object.freeze({
+  [FEATURES.THE_LENS]: TIERS.FREE,
+  [FEATURES.SCRIPT_LIBRARY]: TIERS.FREE,
+  [FEATURES.SCRIPT_LIBRARY_FULL]: TIERS.CORE,
+  [FEATURES.CHECKLISTS]: TIERS.FREE,
+  [FEATURES.CHECKLISTS_FULL]: TIERS.CORE,
+  [FEATURES.ASSESSMENTS]: TIERS.CORE,
+  [FEATURES.FRAMEWORKS]: TIERS.CORE,
+  [FEATURES.PLANNERS]: TIERS.CORE,
+  [FEATURES.PLAYBOOKS]: TIERS.CORE,
+  [FEATURES.THE_COACH]: TIERS.CORE,
+  [FEATURES.THE_COACH_FULL]: TIERS.EDGE,
+  [FEATURES.THE_SHIFT]: TIERS.EDGE,
+  [FEATURES.CAREER_COMPASS]: TIERS.EDGE,
+  [FEATURES.SAVE_TO_MY_PLAYBOOK]: TIERS.FREE,
+  [FEATURES.EXPORT_PACK]: TIERS.CORE,
+});
+
+// Usable without an account.
+const PUBLIC_FEATURES = new Set([FEATURES.THE_LENS]);
+
+// ----------------------------
+// Route policies (page slug without .html)
+//   { feature }  -> sign-in + that feature's tier
+//   { auth: true } -> sign-in only
+// ----------------------------
+const ROUTE_POLICIES = Object.freeze({
+  dashboard: { auth: true },
+  "my-playbook": { auth: true },
+  profile: { auth: true },
+
+  "category-career-playbook": { auth: true },
+  "category-clarity-priorities-and-direction": { auth: true },
+  "category-confidence-presence-influence": { auth: true },
+  "category-expectation-burnout-and-capacity": { auth: true },
+  "category-hr-and-formal-processes": { auth: true },
+  "category-manager-relationship-and-leadership-style": { auth: true },
+  "category-workplace-dynamics-and-politics": { auth: true },
+
+  "script-library": { feature: FEATURES.SCRIPT_LIBRARY },
+
+  "checklist-boundary-strength": { feature: FEATURES.CHECKLISTS },
+  "checklist-burnout-detection": { feature: FEATURES.CHECKLISTS },
+  "checklist-capacity": { feature: FEATURES.CHECKLISTS },
+  "checklist-decision-clarity": { feature: FEATURES.CHECKLISTS },
+  "checklist-expectation-alignment": { feature: FEATURES.CHECKLISTS },
+  "checklist-hr-and-process-safety": { feature: FEATURES.CHECKLISTS },
+  "checklist-manager-pattern-identifier": { feature: FEATURES.CHECKLISTS },
+  "checklist-micromanagement": { feature: FEATURES.CHECKLISTS },
+  "checklist-performance-review-prep": { feature: FEATURES.CHECKLISTS },
+  "checklist-performance-review-preparation": { feature: FEATURES.CHECKLISTS },
+  "checklist-presence-upgrade": { feature: FEATURES.CHECKLISTS },
+  "checklist-priority-reset": { feature: FEATURES.CHECKLISTS },
+  "checklist-team-dysfunction": { feature: FEATURES.CHECKLISTS },
+  "checklist-workload-clarity": { feature: FEATURES.CHECKLISTS },
+  "routine-presence-90-seconds-reset": { feature: FEATURES.CHECKLISTS },
+
+  "assessment-burnout-and-capacity": { feature: FEATURES.ASSESSMENTS },
+  "assessment-conflict-risk-radar": { feature: FEATURES.ASSESSMENTS },
+  "assessment-presence-calibration": { feature: FEATURES.ASSESSMENTS },
+  "calculator-multi-factor-risk": { feature: FEATURES.ASSESSMENTS },
+  "review-meeting-effectiveness": { feature: FEATURES.ASSESSMENTS },
+  "review-quarterly-workload": { feature: FEATURES.ASSESSMENTS },
+
+  "framework-career-anchoring": { feature: FEATURES.FRAMEWORKS },
+  "framework-credibility-and-positioning": { feature: FEATURES.FRAMEWORKS },
+  "framework-decision-clarity": { feature: FEATURES.FRAMEWORKS },
+  "framework-evidence-and-documentation": { feature: FEATURES.FRAMEWORKS },
+  "framework-micromanagement-to-autonomy": { feature: FEATURES.FRAMEWORKS },
+  "framework-negotiation": { feature: FEATURES.FRAMEWORKS },
+  "framework-risk-and-safety": { feature: FEATURES.FRAMEWORKS },
+  "framework-situational-analysis": { feature: FEATURES.FRAMEWORKS },
+  "framework-skills-development": { feature: FEATURES.FRAMEWORKS },
+  "framework-strategic-interpretation": { feature: FEATURES.FRAMEWORKS },
+  "map-political-landscape": { feature: FEATURES.FRAMEWORKS },
+  "map-stakeholder": { feature: FEATURES.FRAMEWORKS },
+  "map-team-tension": { feature: FEATURES.FRAMEWORKS },
+
+  "form-escalation-documentation": { feature: FEATURES.PLANNERS },
+  "matrix-eisenhower": { feature: FEATURES.PLANNERS },
+  "plan-burnout-prevention": { feature: FEATURES.PLANNERS },
+  "plan-exit-and-reputation": { feature: FEATURES.PLANNERS },
+  "plan-formal-escalation": { feature: FEATURES.PLANNERS },
+  "plan-personal-action": { feature: FEATURES.PLANNERS },
+  "plan-priority-reset": { feature: FEATURES.PLANNERS },
+  "plan-reputation-management": { feature: FEATURES.PLANNERS },
+  "plan-sustainable-pace": { feature: FEATURES.PLANNERS },
+  "planner-pay-increase-negotiation": { feature: FEATURES.PLANNERS },
+  "planner-time-blocking": { feature: FEATURES.PLANNERS },
+  "planner-weekly-priority": { feature: FEATURES.PLANNERS },
+  "template-decision-record": { feature: FEATURES.PLANNERS },
+  "worksheet-priority-audit": { feature: FEATURES.PLANNERS },
+
+  "guide-boundaries": { feature: FEATURES.PLAYBOOKS },
+  "guide-emotional-preparation": { feature: FEATURES.PLAYBOOKS },
+  "guide-strategic-conversations": { feature: FEATURES.PLAYBOOKS },
+  "guide-toxic-behaviour-response": { feature: FEATURES.PLAYBOOKS },
+  "playbook-career-advancement": { feature: FEATURES.PLAYBOOKS },
+  "playbook-priority-reset": { feature: FEATURES.PLAYBOOKS },
+
+  "the-coach-member": { feature: FEATURES.THE_COACH },
+});
+
+const USER_KEY = "tep_user";
+
+// ----------------------------
+// Helpers
+// ----------------------------
+function tierRank(tier) {
+  return TIER_ORDER.indexOf(tier);
+}
+
+function normalisePlan(plan) {
+  const key = String(plan || "").trim().toLowerCase();
+  if (TIER_ORDER.includes(key)) return key;
+  return PLAN_ALIASES[key] || TIERS.FREE;
+}
+
+function routeSlug(pathname) {
+  const file = String(pathname || "").split(/[?#]/)[0].split("/").pop() || "";
+  return file.replace(/\.html$/i, "") || "index";
+}
+
+function readStoredUser() {
+  try {
+    const raw = localStorage.getItem(USER_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (e) {
+    return null;
   }
+}
+
+// Offline, an expired session can't be refreshed and getSession() comes back empty or
+// with an error. Keep the account last cached on this device so its pages stay open;
+// sign-out clears the cache, so this never signs anyone back in.
+function offlineUser() {
+  return navigator.onLine === false ? readStoredUser() : null;
+}
+
+// ----------------------------
+// Entitlements (sync; `user` is { id, email, plan } or null)
+// ----------------------------
+export function isLoggedIn(user = readStoredUser()) {
+  return !!(user && user.id);
+}
 
-  function buildReturnTo() {
-    return window.location.pathname + window.location.search + window.location.hash;
+export function getUserTier(user = readStoredUser()) {
+  return normalisePlan(user?.plan);
+}
+
+// Returns { locked, reason, requiredTier, currentTier, cta, featureKey }.
+// reason: null | "sign_in_required" | "upgrade_required"
+export function getLockStateForFeature(user = readStoredUser(), featureKey = null, minTier = null) {
+  const requiredTier = minTier ? normalisePlan(minTier) : FEATURE_MIN_TIER[featureKey] || TIERS.FREE;
+  const loggedIn = isLoggedIn(user);
+  const currentTier = loggedIn ? getUserTier(user) : null;
+
+  if (!loggedIn && !PUBLIC_FEATURES.has(featureKey)) {
+    return {
+      locked: true,
+      reason: "sign_in_required",
+      requiredTier,
+      currentTier,
+      featureKey,
+      cta: { label: "Sign in to continue", href: window.TEPRedirect.withReturnTo("sign-in.html") },
+    };
   }
 
-  function redirectToSignIn() {
-    const returnTo = buildReturnTo();
-    localStorage.setItem("returnTo", returnTo);
-    window.location.href = "sign-in.html?returnTo=" + encodeURIComponent(returnTo);
+  if (tierRank(currentTier || TIERS.FREE) < tierRank(requiredTier)) {
+    return {
+      locked: true,
+      reason: "upgrade_required",
+      requiredTier,
+      currentTier,
+      featureKey,
+      cta: { label: `Upgrade to ${TIER_LABELS[requiredTier]}`, href: window.TEPRedirect.pricingUrl() },
+    };
   }
 
-  (async () => {
-    try {
-      const { data, error } = await client.auth.getSession();
-      if (error) throw error;
+  return { locked: false, reason: null, requiredTier, currentTier, featureKey, cta: null };
+}
+
+export function hasFeature(user = readStoredUser(), featureKey) {
+  return !getLockStateForFeature(user, featureKey).locked;
+}
+
+export function getRoutePolicy(pathname = window.location.pathname) {
+  return ROUTE_POLICIES[routeSlug(pathname)] || null;
+}
+
+// Lock state for a page, plus { allowed, policy }. Pages without a policy are open.
+export function checkAccessForPath(pathname = window.location.pathname, user = readStoredUser()) {
+  const policy = getRoutePolicy(pathname);
+  if (!policy) {
+    return { allowed: true, policy: null, locked: false, reason: null, requiredTier: null, currentTier: null, cta: null };
+  }
+  const lock = getLockStateForFeature(user, policy.feature || null, policy.minTier || null);
+  return Object.assign({ allowed: !lock.locked, policy }, lock);
+}
+
+export function canAccessRoute(user = readStoredUser(), pathname = window.location.pathname) {
+  return checkAccessForPath(pathname, user).allowed;
+}
+
+// Summary for profile / header UI.
+export function describeUserAccess(user = readStoredUser()) {
+  const loggedIn = isLoggedIn(user);
+  const tier = getUserTier(user);
+  const features = {};
+  Object.values(FEATURES).forEach((key) => {
+    features[key] = hasFeature(user, key);
+  });
+  const unlocked = Object.values(features).filter(Boolean).length;
+
+  return {
+    loggedIn,
+    tier: loggedIn ? tier : null,
+    tierLabel: loggedIn ? TIER_LABELS[tier] : "Guest",
+    features,
+    unlockedCount: unlocked,
+    totalCount: Object.keys(features).length,
+    nextTier: loggedIn ? TIER_ORDER[tierRank(tier) + 1] || null : TIERS.FREE,
+  };
+}
+
+// ----------------------------
+// Session + profile (async)
+// ----------------------------
+let currentUserPromise = null;
+
+// Reads the session and profiles row, refreshes the "tep_user" cache and returns
+// { id, email, plan, full_name } (or null when signed out). A failed profile read
+// keeps the cached plan. The lookup is shared per page load unless `refresh` is set.
+export function loadCurrentUser(client = window.supabaseClient, { refresh = false } = {}) {
+  if (!currentUserPromise || refresh) {
+    currentUserPromise = fetchCurrentUser(client);
+    currentUserPromise.catch(() => {
+      currentUserPromise = null;
+    });
+  }
+  return currentUserPromise;
+}
+
+async function fetchCurrentUser(client) {
+  if (!client) throw new Error("window.supabaseClient is missing. Check script order.");
+
+  const { data, error } = await client.auth.getSession();
+  if (error || !data?.session) {
+    const offline = offlineUser();
+    if (offline) return offline;
+  }
+  if (error) throw error;
+
+  const authUser = data?.session?.user;
+  if (!authUser) {
+    localStorage.removeItem(USER_KEY);
+    return null;
+  }
+
+  const cached = readStoredUser();
+  const own = cached && cached.id === authUser.id ? cached : {};
+  let plan = own.plan || TIERS.FREE;
+  let fullName = own.full_name || "";
+  try {
+    const { data: profile, error: profErr } = await client
+      .from("profiles")
+      .select("plan, full_name")
+      .eq("id", authUser.id)
+      .maybeSingle();
+    if (profErr) throw profErr;
+    plan = profile?.plan || TIERS.FREE;
+    fullName = profile?.full_name || "";
+  } catch (e) {
+    console.warn("[TEP] Could not read profile plan:", e?.message || e);
+  }
+
+  const user = { id: authUser.id, email: authUser.email || "", plan: normalisePlan(plan), full_name: fullName };
+  try {
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+  } catch (e) {}
+  return user;
+}
+
+// ----------------------------
+// Page guard
+// ----------------------------
+function redirectToSignIn() {
+  window.location.href = window.TEPRedirect.signInUrl();
+}
+
+function redirectToPricing() {
+  window.location.href = window.TEPRedirect.pricingUrl();
+}
+
+export async function enforceRoutePolicy(pathname = window.location.pathname) {
+  if (!getRoutePolicy(pathname)) return { allowed: true };
+
+  let user;
+  try {
+    user = await loadCurrentUser();
+  } catch (err) {
+    console.error("[TEP] accessControl error:", err);
+    redirectToSignIn();
+    return { allowed: false, reason: "sign_in_required" };
+  }
+
+  const access = checkAccessForPath(pathname, user);
+  if (access.reason === "sign_in_required") redirectToSignIn();
+  else if (access.reason === "upgrade_required") redirectToPricing();
+  return access;
+}
+
+if (!document.body?.hasAttribute("data-tep-protect")) enforceRoutePolicy();
 
-      const session = data?.session;
-      if (!session) {
-        redirectToSignIn();
-      }
-      // If session exists, do nothing (page loads normally)
-    } catch (err) {
-      console.error("[TEP] accessControl error:", err);
-      redirectToSignIn();
-    }
-  })();
-})();
+// For classic (non-module) page scripts.
+window.TEPAccess = {
+  TIERS,
+  TIER_LABELS,
+  FEATURES,
+  isLoggedIn,
+  getUserTier,
+  hasFeature,
+  getLockStateForFeature,
+  getRoutePolicy,
+  checkAccessForPath,
+  canAccessRoute,
+  describeUserAccess,
+  loadCurrentUser,
+};
@@ -0,0 +1,210 @@
+// assets/accountData.js — The Employee Playbook (static HTML + Supabase CDN)
+// Subject-access export and deletion for the signed-in user (profile.html → Your Data).
+// Requires: window.supabaseClient.
+//
+// Usage:
+//   const bundle = await TEPAccountData.exportBundle();   // { exported_at, cloud: {...}, local: {...}, errors }
+//   TEPAccountData.download(bundle);                      // saves it as a .json file
+//   await TEPAccountData.deleteAll();                     // clears cloud rows + this browser's copies
+//
+// Cloud: the profiles row, plus every row keyed by user_id in USER_TABLES.
+// Local: every key this site writes (tep_* plus the older un-prefixed ones).
+// Evidence log attachments (the files in IndexedDB, LOCAL_DATABASES) aren't exported;
+// the bundle says they stay on this device. deleteAll() deletes them with the rest.
+// Private vault (assets/vault.js): sealed payloads are decrypted into the export, so the
+// file is readable without the passphrase; the vault is unlocked first if needed.
+// Deleting keeps the account and its plan (profiles.plan) so a paid subscription
+// isn't lost; personal fields on the profile are blanked. Closing the sign-in itself
+// needs the service role, so that stays a support request.
+
+(function () {
+  const BUNDLE_VERSION = 1;
+  const USER_TABLES = ["tool_states", "playbook_items", "activity_log"];
+  const PROFILE_PERSONAL_FIELDS = { full_name: null };
+
+  // Local keys outside the tep_ prefix that still hold user data.
+  const LEGACY_LOCAL_KEYS = ["tepSavedItems", "returnTo"];
+
+  // Same name as assets/evidenceLog.js (attachment files).
+  const LOCAL_DATABASES = ["tep_evidence_files"];
+
+  const ATTACHMENTS_NOTE =
+    "Evidence log attachments (the files themselves) are not in this export. They stay on the device and browser they were added in. " +
+    "Their names, sizes and SHA-256 hashes are in local.tep_evidence_log_v1.";
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  function getClient() {
+    const sb = window.supabaseClient;
+    if (!sb) throw new Error("window.supabaseClient is missing. Check script order.");
+    return sb;
+  }
+
+  async function sessionUser(sb) {
+    const { data, error } = await sb.auth.getSession();
+    if (error) throw error;
+    const user = data?.session?.user;
+    if (!user) throw new Error("Sign in to manage your data.");
+    return user;
+  }
+
+  function isSiteKey(key) {
+    return /^tep/i.test(key) || LEGACY_LOCAL_KEYS.includes(key);
+  }
+
+  function localKeys() {
+    const keys = [];
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && isSiteKey(key)) keys.push(key);
+      }
+    } catch (e) {}
+    return keys.sort();
+  }
+
+  function readLocal() {
+    const out = {};
+    localKeys().forEach((key) => {
+      const raw = localStorage.getItem(key);
+      try {
+        out[key] = JSON.parse(raw);
+      } catch (e) {
+        out[key] = raw;
+      }
+    });
+    return out;
+  }
+
+  // Resolves true once the database is gone. A tab still holding it open only delays
+  // the delete (onblocked), so that counts too.
+  function deleteDatabase(name) {
+    return new Promise((resolve) => {
+      if (!window.indexedDB) return resolve(false);
+      try {
+        const req = indexedDB.deleteDatabase(name);
+        req.onsuccess = () => resolve(true);
+        req.onblocked = () => resolve(true);
+        req.onerror = () => resolve(false);
+      } catch (e) {
+        resolve(false);
+      }
+    });
+  }
+
+  // ----------------------------
+  // Export
+  // ----------------------------
+  async function exportBundle() {
+    const sb = getClient();
+    const user = await sessionUser(sb);
+    const errors = [];
+    const cloud = {};
+
+    try {
+      const { data, error } = await sb.from("profiles").select("*").eq("id", user.id).maybeSingle();
+      if (error) throw error;
+      cloud.profiles = data ? [data] : [];
+    } catch (e) {
+      errors.push({ table: "profiles", message: e?.message || String(e) });
+    }
+
+    for (const table of USER_TABLES) {
+      try {
+        const { data, error } = await sb.from(table).select("*").eq("user_id", user.id);
+        if (error) throw error;
+        cloud[table] = data || [];
+      } catch (e) {
+        errors.push({ table, message: e?.message || String(e) });
+      }
+    }
+
+    const bundle = {
+      format: "tep-account-export",
+      version: BUNDLE_VERSION,
+      exported_at: new Date().toISOString(),
+      account: {
+        id: user.id,
+        email: user.email || "",
+        created_at: user.created_at || null,
+        last_sign_in_at: user.last_sign_in_at || null,
+      },
+      cloud,
+      local: readLocal(),
+      notes: [ATTACHMENTS_NOTE],
+      errors,
+    };
+    if (!window.TEPVault?.isEnabled()) return bundle;
+    return { ...bundle, cloud: await window.TEPVault.openAll(bundle.cloud), local: await window.TEPVault.openAll(bundle.local) };
+  }
+
+  function download(bundle, filename) {
+    const name = filename || "employee-playbook-data-" + new Date().toISOString().slice(0, 10) + ".json";
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return name;
+  }
+
+  // ----------------------------
+  // Delete
+  // ----------------------------
+  // Returns { ok, cloud: { table: "deleted" | message }, localCleared, databasesDeleted }.
+  // Local copies are only cleared once every cloud delete succeeded, so a partial
+  // failure can be retried without anything reappearing from this browser.
+  async function deleteAll() {
+    const sb = getClient();
+    const user = await sessionUser(sb);
+    const cloud = {};
+    let ok = true;
+
+    for (const table of USER_TABLES) {
+      try {
+        const { error } = await sb.from(table).delete().eq("user_id", user.id);
+        if (error) throw error;
+        cloud[table] = "deleted";
+      } catch (e) {
+        ok = false;
+        cloud[table] = e?.message || String(e);
+      }
+    }
+
+    try {
+      const { error } = await sb.from("profiles").update(PROFILE_PERSONAL_FIELDS).eq("id", user.id);
+      if (error) throw error;
+      cloud.profiles = "cleared";
+    } catch (e) {
+      ok = false;
+      cloud.profiles = e?.message || String(e);
+    }
+
+    let localCleared = 0;
+    let databasesDeleted = 0;
+    if (ok) {
+      localKeys().forEach((key) => {
+        localStorage.removeItem(key);
+        localCleared++;
+      });
+      for (const name of LOCAL_DATABASES) {
+        if (await deleteDatabase(name)) databasesDeleted++;
+      }
+    }
+
+    return { ok, cloud, localCleared, databasesDeleted };
+  }
+
+  window.TEPAccountData = {
+    USER_TABLES,
+    localKeys,
+    exportBundle,
+    download,
+    deleteAll,
+  };
+})();
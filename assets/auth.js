@@ -1,6 +1,7 @@
 // assets/auth.js — The Employee Playbook (static HTML + Supabase CDN)
 // Works with: sign-in.html + create-account.html
-// Requires: supabaseClient.js already created window.supabaseClient
+// Requires: supabaseClient.js already created window.supabaseClient,
+//           redirect.js (window.TEPRedirect) for the post-sign-in destination
 
 (function () {
   const client = window.supabaseClient;
@@ -17,24 +18,9 @@
     return document.querySelector(name);
   }
 
-  function getReturnTo() {
-    // Priority: ?returnTo= in URL, else localStorage, else dashboard
-    const url = new URL(window.location.href);
-    return (
-      url.searchParams.get("returnTo") ||
-      localStorage.getItem("returnTo") ||
-      "dashboard.html"
-    );
-  }
-
-  function clearReturnTo() {
-    localStorage.removeItem("returnTo");
-  }
-
   function goAfterLogin() {
-    const to = getReturnTo();
-    clearReturnTo();
-    window.location.href = to;
+    // ?returnTo= / ?next= in URL, else the stored destination, else the dashboard
+    window.location.href = window.TEPRedirect.take();
   }
 
   function setStatus(message, isError = false) {
@@ -170,7 +156,7 @@
   async function handleSignOut() {
     try {
       await client.auth.signOut();
-      localStorage.removeItem("returnTo");
+      window.TEPRedirect.forget();
       window.location.href = "sign-in.html";
     } catch (err) {
       console.error(err);
@@ -0,0 +1,210 @@
+// assets/authLoader.js — The Employee Playbook (static HTML + Supabase CDN)
+// One loader for auth on every page: reads data attributes, checks the session once,
+// and renders locks / badges with the authUI.js helpers. Pages need no auth JavaScript.
+//
+// Load as a module, after supabaseClient.js:
+//   <script type="module" src="assets/authLoader.js"></script>
+//
+// Markup:
+//   <body data-tep-protect="signed-in">          sign-in required
+//   <body data-tep-protect="core">               tier required (free | core | strategic_edge)
+//   <body data-tep-protect="route">              use this page's ROUTE_POLICIES entry
+//   <body ... data-tep-lock="overlay">           lock the page in place instead of redirecting
+//   (no data-tep-protect: the ROUTE_POLICIES guard in accessControl.js applies)
+//
+//   <section data-tep-feature="export_pack" data-tep-lock="overlay|disable|hide"
+//            data-tep-lock-title="…" data-tep-lock-subtitle="…">
+//   <span data-tep-auth-status></span>           tier chip + My Playbook / Sign in link
+//   <a data-tep-initials>…</a>                   initials, links to profile (or sign-in)
+//   <a data-tep-profile-link>                    profile.html when signed in, else sign-in.html
+//   <a data-tep-signout>                         signs out; hidden when signed out
+//   [data-tep-signed-in] / [data-tep-signed-out] shown only in that state
+//
+// Page scripts that need the user wait on it:
+//   window.TEPAuth.ready.then(({ user, locked }) => { ... });
+// or listen for the "tep:auth" event on document (detail: { user, locked, access }).
+// While a page is locked, <body> has the "auth-locked" class.
+
+import {
+  FEATURES,
+  isLoggedIn,
+  getLockStateForFeature,
+  checkAccessForPath,
+  loadCurrentUser,
+} from "./accessControl.js";
+import {
+  injectAuthUIStyles,
+  renderLockedOverlay,
+  gateFeature,
+  mountAuthStatusBadge,
+  redirectToSignIn,
+  redirectToPricing,
+} from "./authUI.js";
+
+const PAGE_LOCK_ID = "tepPageLock";
+
+// ----------------------------
+// Helpers
+// ----------------------------
+function initialsFor(user) {
+  const name = (user?.full_name || "").trim();
+  if (name) {
+    const parts = name.split(/\s+/).filter(Boolean);
+    const a = parts[0]?.[0] || "";
+    const b = parts.length > 1 ? parts[parts.length - 1][0] : "";
+    return (a + b).toUpperCase() || "?";
+  }
+  const email = (user?.email || "").trim();
+  return email ? email[0].toUpperCase() : "?";
+}
+
+function pageLockState(user) {
+  const protect = (document.body.getAttribute("data-tep-protect") || "").trim().toLowerCase();
+  if (!protect) return null;
+  if (protect === "route") return checkAccessForPath(window.location.pathname, user);
+  if (protect === "signed-in") return getLockStateForFeature(user, FEATURES.SAVE_TO_MY_PLAYBOOK);
+  return getLockStateForFeature(user, null, protect);
+}
+
+// ----------------------------
+// Page lock
+// ----------------------------
+function setPageLocked(lockState) {
+  const body = document.body;
+  let host = document.getElementById(PAGE_LOCK_ID);
+
+  if (!lockState?.locked) {
+    body.classList.remove("auth-locked");
+    if (host) host.remove();
+    Array.from(body.children).forEach((el) => el.removeAttribute("inert"));
+    return;
+  }
+
+  if (host) host.remove();
+  host = document.createElement("div");
+  host.id = PAGE_LOCK_ID;
+  host.style.cssText = "position:fixed;inset:0;z-index:9999;";
+  body.appendChild(host);
+
+  const signIn = lockState.reason === "sign_in_required";
+  renderLockedOverlay(host, lockState, {
+    title: signIn ? "Sign in required" : "Upgrade to use this tool",
+    subtitle: signIn
+      ? "Sign in to use this tool, save your progress, and access My Playbook."
+      : "Your current plan doesn’t include this tool.",
+  });
+
+  // `inert` keeps clicks, keys and focus out of the page behind the lock.
+  Array.from(body.children).forEach((el) => {
+    if (el !== host && el.tagName !== "SCRIPT") el.setAttribute("inert", "");
+  });
+  body.classList.add("auth-locked");
+}
+
+function applyPageProtection(user) {
+  const lockState = pageLockState(user);
+  if (!lockState) return null;
+
+  const mode = (document.body.getAttribute("data-tep-lock") || "redirect").toLowerCase();
+  if (lockState.locked && mode !== "overlay") {
+    // No argument: TEPRedirect returns to the full path, query and hash included.
+    if (lockState.reason === "sign_in_required") redirectToSignIn();
+    else redirectToPricing();
+    return lockState;
+  }
+  setPageLocked(lockState);
+  return lockState;
+}
+
+// ----------------------------
+// Elements
+// ----------------------------
+function applyFeatureGates(user) {
+  document.querySelectorAll("[data-tep-feature]").forEach((el) => {
+    if (el.dataset.tepGated) return;
+    const featureKey = el.getAttribute("data-tep-feature");
+    const result = gateFeature({
+      featureKey,
+      user,
+      element: el,
+      mode: el.getAttribute("data-tep-lock") || "overlay",
+      overlayTitle: el.getAttribute("data-tep-lock-title") || undefined,
+      overlaySubtitle: el.getAttribute("data-tep-lock-subtitle") || undefined,
+    });
+    if (!result.allowed) el.dataset.tepGated = "1";
+  });
+}
+
+function applyNav(user) {
+  const loggedIn = isLoggedIn(user);
+
+  document.querySelectorAll("[data-tep-auth-status]").forEach((el) => mountAuthStatusBadge(el));
+
+  document.querySelectorAll("[data-tep-initials]").forEach((el) => {
+    el.textContent = loggedIn ? initialsFor(user) : "…";
+    if (el.tagName === "A") el.href = loggedIn ? "profile.html" : "sign-in.html";
+  });
+
+  document.querySelectorAll("[data-tep-profile-link]").forEach((el) => {
+    el.href = loggedIn ? "profile.html" : "sign-in.html";
+  });
+
+  document.querySelectorAll("[data-tep-signed-in]").forEach((el) => {
+    el.style.display = loggedIn ? "" : "none";
+  });
+  document.querySelectorAll("[data-tep-signed-out]").forEach((el) => {
+    el.style.display = loggedIn ? "none" : "";
+  });
+  // Sign-out links are usually hidden by page CSS until a session exists.
+  document.querySelectorAll("[data-tep-signout]").forEach((el) => {
+    el.style.display = loggedIn ? "inline-flex" : "none";
+  });
+}
+
+function wireSignOut() {
+  document.querySelectorAll("[data-tep-signout]").forEach((el) => {
+    el.addEventListener("click", async (e) => {
+      e.preventDefault();
+      try {
+        await window.supabaseClient?.auth.signOut();
+      } catch (err) {}
+      window.location.href = "sign-in.html";
+    });
+  });
+}
+
+// ----------------------------
+// Boot
+// ----------------------------
+async function resolveUser(refresh) {
+  try {
+    return await loadCurrentUser(window.supabaseClient, { refresh });
+  } catch (e) {
+    console.error("[TEP] authLoader:", e?.message || e);
+    return null;
+  }
+}
+
+async function apply(refresh = false) {
+  const user = await resolveUser(refresh);
+  const access = applyPageProtection(user);
+  applyNav(user);
+  applyFeatureGates(user);
+
+  const detail = { user, locked: !!access?.locked, access };
+  document.dispatchEvent(new CustomEvent("tep:auth", { detail }));
+  return detail;
+}
+
+injectAuthUIStyles();
+wireSignOut();
+
+const ready = apply();
+
+try {
+  window.supabaseClient?.auth.onAuthStateChange((event) => {
+    if (event === "SIGNED_IN" || event === "SIGNED_OUT") apply(true);
+  });
+} catch (e) {}
+
+window.TEPAuth = { ready, refresh: () => apply(true) };
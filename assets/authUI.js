@@ -30,6 +30,7 @@ import {
   checkAccessForPath,
   describeUserAccess,
 } from "./accessControl.js";
+import "./redirect.js";
 
 /* =========================
    Local user storage
@@ -70,21 +71,20 @@ export function clearStoredUser() {
 
 /* =========================
    URL helpers (return path + preserve returnTo)
+   returnTo is validated by redirect.js (same-origin, known pages only)
 ========================= */
 
 export function buildAuthUrl(path, returnTo = null) {
-  const safeReturn = returnTo || window.location.pathname + window.location.search + window.location.hash;
-  const url = new URL(path, window.location.origin);
-  url.searchParams.set("returnTo", safeReturn);
-  return url.pathname + url.search;
+  const page = String(path || "").replace(/^\/+/, "").replace(/\.html$/i, "") + ".html";
+  return window.TEPRedirect.withReturnTo(page, returnTo || undefined);
 }
 
 export function redirectToSignIn(returnTo = null) {
-  window.location.href = buildAuthUrl("/sign-in", returnTo);
+  window.location.href = window.TEPRedirect.signInUrl(returnTo || undefined);
 }
 
 export function redirectToPricing(returnTo = null) {
-  window.location.href = buildAuthUrl("/pricing", returnTo);
+  window.location.href = window.TEPRedirect.pricingUrl(returnTo || undefined);
 }
 
 /* =========================
@@ -156,7 +156,7 @@ export function renderLockedOverlay(targetEl, lockState, options = {}) {
 
   const reason = lockState.reason || "upgrade_required";
   const ctaLabel = lockState.cta?.label || "Upgrade to unlock";
-  const ctaHref = lockState.cta?.href || "/pricing";
+  const ctaHref = lockState.cta?.href || "/the-pricing";
 
   const reqTier = lockState.requiredTier || null;
   const currentTier = lockState.currentTier || null;
@@ -198,13 +198,13 @@ export function renderLockedOverlay(targetEl, lockState, options = {}) {
   overlay.querySelectorAll('a[data-tep-cta="upgrade"]').forEach((a) => {
     a.addEventListener("click", (e) => {
       e.preventDefault();
-      redirectToPricing(window.location.pathname);
+      redirectToPricing();
     });
   });
   overlay.querySelectorAll('a[data-tep-cta="signin"]').forEach((a) => {
     a.addEventListener("click", (e) => {
       e.preventDefault();
-      redirectToSignIn(window.location.pathname);
+      redirectToSignIn();
     });
   });
 
@@ -282,7 +282,8 @@ export function gateFeature(options = {}) {
 ========================= */
 
 export function mountAuthStatusBadge(containerSelector = "[data-tep-auth-status]") {
-  const container = document.querySelector(containerSelector);
+  const container =
+    typeof containerSelector === "string" ? document.querySelector(containerSelector) : containerSelector;
   if (!container) return null;
 
   const user = getStoredUser();
@@ -0,0 +1,562 @@
+// assets/calendar.js — The Employee Playbook (static HTML + Supabase CDN)
+// iCalendar (.ics, RFC 5545) export and import for the planners
+// (planner-time-blocking.html, planner-weekly-priority.html). No dependencies.
+//
+// Usage:
+//   const ics = TEPCalendar.build({
+//     name: "Time blocking plan",
+//     events: [{ uid: block.id, summary, description, categories: ["Deep work"],
+//                start: { date: "2026-10-19", time: "09:00" }, end: { date: "2026-10-19", time: "10:30" } }],
+//   });
+//   TEPCalendar.download(ics, "time-blocking-plan.ics");
+//
+//   const events = TEPCalendar.parse(await file.text());
+//   const meetings = TEPCalendar.occurrences(events, "2026-10-19", "2026-10-25");
+//   // -> [{ uid, summary, date: "2026-10-20", start: "10:00", end: "10:30", durationMins, allDay, ... }]
+//
+// Times in the planners are UK wall-clock times, so exports are written in Europe/London
+// (with its VTIMEZONE) and imports are converted to Europe/London whatever zone the
+// source calendar used: UTC ("Z"), any IANA TZID, the common Windows zone names, or
+// floating times (taken as UK time). Daily / weekly / monthly / yearly RRULEs, EXDATE
+// and moved instances (RECURRENCE-ID) are expanded; cancelled events are dropped.
+
+(function () {
+  const TIMEZONE = "Europe/London";
+  const PRODID = "-//The Employee Playbook//Planners//EN";
+  const UID_DOMAIN = "theemployeeplaybook";
+  const DAY_MS = 86400000;
+
+  const VTIMEZONE_LONDON = [
+    "BEGIN:VTIMEZONE",
+    "TZID:Europe/London",
+    "X-LIC-LOCATION:Europe/London",
+    "BEGIN:DAYLIGHT",
+    "TZOFFSETFROM:+0000",
+    "TZOFFSETTO:+0100",
+    "TZNAME:BST",
+    "DTSTART:19700329T010000",
+    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+    "END:DAYLIGHT",
+    "BEGIN:STANDARD",
+    "TZOFFSETFROM:+0100",
+    "TZOFFSETTO:+0000",
+    "TZNAME:GMT",
+    "DTSTART:19701025T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+
+  // Outlook / Exchange exports use Windows zone names.
+  const WINDOWS_ZONES = {
+    "GMT Standard Time": "Europe/London",
+    "Greenwich Standard Time": "Atlantic/Reykjavik",
+    "W. Europe Standard Time": "Europe/Berlin",
+    "Romance Standard Time": "Europe/Paris",
+    "Central Europe Standard Time": "Europe/Budapest",
+    "Central European Standard Time": "Europe/Warsaw",
+    "E. Europe Standard Time": "Europe/Chisinau",
+    "FLE Standard Time": "Europe/Kiev",
+    "Eastern Standard Time": "America/New_York",
+    "Central Standard Time": "America/Chicago",
+    "Mountain Standard Time": "America/Denver",
+    "Pacific Standard Time": "America/Los_Angeles",
+    "India Standard Time": "Asia/Kolkata",
+    "Singapore Standard Time": "Asia/Singapore",
+    "AUS Eastern Standard Time": "Australia/Sydney",
+    "UTC": "UTC",
+  };
+
+  const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+  // ----------------------------
+  // Time zones
+  // ----------------------------
+  const formatters = {};
+
+  function resolveZone(tzid) {
+    const raw = String(tzid || "").replace(/^"|"$/g, "").replace(/^\/+/, "").trim();
+    const name = WINDOWS_ZONES[raw] || raw;
+    if (!name) return TIMEZONE;
+    if (formatters[name]) return name;
+    try {
+      formatters[name] = new Intl.DateTimeFormat("en-GB", {
+        timeZone: name,
+        hourCycle: "h23",
+        year: "numeric", month: "2-digit", day: "2-digit",
+        hour: "2-digit", minute: "2-digit", second: "2-digit",
+      });
+      return name;
+    } catch (e) {
+      return TIMEZONE;
+    }
+  }
+
+  // Wall-clock fields of an instant in a zone.
+  function wallTime(ms, tz) {
+    const parts = {};
+    formatters[resolveZone(tz)].formatToParts(new Date(ms)).forEach((p) => {
+      if (p.type !== "literal") parts[p.type] = Number(p.value);
+    });
+    return { y: parts.year, m: parts.month, d: parts.day, hh: parts.hour % 24, mm: parts.minute, ss: parts.second };
+  }
+
+  function zoneOffset(ms, tz) {
+    const w = wallTime(ms, tz);
+    return Date.UTC(w.y, w.m - 1, w.d, w.hh, w.mm, w.ss) - Math.floor(ms / 1000) * 1000;
+  }
+
+  // Instant for a wall-clock time in a zone (DST-aware; a time skipped by the clocks
+  // going forward lands an hour later, as calendar apps do).
+  function zonedToUtc(w, tz) {
+    const guess = Date.UTC(w.y, w.m - 1, w.d, w.hh || 0, w.mm || 0, w.ss || 0);
+    const first = zoneOffset(guess, tz);
+    const second = zoneOffset(guess - first, tz);
+    return guess - (first === second ? first : Math.max(first, second));
+  }
+
+  // ----------------------------
+  // Small date helpers (dates are "YYYY-MM-DD", times "HH:MM")
+  // ----------------------------
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+
+  function isoDate(w) {
+    return w.y + "-" + pad(w.m) + "-" + pad(w.d);
+  }
+
+  function parseIsoDate(iso) {
+    const [y, m, d] = String(iso || "").split("-").map(Number);
+    return { y, m, d };
+  }
+
+  function parseTime(time) {
+    const [hh, mm] = String(time || "00:00").split(":").map(Number);
+    return { hh: hh || 0, mm: mm || 0 };
+  }
+
+  function addDaysIso(iso, days) {
+    const { y, m, d } = parseIsoDate(iso);
+    const dt = new Date(Date.UTC(y, m - 1, d) + days * DAY_MS);
+    return dt.toISOString().slice(0, 10);
+  }
+
+  function dayNumber(w) {
+    return Math.floor(Date.UTC(w.y, w.m - 1, w.d) / DAY_MS);
+  }
+
+  // ----------------------------
+  // Export
+  // ----------------------------
+  function escapeText(value) {
+    return String(value == null ? "" : value)
+      .replace(/\\/g, "\\\\")
+      .replace(/\r\n|\r|\n/g, "\\n")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,");
+  }
+
+  // Lines longer than 75 octets are folded onto continuation lines starting with a space.
+  function foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+    const out = [];
+    let current = "";
+    let size = 0;
+    for (const ch of line) {
+      const len = encoder.encode(ch).length;
+      if (size + len > (out.length ? 74 : 75)) {
+        out.push(current);
+        current = "";
+        size = 0;
+      }
+      current += ch;
+      size += len;
+    }
+    out.push(current);
+    return out.join("\r\n ");
+  }
+
+  function formatLocal(date, time) {
+    const d = parseIsoDate(date);
+    const t = parseTime(time);
+    return d.y + pad(d.m) + pad(d.d) + "T" + pad(t.hh) + pad(t.mm) + "00";
+  }
+
+  function formatUtc(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  }
+
+  function makeUid(id) {
+    const clean = String(id || "").trim();
+    return (clean || "tep-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8)) + "@" + UID_DOMAIN;
+  }
+
+  // events: [{ uid, summary, description, location, categories, start: { date, time }, end: { date, time }, allDay }]
+  // All-day events only need start.date (end.date is exclusive and defaults to the next day).
+  function build(options = {}) {
+    const stamp = formatUtc(Date.now());
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:" + PRODID,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+    ];
+    if (options.name) lines.push("X-WR-CALNAME:" + escapeText(options.name));
+    lines.push("X-WR-TIMEZONE:" + TIMEZONE);
+
+    const events = Array.isArray(options.events) ? options.events : [];
+    if (events.some((e) => !e.allDay)) lines.push(...VTIMEZONE_LONDON);
+
+    events.forEach((e) => {
+      lines.push("BEGIN:VEVENT", "UID:" + makeUid(e.uid), "DTSTAMP:" + stamp);
+      if (e.allDay) {
+        const startDate = e.start.date;
+        const endDate = (e.end && e.end.date) || addDaysIso(startDate, 1);
+        lines.push("DTSTART;VALUE=DATE:" + startDate.replace(/-/g, ""));
+        lines.push("DTEND;VALUE=DATE:" + endDate.replace(/-/g, ""));
+      } else {
+        const end = e.end || e.start;
+        lines.push("DTSTART;TZID=" + TIMEZONE + ":" + formatLocal(e.start.date, e.start.time));
+        lines.push("DTEND;TZID=" + TIMEZONE + ":" + formatLocal(end.date || e.start.date, end.time));
+      }
+      lines.push("SUMMARY:" + escapeText(e.summary || "Untitled"));
+      if (e.description) lines.push("DESCRIPTION:" + escapeText(e.description));
+      if (e.location) lines.push("LOCATION:" + escapeText(e.location));
+      const categories = (e.categories || []).filter(Boolean);
+      if (categories.length) lines.push("CATEGORIES:" + categories.map(escapeText).join(","));
+      lines.push("TRANSP:" + (e.transparent ? "TRANSPARENT" : "OPAQUE"));
+      lines.push("END:VEVENT");
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+  }
+
+  function download(text, filename) {
+    const blob = new Blob([text], { type: "text/calendar;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename || "plan.ics";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ----------------------------
+  // Import
+  // ----------------------------
+  function unescapeText(value) {
+    return String(value || "").replace(/\\([\\;,nN])/g, (m, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+  }
+
+  // "DTSTART;TZID=\"Europe/London\":2026..." -> { name, params, value }
+  function parseLine(line) {
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') quoted = !quoted;
+      else if (line[i] === ":" && !quoted) {
+        colon = i;
+        break;
+      }
+    }
+    if (colon === -1) return null;
+    const head = line.slice(0, colon).split(";");
+    const params = {};
+    head.slice(1).forEach((p) => {
+      const eq = p.indexOf("=");
+      if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+    });
+    return { name: head[0].toUpperCase(), params, value: line.slice(colon + 1) };
+  }
+
+  // -> { allDay: true, date } or { allDay: false, ms, tz, wall } (wall = time in its own zone)
+  function parseDateValue(prop) {
+    const value = String(prop.value || "").trim();
+    const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!m) return null;
+    const w = { y: +m[1], m: +m[2], d: +m[3], hh: +(m[4] || 0), mm: +(m[5] || 0), ss: +(m[6] || 0) };
+    if (prop.params.VALUE === "DATE" || !m[4]) return { allDay: true, date: isoDate(w), wall: w };
+
+    if (m[7]) {
+      const ms = Date.UTC(w.y, w.m - 1, w.d, w.hh, w.mm, w.ss);
+      return { allDay: false, ms, tz: "UTC", wall: w };
+    }
+    const tz = resolveZone(prop.params.TZID || TIMEZONE);
+    return { allDay: false, ms: zonedToUtc(w, tz), tz, wall: w };
+  }
+
+  function parseDuration(value) {
+    const m = String(value || "").match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!m) return null;
+    const ms = (((+(m[2] || 0) * 7 + +(m[3] || 0)) * 24 + +(m[4] || 0)) * 60 + +(m[5] || 0)) * 60000 + +(m[6] || 0) * 1000;
+    return m[1] === "-" ? -ms : ms;
+  }
+
+  function parseRule(value) {
+    const rule = {};
+    String(value || "").split(";").forEach((part) => {
+      const [k, v] = part.split("=");
+      if (k && v) rule[k.toUpperCase()] = v.toUpperCase();
+    });
+    if (!rule.FREQ) return null;
+    return {
+      freq: rule.FREQ,
+      interval: Math.max(1, parseInt(rule.INTERVAL, 10) || 1),
+      count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+      until: rule.UNTIL ? parseDateValue({ value: rule.UNTIL, params: {} }) : null,
+      byDay: rule.BYDAY
+        ? rule.BYDAY.split(",").map((d) => {
+            const dm = d.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+            return dm ? { n: dm[1] ? parseInt(dm[1], 10) : 0, day: WEEKDAYS.indexOf(dm[2]) } : null;
+          }).filter(Boolean)
+        : null,
+      byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(",").map(Number) : null,
+      byMonth: rule.BYMONTH ? rule.BYMONTH.split(",").map(Number) : null,
+    };
+  }
+
+  // Returns VEVENTs as { uid, summary, description, location, categories, status,
+  // start, end, allDay, rule, exdates, recurrenceId }.
+  function parse(text) {
+    const lines = String(text || "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    const events = [];
+    const stack = [];
+    let current = null;
+
+    lines.forEach((raw) => {
+      const line = raw.trimEnd();
+      if (!line) return;
+      const prop = parseLine(line);
+      if (!prop) return;
+
+      if (prop.name === "BEGIN") {
+        stack.push(prop.value.toUpperCase());
+        if (prop.value.toUpperCase() === "VEVENT") {
+          current = { categories: [], exdates: [], props: {} };
+        }
+        return;
+      }
+      if (prop.name === "END") {
+        const ended = stack.pop();
+        if (ended === "VEVENT" && current) {
+          const event = finishEvent(current);
+          if (event) events.push(event);
+          current = null;
+        }
+        return;
+      }
+      // Only the event's own properties (not its VALARMs).
+      if (!current || stack[stack.length - 1] !== "VEVENT") return;
+
+      if (prop.name === "CATEGORIES") {
+        current.categories.push(...prop.value.split(/(?<!\\),/).map(unescapeText).map((s) => s.trim()).filter(Boolean));
+      } else if (prop.name === "EXDATE") {
+        prop.value.split(",").forEach((v) => {
+          const parsed = parseDateValue({ value: v, params: prop.params });
+          if (parsed) current.exdates.push(parsed);
+        });
+      } else if (!current.props[prop.name]) {
+        current.props[prop.name] = prop;
+      }
+    });
+
+    return events;
+  }
+
+  function finishEvent(raw) {
+    const p = raw.props;
+    const start = p.DTSTART && parseDateValue(p.DTSTART);
+    if (!start) return null;
+
+    let end = p.DTEND && parseDateValue(p.DTEND);
+    if (!end || end.allDay !== start.allDay) {
+      const duration = p.DURATION ? parseDuration(p.DURATION.value) : null;
+      if (start.allDay) {
+        const days = duration ? Math.max(1, Math.round(duration / DAY_MS)) : 1;
+        end = { allDay: true, date: addDaysIso(start.date, days) };
+      } else {
+        end = { allDay: false, ms: start.ms + (duration || 0), tz: start.tz };
+      }
+    }
+
+    return {
+      uid: p.UID ? p.UID.value.trim() : "",
+      summary: p.SUMMARY ? unescapeText(p.SUMMARY.value).trim() : "",
+      description: p.DESCRIPTION ? unescapeText(p.DESCRIPTION.value).trim() : "",
+      location: p.LOCATION ? unescapeText(p.LOCATION.value).trim() : "",
+      categories: raw.categories,
+      status: p.STATUS ? p.STATUS.value.toUpperCase() : "",
+      allDay: start.allDay,
+      start,
+      end,
+      rule: p.RRULE ? parseRule(p.RRULE.value) : null,
+      exdates: raw.exdates,
+      recurrenceId: p["RECURRENCE-ID"] ? parseDateValue(p["RECURRENCE-ID"]) : null,
+    };
+  }
+
+  // ----------------------------
+  // Recurrence
+  // ----------------------------
+  function nthWeekdayMatches(w, byDay) {
+    const weekday = new Date(Date.UTC(w.y, w.m - 1, w.d)).getUTCDay();
+    const daysInMonth = new Date(Date.UTC(w.y, w.m, 0)).getUTCDate();
+    return byDay.some((b) => {
+      if (b.day !== weekday) return false;
+      if (!b.n) return true;
+      const nth = b.n > 0 ? Math.ceil(w.d / 7) : -Math.ceil((daysInMonth - w.d + 1) / 7);
+      return nth === b.n;
+    });
+  }
+
+  function ruleMatches(rule, first, w) {
+    const weekday = new Date(Date.UTC(w.y, w.m - 1, w.d)).getUTCDay();
+    const days = dayNumber(w) - dayNumber(first);
+    if (rule.byMonth && !rule.byMonth.includes(w.m)) return false;
+
+    if (rule.freq === "DAILY") {
+      return days % rule.interval === 0 && (!rule.byDay || rule.byDay.some((b) => b.day === weekday));
+    }
+    if (rule.freq === "WEEKLY") {
+      // Weeks start on Monday (the RFC default WKST).
+      const mondayOf = (n, wd) => n - ((wd + 6) % 7);
+      const firstWeekday = new Date(Date.UTC(first.y, first.m - 1, first.d)).getUTCDay();
+      const weeks = Math.round((mondayOf(dayNumber(w), weekday) - mondayOf(dayNumber(first), firstWeekday)) / 7);
+      if (weeks % rule.interval !== 0) return false;
+      return rule.byDay ? rule.byDay.some((b) => b.day === weekday) : weekday === firstWeekday;
+    }
+    if (rule.freq === "MONTHLY") {
+      const months = (w.y - first.y) * 12 + (w.m - first.m);
+      if (months % rule.interval !== 0) return false;
+      if (rule.byMonthDay) {
+        const daysInMonth = new Date(Date.UTC(w.y, w.m, 0)).getUTCDate();
+        return rule.byMonthDay.some((d) => (d > 0 ? d : daysInMonth + d + 1) === w.d);
+      }
+      if (rule.byDay) return nthWeekdayMatches(w, rule.byDay);
+      return w.d === first.d;
+    }
+    if (rule.freq === "YEARLY") {
+      if ((w.y - first.y) % rule.interval !== 0) return false;
+      if (rule.byDay && rule.byMonth) return nthWeekdayMatches(w, rule.byDay);
+      return w.m === first.m && w.d === first.d;
+    }
+    return false;
+  }
+
+  // Start instants (or dates, for all-day events) of a series, up to lastDay (a day number).
+  function expandSeries(event, lastDay) {
+    const first = event.start.wall;
+    const rule = event.rule;
+    let untilMs = Infinity;
+    if (rule.until) {
+      untilMs = rule.until.allDay
+        ? zonedToUtc(Object.assign({}, rule.until.wall, { hh: 23, mm: 59, ss: 59 }), event.start.tz || TIMEZONE)
+        : rule.until.ms;
+    }
+    const out = [];
+    let count = 0;
+
+    for (let n = dayNumber(first); n <= lastDay; n++) {
+      const dt = new Date(n * DAY_MS);
+      const w = { y: dt.getUTCFullYear(), m: dt.getUTCMonth() + 1, d: dt.getUTCDate(), hh: first.hh, mm: first.mm, ss: first.ss };
+      if (!ruleMatches(rule, first, w)) continue;
+
+      const startMs = event.allDay ? null : event.start.tz === "UTC"
+        ? Date.UTC(w.y, w.m - 1, w.d, w.hh, w.mm, w.ss)
+        : zonedToUtc(w, event.start.tz);
+      if ((event.allDay ? zonedToUtc(w, TIMEZONE) : startMs) > untilMs) break;
+      count++;
+      out.push(event.allDay ? { date: isoDate(w) } : { ms: startMs });
+      if (rule.count && count >= rule.count) break;
+    }
+    return out;
+  }
+
+  function sameStart(a, b) {
+    if (!a || !b) return false;
+    if (a.date || b.date) return (a.date || (a.wall && isoDate(a.wall))) === (b.date || (b.wall && isoDate(b.wall)));
+    return a.ms === b.ms;
+  }
+
+  // ----------------------------
+  // Occurrences in a UK date range
+  // ----------------------------
+  // Every instance that starts between fromIso and toIso (inclusive, UK dates), sorted,
+  // with UK wall-clock dates and times.
+  function occurrences(events, fromIso, toIso) {
+    const from = parseIsoDate(fromIso);
+    const to = parseIsoDate(toIso || fromIso);
+    const firstDay = dayNumber(from);
+    const lastDay = dayNumber(to);
+    const list = (Array.isArray(events) ? events : []).filter((e) => e.status !== "CANCELLED");
+    const overrides = list.filter((e) => e.recurrenceId);
+    const out = [];
+
+    function push(event, startMs, date) {
+      let entry;
+      if (event.allDay) {
+        const span = Math.max(1, dayNumber(parseIsoDate(event.end.date)) - dayNumber(parseIsoDate(event.start.date)));
+        entry = { date, start: "", end: "", durationMins: span * 1440, allDay: true, endDate: addDaysIso(date, span) };
+      } else {
+        const duration = Math.max(0, event.end.ms - event.start.ms);
+        const s = wallTime(startMs, TIMEZONE);
+        const e = wallTime(startMs + duration, TIMEZONE);
+        const sameDay = isoDate(s) === isoDate(e);
+        entry = {
+          date: isoDate(s),
+          start: pad(s.hh) + ":" + pad(s.mm),
+          // Runs past midnight: the planners only see the part on the start day.
+          end: sameDay ? pad(e.hh) + ":" + pad(e.mm) : "23:59",
+          durationMins: Math.round(duration / 60000),
+          allDay: false,
+        };
+      }
+      const day = dayNumber(parseIsoDate(entry.date));
+      if (day < firstDay || day > lastDay) return;
+      out.push(Object.assign({
+        uid: event.uid,
+        summary: event.summary,
+        description: event.description,
+        location: event.location,
+        categories: event.categories,
+      }, entry));
+    }
+
+    list.forEach((event) => {
+      if (event.recurrenceId) {
+        push(event, event.start.ms, event.start.date);
+        return;
+      }
+      if (!event.rule) {
+        push(event, event.start.ms, event.start.date);
+        return;
+      }
+      expandSeries(event, lastDay + 1).forEach((inst) => {
+        const cancelled = event.exdates.some((x) => sameStart(x, inst.date ? { date: inst.date } : inst));
+        const moved = overrides.some((o) => o.uid === event.uid && sameStart(o.recurrenceId, inst.date ? { date: inst.date } : inst));
+        if (!cancelled && !moved) push(event, inst.ms, inst.date);
+      });
+    });
+
+    return out.sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+  }
+
+  // Stable id for an imported instance: the same meeting imported twice replaces itself.
+  function occurrenceId(occ) {
+    return "ics_" + String(occ.uid || occ.summary).replace(/[^a-z0-9]+/gi, "").slice(-24) + "_" + occ.date.replace(/-/g, "") + (occ.start || "").replace(":", "");
+  }
+
+  window.TEPCalendar = {
+    TIMEZONE,
+    build,
+    download,
+    parse,
+    occurrences,
+    occurrenceId,
+    zonedToUtc,
+  };
+})();
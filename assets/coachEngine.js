@@ -0,0 +1,605 @@
+// assets/coachEngine.js — The Employee Playbook (static HTML + Supabase CDN)
+// Conversation engine behind The Coach chat (the-coach.html, the-coach-member.html).
+// The page owns the chat UI; the engine owns what the coach says next.
+//
+// Usage (on a page):
+//   const coach = TEPCoach.createEngine();                 // provider picked by TEPCoach.defaultProvider()
+//   const reply = await coach.reply("My manager keeps moving the goalposts");
+//   // reply = { text, links: [{ label, href, kind }], category, emotion, turn, provider, safety }
+//   coach.reset();                                          // new session
+//
+// Providers share one interface:
+//   { id, reply({ message, history, context }) -> Promise<{ text, links?, category?, emotion? }> }
+//   - history: [{ role: "user" | "coach", text }] before this message
+//   - context: { turn, category, emotion, stage } as the engine last left it
+//
+// - localProvider (default): keyword rules that classify a message into the seven
+//   playbook categories, then walk that category's follow-ups turn by turn and point
+//   at matching Script Library entries and tools. Runs entirely in the browser.
+// - httpProvider({ endpoint }): POSTs the same request as JSON to an endpoint and
+//   expects { text, links?, category? } back. Set window.TEP_COACH_ENDPOINT (before
+//   this script) to make it the default; pass `fetch` to stub it locally. If the
+//   endpoint fails, the engine answers from the local provider instead.
+//
+// Links from any provider are limited to pages on this site ("page.html", with an
+// optional ?query / #hash), so a remote reply can never send someone off-site.
+//
+// Safety: before any provider sees a message, checkSafety() looks for self-harm,
+// harassment and legal-risk phrases. A match gets fixed signposting copy (SAFETY_RULES)
+// instead of a coaching reply. Neither the message nor that reply enters the history,
+// so no provider ever sees it, on this turn or later ones.
+
+(function () {
+  const SCRIPT_LIBRARY_PAGE = "script-library.html";
+  const HTTP_TIMEOUT_MS = 12000;
+  const MAX_HISTORY = 20;
+  const LINK_PATTERN = /^[a-z0-9-]+\.html(?:[?#][^\s"'<>]*)?$/i;
+
+  // ----------------------------
+  // Catalogue
+  // ----------------------------
+  // Keywords are matched against the lower-cased message; multi-word keywords match
+  // as phrases. scripts are Script Library ids (script-library.html#script=<id>).
+  const CATEGORIES = {
+    clarity: {
+      label: "Clarity, Priorities & Direction",
+      page: "category-clarity-priorities-and-direction.html",
+      keywords: ["priorit", "urgent", "deadline", "scope", "direction", "unclear", "decision", "goalpost", "what matters", "too many projects", "trade-off", "tradeoff"],
+      opening: "It sounds like the real problem is clarity: what matters most, and who decides. What are you being asked to deliver right now, and which piece keeps shifting?",
+      followUps: [
+        "Who actually owns the call on priorities here: your manager, a stakeholder, or nobody clearly?",
+        "If you could only finish one thing well this week, what would it be, and who would notice if the rest moved?",
+        "What would you need to hear, in writing, to feel the priorities were settled?",
+      ],
+      scripts: ["clarity-urgent-reset", "clarity-decision-owner", "workload-tradeoff-menu", "clarity-scope-trim"],
+      tools: [
+        { label: "Decision Clarity Checklist", href: "checklist-decision-clarity.html" },
+        { label: "Eisenhower Matrix", href: "matrix-eisenhower.html" },
+        { label: "Weekly Priority Planner", href: "planner-weekly-priority.html" },
+      ],
+    },
+    expectations: {
+      label: "Expectations, Burnout & Capacity",
+      page: "category-expectation-burnout-and-capacity.html",
+      keywords: ["workload", "overload", "burnout", "burnt out", "burned out", "exhaust", "capacity", "too much", "overtime", "evenings", "weekend", "after hours", "after-hours", "expectation", "no time", "drowning"],
+      opening: "That sounds like a capacity problem, not a you problem. Roughly how much of your week is going on work you didn't plan for, and how long has it been like this?",
+      followUps: [
+        "What's one expectation that has quietly become \"normal\" but was never agreed: late replies, weekend work, covering for someone?",
+        "If you flagged capacity tomorrow, what would you want taken off your plate first?",
+        "What's the earliest sign, for you, that the pace is becoming unsustainable?",
+      ],
+      scripts: ["burnout-capacity-snapshot", "burnout-boundary-afterhours", "expectations-define-urgent", "workload-renegotiate-deadline"],
+      tools: [
+        { label: "Capacity Checklist", href: "checklist-capacity.html" },
+        { label: "Burnout Warning Assessment", href: "assessment-burnout-and-capacity.html" },
+        { label: "Boundary Strength Checklist", href: "checklist-boundary-strength.html" },
+      ],
+    },
+    manager: {
+      label: "Manager Relationship & Leadership Style",
+      page: "category-manager-relationship-and-leadership-style.html",
+      keywords: ["manager", "boss", "supervisor", "line manager", "micromanag", "1:1", "one-to-one", "one to one", "checks everything", "leader", "leadership"],
+      opening: "Manager dynamics shape almost everything else at work. What specifically has your manager done or said that's causing concern, and is it new or a pattern?",
+      followUps: [
+        "How does your manager prefer to get updates: written, in 1:1s, or only when something's wrong?",
+        "What do you think they're worried about when they behave like this: risk, their own boss, or trust in the work?",
+        "What would a good week with your manager look like, in concrete terms?",
+      ],
+      scripts: ["micro-update-cadence", "manager-alignment-whiplash", "micro-autonomy-guardrails", "expectations-success-criteria"],
+      tools: [
+        { label: "Manager Pattern Identifier Checklist", href: "checklist-manager-pattern-identifier.html" },
+        { label: "Micromanagement Checklist", href: "checklist-micromanagement.html" },
+        { label: "Micromanagement to Autonomy Framework", href: "framework-micromanagement-to-autonomy.html" },
+      ],
+    },
+    dynamics: {
+      label: "Workplace Dynamics and Politics",
+      page: "category-workplace-dynamics-and-politics.html",
+      keywords: ["politic", "colleague", "coworker", "co-worker", "team", "stakeholder", "credit", "undermin", "sidelin", "excluded", "left out", "conflict", "tension", "disagree", "clique", "influence"],
+      opening: "Workplace dynamics are rarely about one conversation. Who are the main people involved, and what's happening between you that's getting in the way?",
+      followUps: [
+        "Who has influence over this situation, even if they're not directly involved?",
+        "Is this happening in public (meetings, shared channels) or mostly one-to-one?",
+        "Who could you build an ally in here, and what do they care about?",
+      ],
+      scripts: ["politics-stakeholder-alignment", "difficult-undermined-meeting", "difficult-feedback-peer"],
+      tools: [
+        { label: "Stakeholder Mapping Grid", href: "map-stakeholder.html" },
+        { label: "Political Landscape Map", href: "map-political-landscape.html" },
+        { label: "Conflict Risk Radar", href: "assessment-conflict-risk-radar.html" },
+      ],
+    },
+    hr: {
+      label: "HR and Formal Processes",
+      page: "category-hr-and-formal-processes.html",
+      keywords: [" hr ", "human resources", "grievance", "disciplinary", "investigation", "performance plan", " pip ", "formal", "complaint", "reasonable adjustment", "tribunal", "redundan", "contract", "written warning"],
+      opening: "Formal processes reward calm and a good record. What stage are you at: an informal chat, a formal invite, or something already in writing?",
+      followUps: [
+        "What do you have in writing so far: emails, meeting notes, dates?",
+        "Do you know which policy or process this falls under, and have you been sent a copy?",
+        "What outcome would you be satisfied with, realistically?",
+      ],
+      scripts: ["hr-confirm-in-writing", "hr-formal-meeting-setup", "hr-performance-plan-clarity", "hr-reasonable-adjustments-request"],
+      tools: [
+        { label: "HR & Process Safety Checklist", href: "checklist-hr-and-process-safety.html" },
+        { label: "Escalation Documentation Form", href: "form-escalation-documentation.html" },
+        { label: "Evidence & Documentation Framework", href: "framework-evidence-and-documentation.html" },
+      ],
+    },
+    confidence: {
+      label: "Confidence, Presence & Influence",
+      page: "category-confidence-presence-influence.html",
+      keywords: ["confiden", "presence", "speak up", "speaking up", "talked over", "interrupt", "ignored", "heard", "assertive", "say no", "imposter", "impostor", "nervous", "credib"],
+      opening: "Presence is a skill, not a personality trait. In which moments do you feel you lose your footing: meetings, 1:1s, writing, or being put on the spot?",
+      followUps: [
+        "When you do speak up, what tends to happen next?",
+        "Who do you know that handles these moments well, and what do they do differently?",
+        "What's one phrase you'd like to be able to say calmly next time?",
+      ],
+      scripts: ["confidence-direct-no", "difficult-passive-aggressive", "micro-nitpicks-to-outcomes"],
+      tools: [
+        { label: "Presence Upgrade Checklist", href: "checklist-presence-upgrade.html" },
+        { label: "Presence Calibration Assessment", href: "assessment-presence-calibration.html" },
+        { label: "Presence 90 Second Reset Routine", href: "routine-presence-90-seconds-reset.html" },
+      ],
+    },
+    career: {
+      label: "Career Playbook",
+      page: "category-career-playbook.html",
+      keywords: ["promotion", "promoted", "career", "raise", "pay rise", "pay increase", "salary", "progression", "review", "appraisal", "new job", "leave", "quit", "next role", "growth"],
+      opening: "Career moves go better with a plan than a wish. What are you aiming for next: a promotion, a pay rise, a change of role, or an exit?",
+      followUps: [
+        "Who decides on this, and what evidence do they usually need to say yes?",
+        "What have you delivered in the last six months that you'd want them to remember?",
+        "What's your timeline, and what would make you walk away?",
+      ],
+      scripts: ["career-promo-scope", "workload-resource-ask"],
+      tools: [
+        { label: "Career Advancement Playbook", href: "playbook-career-advancement.html" },
+        { label: "Pay Increase Negotiation Planner", href: "planner-pay-increase-negotiation.html" },
+        { label: "Performance Review Prep Checklist", href: "checklist-performance-review-prep.html" },
+      ],
+    },
+  };
+
+  // Script titles for link labels (ids match script-library.html).
+  const SCRIPT_TITLES = {
+    "clarity-urgent-reset": "Reset priorities when a new urgent request drops in",
+    "clarity-scope-trim": "Trim scope without sounding like the difficult one",
+    "clarity-decision-owner": "Confirm who owns the decision",
+    "workload-tradeoff-menu": "Negotiate workload using a trade-off menu",
+    "workload-renegotiate-deadline": "Renegotiate a deadline without sounding like you can’t cope",
+    "workload-resource-ask": "Ask for extra resourcing",
+    "burnout-capacity-snapshot": "Flag capacity without sounding dramatic",
+    "burnout-boundary-afterhours": "Reset expectations about after-hours replies",
+    "expectations-define-urgent": "Reset what urgent means",
+    "expectations-success-criteria": "Reset what good looks like",
+    "manager-alignment-whiplash": "Stop alignment whiplash when leadership changes their mind",
+    "micro-update-cadence": "Set an update cadence that reduces micromanagement",
+    "micro-autonomy-guardrails": "Ask for autonomy with guardrails",
+    "micro-nitpicks-to-outcomes": "Redirect nitpicking to outcomes",
+    "politics-stakeholder-alignment": "Align stakeholders before they derail delivery",
+    "difficult-undermined-meeting": "When you’re undermined in a meeting",
+    "difficult-feedback-peer": "Give feedback to a peer",
+    "difficult-passive-aggressive": "Respond to passive-aggressive messages",
+    "hr-confirm-in-writing": "Confirm a sensitive agreement in writing",
+    "hr-formal-meeting-setup": "When HR invite you to a chat",
+    "hr-performance-plan-clarity": "Lock what good looks like in a performance conversation",
+    "hr-reasonable-adjustments-request": "Request reasonable adjustments",
+    "confidence-direct-no": "Say no cleanly",
+    "career-promo-scope": "Position for promotion without begging for permission",
+  };
+
+  const EMOTIONS = {
+    frustrated: {
+      keywords: ["frustrat", "angry", "annoyed", "furious", "upset", "fed up"],
+      line: "I can hear the frustration in this, and it makes sense.",
+    },
+    stressed: {
+      keywords: ["stress", "overwhelm", "anxious", "anxiety", "panic", "can't cope", "cant cope", "pressure"],
+      line: "This sounds genuinely stressful. Let's slow it down and take it one piece at a time.",
+    },
+    confused: {
+      keywords: ["confus", "unsure", "uncertain", "don't know", "dont know", "not sure", "mixed messages"],
+      line: "When things feel this unclear, it helps to start with what you do know.",
+    },
+    disappointed: {
+      keywords: ["disappoint", "let down", "overlooked", "passed over", "unfair"],
+      line: "Being let down like that is hard, especially when you've put the effort in.",
+    },
+  };
+
+  // Once a category's own follow-ups are used up, the coach moves to action planning.
+  const NEXT_STEPS = [
+    "What's one small step you could take before the end of this week?",
+    "When's your next natural chance to raise this: a 1:1, a team meeting, or an email?",
+    "What would you want written down after that conversation, and who should have a copy?",
+    "How will you know it's working, and when will you check back in on it?",
+  ];
+
+  // Checked in order; the first match wins. Copy is fixed on purpose: no provider
+  // rewrites it, and it is the same on every page that uses the engine.
+  const SAFETY_LINKS = [
+    { label: "Toxic Behaviour Response Guide", href: "guide-toxic-behaviour-response.html", kind: "guide" },
+    { label: "Formal Escalation Plan", href: "plan-formal-escalation.html", kind: "tool" },
+  ];
+
+  const SAFETY_RULES = [
+    {
+      id: "self_harm",
+      patterns: [
+        /\b(kill|hurt|harm)(ing)? myself\b/,
+        /\bsuicid/,
+        /\bself[- ]harm/,
+        /\bend (it all|my life)\b/,
+        /\bwant to die\b/,
+        /\b(don't|do not) want to (be here|live|go on)\b/,
+        /\bno reason to live\b/,
+      ],
+      text:
+        "It sounds like you may be going through something really painful, and I'm not the right support for that on my own.\n\n" +
+        "If you think you might act on thoughts of harming yourself, please call 999 (or your local emergency number) now. " +
+        "You can talk to Samaritans any time, free, on 116 123, or text SHOUT to 85258.\n\n" +
+        "When you're ready, the guide and plan below cover the work situation itself. Your safety comes first.",
+    },
+    {
+      id: "harassment",
+      patterns: [
+        /\bharass/,
+        /\bbull(y|ied|ies|ying)\b/,
+        /\bassault/,
+        /\bthreaten(ed|ing|s)?\b/,
+        /\bdiscriminat/,
+        /\bracis[mt]/,
+        /\bsexis[mt]/,
+        /\bstalk(ed|ing)?\b/,
+        /\b(touched|groped) me\b/,
+      ],
+      text:
+        "What you're describing may be harassment or bullying, and you don't have to handle it informally or on your own.\n\n" +
+        "If you're in immediate danger, call 999. Otherwise, start a dated record of what happened, who was there and anything in writing, " +
+        "and consider raising it through your employer's formal process or with HR. Acas (0300 123 1100) gives free, confidential advice.\n\n" +
+        "The guide and plan below walk through responding safely and escalating formally.",
+    },
+    {
+      id: "legal",
+      patterns: [
+        /\btribunal/,
+        /\b(lawyer|solicitor|legal action|legal advice)\b/,
+        /\b(sue|suing)\b/,
+        /\bwhistle[- ]?blow/,
+        /\b(unfair|constructive|wrongful) dismissal\b/,
+        /\bsettlement agreement\b/,
+      ],
+      text:
+        "This is moving into legal territory, where general coaching isn't enough.\n\n" +
+        "Time limits can apply to employment claims, so get proper advice early: Acas (0300 123 1100) is free and confidential, " +
+        "and a union rep or employment solicitor can advise on your specific case. Keep copies of relevant documents and a timeline.\n\n" +
+        "The guide and plan below help you keep a clear record and escalate through the right channels.",
+    },
+  ];
+
+  const GENERAL = {
+    opening: "Thank you for sharing that. So I can point you in the right direction: is this mostly about priorities, workload, your manager, colleagues and politics, an HR process, confidence, or your career?",
+    followUps: [
+      "What's the part of this that's taking up the most headspace right now?",
+      "Who else is involved, and what do you think they want out of it?",
+      "If this went well, what would be different a month from now?",
+    ],
+  };
+
+  // ----------------------------
+  // Classification
+  // ----------------------------
+  // Lower-case, punctuation to spaces (keeping ' : -), padded so " hr " matches whole words.
+  function normalise(text) {
+    const plain = String(text || "")
+      .toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .replace(/[^a-z0-9':\- ]+/g, " ")
+      .replace(/\s+/g, " ");
+    return " " + plain.trim() + " ";
+  }
+
+  function countMatches(text, keywords) {
+    return keywords.reduce((n, keyword) => n + (text.includes(keyword) ? 1 : 0), 0);
+  }
+
+  // Returns { category, emotion, scores } — category/emotion are null when nothing matched.
+  function classify(message) {
+    const text = normalise(message);
+    const scores = {};
+    let category = null;
+    let best = 0;
+    Object.keys(CATEGORIES).forEach((id) => {
+      const score = countMatches(text, CATEGORIES[id].keywords);
+      scores[id] = score;
+      if (score > best) {
+        best = score;
+        category = id;
+      }
+    });
+
+    const emotion = Object.keys(EMOTIONS).find((id) => countMatches(text, EMOTIONS[id].keywords) > 0) || null;
+
+    return { category, emotion, scores };
+  }
+
+  // Returns { id, text, links } for the first matching SAFETY_RULES entry, else null.
+  function checkSafety(message) {
+    const text = normalise(message);
+    const rule = SAFETY_RULES.find((r) => r.patterns.some((re) => re.test(text)));
+    return rule ? { id: rule.id, text: rule.text, links: SAFETY_LINKS.slice() } : null;
+  }
+
+  // ----------------------------
+  // Links
+  // ----------------------------
+  function scriptLink(id) {
+    return {
+      label: SCRIPT_TITLES[id] || "Script Library",
+      href: SCRIPT_LIBRARY_PAGE + "#script=" + encodeURIComponent(id),
+      kind: "script",
+    };
+  }
+
+  function toolLink(tool) {
+    return { label: tool.label, href: tool.href, kind: "tool" };
+  }
+
+  function categoryLink(id) {
+    const cat = CATEGORIES[id];
+    return cat ? { label: cat.label, href: cat.page, kind: "category" } : null;
+  }
+
+  // Keeps only on-site links with a label. Used for every provider's reply.
+  function cleanLinks(links) {
+    if (!Array.isArray(links)) return [];
+    return links
+      .filter((l) => l && typeof l.href === "string" && LINK_PATTERN.test(l.href.trim()))
+      .map((l) => ({
+        label: String(l.label || l.href).slice(0, 120),
+        href: l.href.trim(),
+        kind: ["script", "tool", "category", "guide"].includes(l.kind) ? l.kind : "tool",
+      }))
+      .slice(0, 6);
+  }
+
+  // ----------------------------
+  // Local provider
+  // ----------------------------
+  // stage = turns spent on the current category:
+  //   0 -> opening question, 1 -> first follow-up, 2 -> recommend a script + tool,
+  //   3+ -> remaining follow-ups then NEXT_STEPS, with another resource every third turn.
+  function localReply({ message, context }) {
+    const found = classify(message);
+    const previous = context.category || null;
+    const category = found.category || previous;
+    const emotion = found.emotion;
+    const stage = category && category === previous ? (context.stage || 0) + 1 : 0;
+
+    const parts = [];
+    if (emotion && emotion !== context.emotion) parts.push(EMOTIONS[emotion].line);
+
+    if (!category) {
+      const generalStage = context.turn || 0;
+      parts.push(generalStage === 0 ? GENERAL.opening : GENERAL.followUps[(generalStage - 1) % GENERAL.followUps.length]);
+      return { text: parts.join("\n\n"), links: [], category: null, emotion: emotion || context.emotion || null, stage: 0 };
+    }
+
+    const cat = CATEGORIES[category];
+    const links = [];
+    const switched = previous && category !== previous;
+
+    if (stage === 0) {
+      if (switched) parts.push("That shifts things a little, so let's look at this side of it.");
+      parts.push(cat.opening);
+    } else if (stage === 1) {
+      parts.push(cat.followUps[0]);
+    } else if (stage === 2) {
+      const script = cat.scripts[0];
+      parts.push(
+        "Here's where I'd start. The Script Library has wording for exactly this: “" +
+          (SCRIPT_TITLES[script] || script) +
+          "”. Adapt it to your own voice rather than sending it word for word.\n\nIf you want to see the whole picture first, the " +
+          cat.tools[0].label +
+          " is a quick way to do it."
+      );
+      parts.push(cat.followUps[1] || cat.followUps[0]);
+      links.push(scriptLink(script), toolLink(cat.tools[0]));
+    } else {
+      const rest = cat.followUps.slice(2).concat(NEXT_STEPS);
+      parts.push(rest[(stage - 3) % rest.length]);
+      if ((stage - 2) % 3 === 0) {
+        const n = Math.floor((stage - 2) / 3);
+        const script = cat.scripts[n % cat.scripts.length];
+        const tool = cat.tools[n % cat.tools.length];
+        parts.push("Something else that may help: “" + (SCRIPT_TITLES[script] || script) + "”, and the " + tool.label + ".");
+        links.push(scriptLink(script), toolLink(tool));
+      }
+    }
+
+    if (stage === 0) {
+      const link = categoryLink(category);
+      if (link) links.push(link);
+    }
+
+    return { text: parts.join("\n\n"), links, category, emotion: emotion || context.emotion || null, stage };
+  }
+
+  const localProvider = {
+    id: "local",
+    reply(request) {
+      return Promise.resolve(localReply(request));
+    },
+  };
+
+  // ----------------------------
+  // HTTP provider
+  // ----------------------------
+  function httpProvider(options = {}) {
+    const endpoint = options.endpoint;
+    const timeoutMs = options.timeoutMs || HTTP_TIMEOUT_MS;
+    const headers = Object.assign({ "Content-Type": "application/json" }, options.headers || {});
+    if (!endpoint) throw new Error("TEPCoach.httpProvider needs an endpoint.");
+
+    return {
+      id: "http",
+      endpoint,
+      async reply(request) {
+        const doFetch = options.fetch || window.fetch.bind(window);
+        const controller = typeof AbortController === "function" ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+        try {
+          const res = await doFetch(endpoint, {
+            method: "POST",
+            headers,
+            body: JSON.stringify(request),
+            signal: controller ? controller.signal : undefined,
+          });
+          if (!res.ok) throw new Error("Coach endpoint returned " + res.status);
+          const data = await res.json();
+          const text = typeof data?.text === "string" ? data.text : typeof data?.reply === "string" ? data.reply : "";
+          if (!text.trim()) throw new Error("Coach endpoint returned no text");
+          return {
+            text: text.trim(),
+            links: data.links,
+            category: CATEGORIES[data.category] ? data.category : null,
+            emotion: EMOTIONS[data.emotion] ? data.emotion : null,
+          };
+        } finally {
+          if (timer) clearTimeout(timer);
+        }
+      },
+    };
+  }
+
+  function defaultProvider() {
+    const endpoint = typeof window.TEP_COACH_ENDPOINT === "string" ? window.TEP_COACH_ENDPOINT.trim() : "";
+    return endpoint ? httpProvider({ endpoint }) : localProvider;
+  }
+
+  // ----------------------------
+  // Engine
+  // ----------------------------
+  function freshState() {
+    return { turn: 0, category: null, emotion: null, stage: 0, history: [] };
+  }
+
+  function createEngine(options = {}) {
+    const provider = options.provider || defaultProvider();
+    const fallback = options.fallback === undefined ? localProvider : options.fallback;
+    let state = freshState();
+
+    async function reply(message) {
+      const text = String(message || "").trim();
+      if (!text) throw new Error("Message is empty.");
+
+      const safety = checkSafety(text);
+      if (safety) {
+        state = Object.assign({}, state, { turn: state.turn + 1 });
+        return {
+          text: safety.text,
+          links: cleanLinks(safety.links),
+          category: state.category,
+          emotion: state.emotion,
+          turn: state.turn,
+          provider: "safety",
+          safety: safety.id,
+        };
+      }
+
+      const context = { turn: state.turn, category: state.category, emotion: state.emotion, stage: state.stage };
+      const request = { message: text, history: state.history.slice(-MAX_HISTORY), context };
+
+      let used = provider;
+      let result;
+      try {
+        result = await provider.reply(request);
+      } catch (e) {
+        if (!fallback || fallback === provider) throw e;
+        console.warn("[TEP] Coach provider failed, answering locally:", e?.message || e);
+        used = fallback;
+        result = await fallback.reply(request);
+      }
+
+      // Remote providers don't track stage; keep the local walk in step with them.
+      const local = used === localProvider ? result : null;
+      const category = result.category || (local ? null : classify(text).category) || state.category;
+      const stage = local ? local.stage : category === state.category ? state.stage + 1 : 0;
+
+      state = {
+        turn: state.turn + 1,
+        category,
+        emotion: result.emotion || state.emotion,
+        stage,
+        history: state.history.concat({ role: "user", text }, { role: "coach", text: result.text }).slice(-MAX_HISTORY),
+      };
+
+      return {
+        text: result.text,
+        links: cleanLinks(result.links),
+        category: state.category,
+        emotion: state.emotion,
+        turn: state.turn,
+        provider: used.id,
+        safety: null,
+      };
+    }
+
+    function reset() {
+      state = freshState();
+    }
+
+    // Snapshot / restore, so a page can resume a conversation.
+    function getState() {
+      return JSON.parse(JSON.stringify(state));
+    }
+
+    // Snapshots saved before safety turns were kept out of history may still hold them.
+    function isSafetyTurn(m) {
+      if (m.role === "user") return !!checkSafety(m.text);
+      return SAFETY_RULES.some((r) => r.text === m.text);
+    }
+
+    function setState(next) {
+      const base = freshState();
+      if (!next || typeof next !== "object") {
+        state = base;
+        return;
+      }
+      state = {
+        turn: Number.isInteger(next.turn) && next.turn >= 0 ? next.turn : 0,
+        category: CATEGORIES[next.category] ? next.category : null,
+        emotion: EMOTIONS[next.emotion] ? next.emotion : null,
+        stage: Number.isInteger(next.stage) && next.stage >= 0 ? next.stage : 0,
+        history: Array.isArray(next.history)
+          ? next.history
+              .filter((m) => m && (m.role === "user" || m.role === "coach") && typeof m.text === "string")
+              .filter((m) => !isSafetyTurn(m))
+              .slice(-MAX_HISTORY)
+          : base.history,
+      };
+    }
+
+    return {
+      provider,
+      reply,
+      reset,
+      getState,
+      setState,
+    };
+  }
+
+  window.TEPCoach = {
+    CATEGORIES,
+    SAFETY_RULES,
+    classify,
+    checkSafety,
+    cleanLinks,
+    localProvider,
+    httpProvider,
+    defaultProvider,
+    createEngine,
+  };
+})();
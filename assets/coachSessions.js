@@ -0,0 +1,284 @@
+// assets/coachSessions.js — The Employee Playbook (static HTML + Supabase CDN)
+// Saved conversations for the member coach (the-coach-member.html).
+// Requires: assets/toolState.js (storage) and assets/playbook.js (export to My Playbook).
+//
+// Usage (on the coach page, once signed in):
+//   const sessions = TEPCoachSessions.create({ onChange: renderSessionList });
+//   await sessions.load();                                   // restores the list + last active session
+//   sessions.addExchange(userText, reply, coach.getState()); // after every coach reply (saves)
+//   sessions.open(id);  sessions.start();                    // resume / new session
+//   sessions.exportToPlaybook(id);                           // summary card in My Playbook
+//
+// All sessions live in one TEPToolState record (tool id COACH_TOOL_ID), so they are
+// scoped to the signed-in user, cached on the device and synced like any tool save.
+// Shape: { active_id, sessions: [{ id, title, custom_title, category, created_at,
+//          updated_at, messages: [{ role, text, links, safety, at }], engine }] }
+// `engine` is TEPCoach's getState() snapshot, so a resumed session carries on
+// from the same point in the conversation.
+
+(function () {
+  const COACH_TOOL_ID = "coach_sessions";
+  const COACH_TOOL_VERSION = 1;
+  const COACH_PAGE = "the-coach-member.html";
+
+  const MAX_SESSIONS = 30;
+  const MAX_MESSAGES = 200;
+  const TITLE_LENGTH = 60;
+  const DEFAULT_TITLE = "New session";
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  function makeId() {
+    return "cs_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function clip(text, max) {
+    const clean = String(text || "").replace(/\s+/g, " ").trim();
+    if (clean.length <= max) return clean;
+    const cut = clean.slice(0, max);
+    const space = cut.lastIndexOf(" ");
+    return (space > max * 0.6 ? cut.slice(0, space) : cut).replace(/[\s,.;:]+$/, "") + "…";
+  }
+
+  function blankSession() {
+    const now = new Date().toISOString();
+    return {
+      id: makeId(),
+      title: DEFAULT_TITLE,
+      custom_title: false,
+      category: null,
+      created_at: now,
+      updated_at: now,
+      messages: [],
+      engine: null,
+    };
+  }
+
+  function cleanMessage(m) {
+    if (!m || (m.role !== "user" && m.role !== "coach") || typeof m.text !== "string") return null;
+    return {
+      role: m.role,
+      text: m.text,
+      links: Array.isArray(m.links) ? m.links : [],
+      safety: m.safety || null,
+      at: m.at || null,
+    };
+  }
+
+  function cleanSession(s) {
+    if (!s || typeof s.id !== "string") return null;
+    return {
+      id: s.id,
+      title: typeof s.title === "string" && s.title ? s.title : DEFAULT_TITLE,
+      custom_title: s.custom_title === true,
+      category: s.category || null,
+      created_at: s.created_at || new Date().toISOString(),
+      updated_at: s.updated_at || s.created_at || new Date().toISOString(),
+      messages: (Array.isArray(s.messages) ? s.messages : []).map(cleanMessage).filter(Boolean).slice(-MAX_MESSAGES),
+      engine: s.engine && typeof s.engine === "object" ? s.engine : null,
+    };
+  }
+
+  function byRecent(a, b) {
+    return String(b.updated_at).localeCompare(String(a.updated_at));
+  }
+
+  function categoryLabel(id) {
+    const cat = window.TEPCoach?.CATEGORIES?.[id];
+    return cat ? cat.label : "";
+  }
+
+  // ----------------------------
+  // Summary
+  // ----------------------------
+  // One paragraph for a My Playbook card: what it was about, what was suggested,
+  // and the question it ended on. Playbook items are not sealed by the vault, so
+  // nothing the user typed is quoted here.
+  function summarise(session) {
+    const userMessages = session.messages.filter((m) => m.role === "user");
+    const coachMessages = session.messages.filter((m) => m.role === "coach");
+    const parts = [];
+
+    const date = new Date(session.updated_at).toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric" });
+    parts.push(userMessages.length + (userMessages.length === 1 ? " message" : " messages") + " • " + date);
+
+    const topic = categoryLabel(session.category);
+    if (topic) parts.push("Topic: " + topic);
+
+    const seen = new Set();
+    const resources = [];
+    coachMessages.forEach((m) =>
+      m.links.forEach((l) => {
+        if (l.kind === "category" || seen.has(l.href)) return;
+        seen.add(l.href);
+        resources.push(l.label);
+      })
+    );
+    if (resources.length) parts.push("Suggested: " + resources.slice(0, 4).join(", "));
+
+    if (session.messages.some((m) => m.safety)) parts.push("Includes support signposting");
+
+    const last = coachMessages[coachMessages.length - 1];
+    if (last && !last.safety) {
+      const paragraphs = last.text.split(/\n{2,}/);
+      parts.push("Next: " + clip(paragraphs[paragraphs.length - 1], 160));
+    }
+
+    return parts.join(" • ");
+  }
+
+  // ----------------------------
+  // Store
+  // ----------------------------
+  function create(options = {}) {
+    const onChange = typeof options.onChange === "function" ? options.onChange : () => {};
+    let sessions = [];
+    let activeId = null;
+
+    const store = window.TEPToolState.register({
+      toolId: COACH_TOOL_ID,
+      version: COACH_TOOL_VERSION,
+      title: "Coach sessions",
+      client: options.client || null,
+      getState: () => ({ active_id: activeId, sessions }),
+      applyState: (state) => {
+        sessions = (Array.isArray(state?.sessions) ? state.sessions : []).map(cleanSession).filter(Boolean);
+        activeId = sessions.some((s) => s.id === state?.active_id) ? state.active_id : null;
+      },
+      renderStatus: options.renderStatus || (() => {}),
+    });
+
+    function notify() {
+      onChange({ sessions: list(), active: active() });
+    }
+
+    function find(id) {
+      return sessions.find((s) => s.id === id) || null;
+    }
+
+    function active() {
+      return find(activeId);
+    }
+
+    // Sessions with at least one message, most recent first.
+    function list() {
+      return sessions.filter((s) => s.messages.length).sort(byRecent);
+    }
+
+    async function load() {
+      await store.load();
+      notify();
+      return active();
+    }
+
+    async function save() {
+      // Oldest sessions fall off once there are too many to be useful.
+      sessions = sessions
+        .filter((s) => s.messages.length || s.id === activeId)
+        .sort(byRecent)
+        .slice(0, MAX_SESSIONS);
+      return store.save();
+    }
+
+    // Starts an empty session. It is only kept once something is said in it.
+    function start() {
+      const session = blankSession();
+      sessions = sessions.filter((s) => s.messages.length);
+      sessions.push(session);
+      activeId = session.id;
+      notify();
+      return session;
+    }
+
+    function open(id) {
+      const session = find(id);
+      if (!session) return null;
+      activeId = id;
+      sessions = sessions.filter((s) => s.messages.length || s.id === id);
+      notify();
+      save();
+      return session;
+    }
+
+    // Records one user message + the coach's reply, then saves.
+    function addExchange(userText, reply, engineState) {
+      const session = active() || start();
+      const now = new Date().toISOString();
+      session.messages.push(
+        { role: "user", text: userText, links: [], safety: null, at: now },
+        { role: "coach", text: reply.text, links: reply.links || [], safety: reply.safety || null, at: now }
+      );
+      session.messages = session.messages.slice(-MAX_MESSAGES);
+      session.engine = engineState || null;
+      if (reply.category) session.category = reply.category;
+      if (!session.custom_title && session.title === DEFAULT_TITLE) session.title = clip(userText, TITLE_LENGTH);
+      session.updated_at = now;
+      notify();
+      return save();
+    }
+
+    function rename(id, title) {
+      const session = find(id);
+      const clean = clip(title, TITLE_LENGTH);
+      if (!session || !clean) return false;
+      session.title = clean;
+      session.custom_title = true;
+      session.updated_at = new Date().toISOString();
+      notify();
+      save();
+      return true;
+    }
+
+    function remove(id) {
+      const before = sessions.length;
+      sessions = sessions.filter((s) => s.id !== id);
+      if (sessions.length === before) return false;
+      if (activeId === id) activeId = null;
+      notify();
+      save();
+      return true;
+    }
+
+    // Adds (or refreshes) a My Playbook card that links back to the session. The
+    // automatic title is clipped from the first message, so only a title the user
+    // chose is copied onto the card.
+    function exportToPlaybook(id = activeId) {
+      const session = find(id);
+      if (!session || !session.messages.length || !window.TEPPlaybook) return null;
+      const title = session.custom_title ? session.title : categoryLabel(session.category) || DEFAULT_TITLE;
+      return window.TEPPlaybook.upsert({
+        id: "coach-session-" + session.id,
+        title: "Coach session: " + title,
+        type: "coach",
+        category: session.category || "clarity",
+        description: summarise(session),
+        link: COACH_PAGE + "#session=" + encodeURIComponent(session.id),
+      });
+    }
+
+    return {
+      toolId: COACH_TOOL_ID,
+      load,
+      save,
+      list,
+      active,
+      get: find,
+      start,
+      open,
+      addExchange,
+      rename,
+      remove,
+      summarise: (id = activeId) => {
+        const session = find(id);
+        return session ? summarise(session) : "";
+      },
+      exportToPlaybook,
+    };
+  }
+
+  window.TEPCoachSessions = {
+    COACH_TOOL_ID,
+    create,
+  };
+})();
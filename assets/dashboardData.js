@@ -0,0 +1,455 @@
+// assets/dashboardData.js — The Employee Playbook (static HTML + Supabase CDN)
+// Everything dashboard.html shows, read from where each tool already saves it:
+// latest score + band per tool, tools started but not finished, tools not revisited
+// in STALE_DAYS, the My Playbook check-in, and suggested next tools.
+// Requires: assets/toolState.js (local key names), assets/playbook.js (check-in, saved items).
+// Optional: assets/searchIndex.js (titles for suggested pages), assets/vault.js (private vault
+// copies; the passphrase is asked for once if the vault is locked), assets/peopleDirectory.js
+// (quadrants for the stakeholder and political maps), assets/weeklyPlan.js (whether the
+// Eisenhower matrix has been sent to this week), window.supabaseClient.
+//
+// Usage:
+//   const summary = await TEPDashboardData.collect({ userId: user.id });
+//   summary.tools        // one entry per tool with anything saved, newest first:
+//                        // { id, title, page, category, kind, pct, summary, band: { label, level },
+//                        //   status: "finished" | "started", updatedAt, stale, source }
+//   summary.checkin      // TEPPlaybook.getCheckin(), or null
+//   summary.suggestions  // [{ page, title, why }]
+//   summary.cloud        // "ok" | "signed_out" | "error"
+//
+// Sources, newest copy per tool wins:
+//   - Supabase `tool_states` rows for the user (the same rows TEPToolState writes)
+//   - the TEPToolState device copy (`tep_tool_state_<id>`) and each tool's legacy keys
+//   - score snapshots (`<id>_history`, assets/scoreHistory.js): the radar and calculator
+//     only save these, and they are the result of record for the burnout assessment
+//   - the people directory (`people_directory`, assets/peopleDirectory.js) for the stakeholder
+//     and political maps, or their old localStorage keys on a device that hasn't moved them yet
+// band.level is the level of concern ("high" | "medium" | "low") whichever way the tool
+// scores, so a weak boundary score and a high burnout score both read as "high".
+// Tools with no "generated" flag in their saved state count as finished once saved.
+
+(function () {
+  const TABLE = "tool_states";
+  const HISTORY_SUFFIX = "_history";
+  const PEOPLE_TOOL_ID = "people_directory";
+  const STALE_DAYS = 30;
+  const MAX_SUGGESTIONS = 4;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  function readJSON(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function toTime(value) {
+    const t = value ? new Date(value).getTime() : NaN;
+    return Number.isFinite(t) ? t : 0;
+  }
+
+  function checkedPct(list) {
+    if (!Array.isArray(list) || !list.length) return null;
+    return Math.round((list.filter(Boolean).length / list.length) * 100);
+  }
+
+  // bands: [[min, label], ...] highest first. Risk tools: top band = high concern;
+  // strength tools: top band = low concern.
+  function bandFor(pct, bands, strength) {
+    const index = bands.findIndex(([min]) => pct >= min);
+    const i = index < 0 ? bands.length - 1 : index;
+    const levels = strength ? ["low", "medium", "high"] : ["high", "medium", "low"];
+    return { label: bands[i][1], level: levels[Math.min(i, 2)] };
+  }
+
+  // The common checklist shape: { checkedItems: [bool] } plus an optional report flag.
+  function checklist(bands, { strength = false, finishedWhen = null, key = "checkedItems" } = {}) {
+    return (state) => {
+      const pct = checkedPct(state?.[key]);
+      if (pct === null || !state[key].some(Boolean)) return null;
+      return {
+        pct,
+        band: bandFor(pct, bands, strength),
+        finished: finishedWhen ? !!finishedWhen(state) : true,
+      };
+    };
+  }
+
+  // ----------------------------
+  // Tools
+  // ----------------------------
+  function readBurnoutAssessment(state) {
+    const answers = state?.assessment && typeof state.assessment === "object" ? state.assessment : {};
+    const values = Object.values(answers).filter((v) => typeof v === "number");
+    if (!values.length) return null;
+    const QUESTIONS = 16;
+    const pct = Math.round((values.reduce((a, b) => a + b, 0) / (QUESTIONS * 10)) * 100);
+    return {
+      pct,
+      // Same bands as the page's riskBand(); CRITICAL and HIGH RISK are both high concern.
+      band:
+        pct >= 75 ? { label: "CRITICAL", level: "high" }
+        : pct >= 50 ? { label: "HIGH RISK", level: "high" }
+        : pct >= 25 ? { label: "STRAINED", level: "medium" }
+        : { label: "STABLE", level: "low" },
+      finished: !!state.ui?.summaryOpen || values.length >= QUESTIONS,
+    };
+  }
+
+  function readTeamTension(state) {
+    const cells = [];
+    Object.values(state?.heatmap || {}).forEach((row) =>
+      Object.values(row || {}).forEach((v) => typeof v === "number" && cells.push(v))
+    );
+    const sum = cells.reduce((a, b) => a + b, 0);
+    if (!sum) return null;
+    const pct = Math.round((sum / (cells.length * 3)) * 100);
+    const high = cells.filter((v) => v === 3).length;
+    const modPlus = cells.filter((v) => v >= 2).length;
+    // Same priority rule as map-team-tension.html computeStats().
+    let band = { label: "Low", level: "low" };
+    if (high >= 3 || pct >= 55) band = { label: "Critical", level: "high" };
+    else if (high >= 1 || pct >= 35 || modPlus >= 6) band = { label: "High", level: "high" };
+    else if (pct >= 18 || modPlus >= 3) band = { label: "Moderate", level: "medium" };
+    return { pct, band, finished: !!state.reportActive };
+  }
+
+  // Share of matrix tasks in Do now + Schedule. Finished once every one of them is in the
+  // Weekly Priority Planner (the matrix's "Send to this week"), which tags them by source.
+  function readEisenhowerMatrix(state) {
+    const tasks = Array.isArray(state?.tasks) ? state.tasks.filter((t) => t && t.id) : [];
+    if (!tasks.length) return null;
+    const focus = tasks.filter((t) => t.quadrant === "q1" || t.quadrant === "q2");
+    const pct = Math.round((focus.length / tasks.length) * 100);
+    const planned = new Set(
+      (window.TEPWeeklyPlan?.getState().tasks || []).filter((t) => t.source === "eisenhower").map((t) => t.sourceId)
+    );
+    const doNow = tasks.filter((t) => t.quadrant === "q1").length;
+    return {
+      pct,
+      summary: `${tasks.length} task${tasks.length === 1 ? "" : "s"} • ${doNow} to do now`,
+      band: bandFor(pct, [[60, "Focused"], [30, "Mixed"], [0, "Scattered"]], true),
+      finished: focus.length > 0 && focus.every((t) => planned.has(t.id)),
+    };
+  }
+
+  // Maps keep a list of people and only record when each was added. Directory people carry
+  // scores rather than a quadrant; the old map keys stored the quadrant.
+  function readStakeholderMap(list) {
+    if (!Array.isArray(list) || !list.length) return null;
+    const quad = (s) => s.quad || window.TEPPeople?.stakeholderQuad(s);
+    const close = list.filter((s) => quad(s) === "manage_closely").length;
+    return {
+      pct: null,
+      summary: `${list.length} mapped • ${close} to manage closely`,
+      band: null,
+      finished: true,
+      updatedAt: latestCreated(list),
+    };
+  }
+
+  function readPoliticalMap(list) {
+    if (!Array.isArray(list) || !list.length) return null;
+    const quad = (n) => n.quad || window.TEPPeople?.politicalQuad(n);
+    const snipers = list.filter((n) => quad(n) === "snipers").length;
+    return {
+      pct: null,
+      summary: `${list.length} mapped • ${snipers} sniper${snipers === 1 ? "" : "s"}`,
+      band: snipers >= 2 ? { label: "Exposed", level: "high" } : snipers ? { label: "Watch", level: "medium" } : { label: "Supported", level: "low" },
+      finished: true,
+      updatedAt: latestCreated(list),
+    };
+  }
+
+  function latestCreated(list) {
+    const t = Math.max(...list.map((x) => toTime(x.createdAt)));
+    return t ? new Date(t).toISOString() : null;
+  }
+
+  // id: the tool_states tool_id. next: pages worth opening after a high-concern result.
+  const TOOLS = [
+    { id: "burnout-warning-assessment", page: "assessment-burnout-and-capacity.html", title: "Burnout Warning Assessment",
+      category: "expectations", kind: "Assessment", history: true, read: readBurnoutAssessment,
+      next: ["plan-burnout-prevention.html", "plan-sustainable-pace.html"] },
+    { id: "conflict-risk-radar", page: "assessment-conflict-risk-radar.html", title: "Conflict Risk Radar",
+      category: "dynamics", kind: "Assessment", history: true, stateless: true,
+      next: ["map-team-tension.html", "guide-strategic-conversations.html"] },
+    { id: "multifactor-risk-calculator", page: "calculator-multi-factor-risk.html", title: "Multi-Factor Risk Calculator",
+      category: "clarity", kind: "Calculator", history: true, stateless: true,
+      next: ["framework-evidence-and-documentation.html", "framework-risk-and-safety.html"] },
+    { id: "burnout-detection-checklist", page: "checklist-burnout-detection.html", title: "Burnout Detection Checklist",
+      category: "expectations", kind: "Checklist",
+      read: checklist([[60, "High Risk"], [30, "Moderate Risk"], [0, "Low Risk"]], { finishedWhen: (s) => s.recoveryActive || /risk/i.test(s.summaryStatus || "") }),
+      next: ["assessment-burnout-and-capacity.html", "plan-burnout-prevention.html"] },
+    { id: "boundary-strength-checklist", page: "checklist-boundary-strength.html", title: "Boundary Strength Checklist",
+      category: "confidence", kind: "Checklist", legacyKeys: ["tep_progress_boundary_strength_v1"],
+      read: checklist([[75, "Strong"], [40, "Developing"], [0, "Weak"]], { strength: true, key: "checked", finishedWhen: (s) => s.report_generated }),
+      next: ["guide-boundaries.html"] },
+    { id: "capacity-checklist", page: "checklist-capacity.html", title: "Capacity Checklist",
+      category: "expectations", kind: "Checklist",
+      read: checklist([[75, "Strong Evidence"], [40, "Moderate Evidence"], [0, "Gathering Data"]], { strength: true }),
+      next: ["review-quarterly-workload.html", "plan-sustainable-pace.html"] },
+    { id: "decision-clarity-checklist", page: "checklist-decision-clarity.html", title: "Decision Clarity Checklist",
+      category: "clarity", kind: "Checklist",
+      read: checklist([[75, "Clear"], [40, "Partial Clarity"], [0, "Unclear"]], { strength: true }),
+      next: ["framework-decision-clarity.html", "template-decision-record.html"] },
+    { id: "expectations-alignment-guide", page: "checklist-expectation-alignment.html", title: "Expectations Alignment Guide",
+      category: "expectations", kind: "Checklist", legacyKeys: ["tep_tool_state__expectations-alignment-guide"],
+      read: checklist([[75, "Aligned"], [40, "Partly Aligned"], [0, "Misaligned"]], { strength: true, finishedWhen: (s) => s.smartSummaryOpen }),
+      next: ["guide-strategic-conversations.html"] },
+    { id: "manager-pattern-identifier", page: "checklist-manager-pattern-identifier.html", title: "Manager Pattern Identifier",
+      category: "manager", kind: "Checklist",
+      read: checklist([[67, "Strong Pattern"], [34, "Emerging Pattern"], [0, "Few Signals"]]),
+      next: ["framework-micromanagement-to-autonomy.html", "guide-strategic-conversations.html"] },
+    { id: "micromanagement_framework", page: "checklist-micromanagement.html", title: "Micromanagement Checklist",
+      category: "manager", kind: "Checklist",
+      read: checklist([[75, "High Control"], [40, "Moderate Control"], [0, "Low Control"]]),
+      next: ["framework-micromanagement-to-autonomy.html"] },
+    { id: "performance-review-prep", page: "checklist-performance-review-prep.html", title: "Performance Review Prep",
+      category: "career", kind: "Checklist",
+      read: checklist([[75, "Fully Prepared"], [40, "Partially Ready"], [0, "Getting Started"]], { strength: true }),
+      next: ["framework-evidence-and-documentation.html"] },
+    { id: "presence-upgrade-checklist", page: "checklist-presence-upgrade.html", title: "Presence Upgrade Checklist",
+      category: "confidence", kind: "Checklist",
+      read: checklist([[75, "Calm Command"], [45, "Situational Authority"], [0, "Presence Leakage"]], { strength: true }),
+      next: ["routine-presence-90-seconds-reset.html", "assessment-presence-calibration.html"] },
+    { id: "workload-clarity-checklist", page: "checklist-workload-clarity.html", title: "Workload Clarity Checklist",
+      category: "clarity", kind: "Checklist",
+      read: checklist([[75, "Clear & Aligned"], [40, "Partial Clarity"], [0, "Getting Started"]], { strength: true }),
+      next: ["planner-weekly-priority.html", "worksheet-priority-audit.html"] },
+    { id: "eisenhower-matrix", page: "matrix-eisenhower.html", title: "Eisenhower Matrix",
+      category: "clarity", kind: "Matrix", read: readEisenhowerMatrix,
+      next: ["planner-weekly-priority.html", "worksheet-priority-audit.html"] },
+    { id: "team_tension_heatmap", page: "map-team-tension.html", title: "Team Tension Heatmap",
+      category: "dynamics", kind: "Map", legacyKeys: ["tep_state_team_tension_heatmap"], read: readTeamTension,
+      next: ["assessment-conflict-risk-radar.html", "guide-strategic-conversations.html"] },
+    { id: "stakeholder-mapping-grid", page: "map-stakeholder.html", title: "Stakeholder Map",
+      category: "dynamics", kind: "Map", people: true, localOnly: "tepStakeholderMap_v1", read: readStakeholderMap, next: [] },
+    { id: "political-landscape-map", page: "map-political-landscape.html", title: "Political Landscape Map",
+      category: "dynamics", kind: "Map", people: true, localOnly: "tepPoliticalLandscapeMap_v1", read: readPoliticalMap,
+      next: ["framework-credibility-and-positioning.html"] },
+  ];
+
+  // Starting points when there is nothing more specific to suggest.
+  const STARTERS = [
+    "assessment-burnout-and-capacity.html",
+    "checklist-workload-clarity.html",
+    "assessment-conflict-risk-radar.html",
+    "checklist-boundary-strength.html",
+  ];
+
+  // ----------------------------
+  // Reading stored copies
+  // ----------------------------
+  // Same precedence as TEPToolState: current record, then legacy keys (bare state or { state }).
+  function readLocalRecord(toolId, legacyKeys, userId) {
+    const current = readJSON(window.TEPToolState.localKey(toolId));
+    if (current?.state) {
+      if (current.user_id && userId && current.user_id !== userId) return null;
+      return { state: current.state, updatedAt: current.updated_at || null, source: "device" };
+    }
+    for (const key of legacyKeys || []) {
+      const legacy = readJSON(key);
+      if (!legacy || typeof legacy !== "object") continue;
+      const state = legacy.state || legacy;
+      return { state, updatedAt: legacy.updated_at || legacy.saved_at || legacy.ts || null, source: "device" };
+    }
+    return null;
+  }
+
+  async function fetchCloudRows(sb, userId) {
+    const { data, error } = await sb.from(TABLE).select("tool_id, state, tool_version, updated_at").eq("user_id", userId);
+    if (error) throw error;
+    const rows = {};
+    (data || []).forEach((row) => {
+      if (row && row.tool_id && row.state) rows[row.tool_id] = { state: row.state, updatedAt: row.updated_at || null, source: "cloud" };
+    });
+    return rows;
+  }
+
+  function newer(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return toTime(b.updatedAt) > toTime(a.updatedAt) ? b : a;
+  }
+
+  // Sealed copies (assets/vault.js) are opened; ones that can't be are left out.
+  async function openState(value) {
+    if (!window.TEPVault?.isSealed(value)) return value;
+    try {
+      return await window.TEPVault.open(value);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function openRecord(record) {
+    if (!record) return null;
+    const state = await openState(record.state);
+    return state ? { ...record, state } : null;
+  }
+
+  function latestSnapshot(record) {
+    const list = Array.isArray(record?.state?.snapshots) ? record.state.snapshots : [];
+    return list.reduce((best, s) => (s && toTime(s.at) > toTime(best?.at) ? s : best), null);
+  }
+
+  async function describe(tool, cloudRows, userId, now) {
+    let result = null;
+    let record = null;
+
+    if (tool.people) {
+      record = await openRecord(newer(cloudRows[PEOPLE_TOOL_ID], readLocalRecord(PEOPLE_TOOL_ID, [], userId)));
+      result = record ? tool.read(record.state.people) : null;
+      if (!result) record = null;
+    }
+
+    if (tool.localOnly) {
+      if (!result) result = tool.read(await openState(readJSON(tool.localOnly)));
+      if (result && !record) record = { updatedAt: result.updatedAt, source: "device" };
+    } else if (!tool.stateless) {
+      record = await openRecord(newer(cloudRows[tool.id], readLocalRecord(tool.id, tool.legacyKeys, userId)));
+      result = record ? tool.read(record.state) : null;
+    }
+
+    if (tool.history) {
+      const historyRecord = await openRecord(
+        newer(cloudRows[tool.id + HISTORY_SUFFIX], readLocalRecord(tool.id + HISTORY_SUFFIX, [], userId))
+      );
+      const snapshot = latestSnapshot(historyRecord);
+      if (snapshot) {
+        result = {
+          pct: snapshot.pct,
+          band: snapshot.band ? { label: snapshot.band.label, level: snapshot.band.level } : null,
+          finished: true,
+        };
+        const at = { updatedAt: snapshot.at, source: historyRecord.source };
+        record = newer(record, at);
+      }
+    }
+
+    if (!result) return null;
+    const updatedAt = record?.updatedAt || null;
+    return {
+      id: tool.id,
+      title: tool.title,
+      page: tool.page,
+      category: tool.category,
+      kind: tool.kind,
+      pct: typeof result.pct === "number" ? result.pct : null,
+      summary: result.summary || "",
+      band: result.band || null,
+      status: result.finished ? "finished" : "started",
+      updatedAt,
+      stale: !!updatedAt && now - toTime(updatedAt) > STALE_DAYS * DAY_MS,
+      source: record?.source || "device",
+    };
+  }
+
+  // ----------------------------
+  // Suggestions
+  // ----------------------------
+  function pageInfo(page) {
+    const fromIndex = window.TEPSearchIndex?.PAGES?.find((p) => p.url === page);
+    const tool = TOOLS.find((t) => t.page === page);
+    return {
+      title: fromIndex?.title || tool?.title || page.replace(/\.html$/, "").replace(/-/g, " "),
+      description: fromIndex?.description || "",
+    };
+  }
+
+  function suggest(tools, checkin) {
+    const seen = new Set(tools.filter((t) => !t.stale).map((t) => t.page));
+    const out = [];
+    const add = (page, why) => {
+      if (out.length >= MAX_SUGGESTIONS || seen.has(page)) return;
+      seen.add(page);
+      out.push({ page, title: pageInfo(page).title, why });
+    };
+
+    // 1) Follow-ups for the finished results that need attention most.
+    tools
+      .filter((t) => t.status === "finished" && t.band?.level === "high")
+      .forEach((t) => {
+        const tool = TOOLS.find((x) => x.id === t.id);
+        (tool?.next || []).forEach((page) => add(page, `${t.title}: ${t.band.label.toLowerCase()}.`));
+      });
+
+    // 2) The check-in (1–10 scales; 4 or lower is low).
+    if (checkin?.updatedAt) {
+      if (Number(checkin.energy) <= 4) {
+        add("assessment-burnout-and-capacity.html", "Your energy check-in is low.");
+        add("plan-sustainable-pace.html", "Your energy check-in is low.");
+      }
+      if (Number(checkin.clarity) <= 4) {
+        add("checklist-workload-clarity.html", "Your clarity check-in is low.");
+        add("checklist-decision-clarity.html", "Your clarity check-in is low.");
+      }
+    }
+
+    // 3) Tools you haven't used yet in the areas you've saved most to My Playbook.
+    const counts = {};
+    (window.TEPPlaybook?.getItems() || []).forEach((item) => {
+      counts[item.category] = (counts[item.category] || 0) + 1;
+    });
+    Object.keys(counts)
+      .sort((a, b) => counts[b] - counts[a])
+      .forEach((category) =>
+        TOOLS.filter((t) => t.category === category).forEach((t) =>
+          add(t.page, `You’ve saved ${counts[category]} item${counts[category] === 1 ? "" : "s"} in ${window.TEPPlaybook.CATEGORY_LABELS[category] || category}.`)
+        )
+      );
+
+    STARTERS.forEach((page) => add(page, "A good place to start."));
+    return out;
+  }
+
+  // ----------------------------
+  // Collect
+  // ----------------------------
+  async function collect(options = {}) {
+    const sb = options.client || window.supabaseClient || null;
+    const userId = options.userId || null;
+    const now = Date.now();
+
+    let cloudRows = {};
+    let cloud = "signed_out";
+    if (sb && userId) {
+      try {
+        cloudRows = await fetchCloudRows(sb, userId);
+        cloud = "ok";
+      } catch (e) {
+        console.warn("[TEP] Dashboard could not read tool_states:", e?.message || e);
+        cloud = "error";
+      }
+    }
+
+    const described = [];
+    for (const tool of TOOLS) described.push(await describe(tool, cloudRows, userId, now));
+    const tools = described
+      .filter(Boolean)
+      .sort((a, b) => toTime(b.updatedAt) - toTime(a.updatedAt));
+    const checkin = window.TEPPlaybook?.getCheckin() || null;
+
+    return {
+      tools,
+      checkin,
+      suggestions: suggest(tools, checkin),
+      cloud,
+      collectedAt: new Date(now).toISOString(),
+    };
+  }
+
+  window.TEPDashboardData = {
+    TOOLS,
+    STALE_DAYS,
+    collect,
+    bandFor,
+    pageInfo,
+  };
+})();
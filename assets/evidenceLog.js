@@ -0,0 +1,358 @@
+// assets/evidenceLog.js — The Employee Playbook (static HTML + Supabase CDN)
+// Dated evidence log for escalation documentation (form-escalation-documentation.html).
+// Requires: Web Crypto (crypto.subtle, https or localhost) and, for attachments, IndexedDB.
+// Optional: assets/vault.js — with the private vault on, the stored log is encrypted.
+//
+// Usage (on the form page):
+//   const log = TEPEvidenceLog.create({ onChange: renderLog });
+//   await log.load();                                        // reads + verifies the chain
+//   await log.add({ occurred_at: "2026-10-19T14:30", who, what, witnesses, files, amends });
+//   log.chronology();                                        // entries in date order, for the pack
+//   log.toDocSections();                                     // sections for TEPExport documents
+//
+// The log is append-only and stays on this device (localStorage; attached files in
+// IndexedDB). Every entry is hashed with SHA-256 over a canonical form of its fields,
+// its attachments' own SHA-256 hashes and the previous entry's hash, so the entries
+// form a chain: changing, removing or reordering any earlier entry breaks every hash
+// after it. Mistakes are fixed by adding a correction entry (`amends`), never by editing.
+//
+// Canonical form (hash = lowercase hex SHA-256 of this UTF-8 string):
+//   JSON.stringify([1, seq, id, occurred_at, recorded_at, who, what, witnesses, amends,
+//                   [[name, type, size, sha256], ...], prev_hash])
+// The first entry's prev_hash is GENESIS_HASH (64 zeros).
+
+(function () {
+  const STORAGE_KEY = "tep_evidence_log_v1";
+  const DB_NAME = "tep_evidence_files";
+  const DB_STORE = "files";
+  const HASH_VERSION = 1;
+  const GENESIS_HASH = "0".repeat(64);
+
+  const MAX_FILE_BYTES = 10 * 1024 * 1024;
+  const MAX_FIELD = 4000;
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  function makeId(prefix) {
+    return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function clean(value, max = MAX_FIELD) {
+    return String(value || "").replace(/\r\n?/g, "\n").trim().slice(0, max);
+  }
+
+  function hasCrypto() {
+    return !!(window.crypto && window.crypto.subtle && window.TextEncoder);
+  }
+
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  async function sha256(data) {
+    const bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+    return toHex(await window.crypto.subtle.digest("SHA-256", bytes));
+  }
+
+  // "2026-10-19T14:30" -> "19 Oct 2026, 14:30" (kept as the wall time the user entered).
+  function formatWhen(local) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(local || "");
+    if (!m) return local || "—";
+    const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    const day = date.toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric" });
+    return m[4] ? `${day}, ${m[4]}:${m[5]}` : day;
+  }
+
+  function formatSize(bytes) {
+    if (bytes < 1024) return bytes + " B";
+    if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + " KB";
+    return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+  }
+
+  // ----------------------------
+  // Hashing
+  // ----------------------------
+  function canonical(entry) {
+    return JSON.stringify([
+      HASH_VERSION,
+      entry.seq,
+      entry.id,
+      entry.occurred_at,
+      entry.recorded_at,
+      entry.who,
+      entry.what,
+      entry.witnesses,
+      entry.amends || null,
+      (entry.attachments || []).map((a) => [a.name, a.type, a.size, a.sha256]),
+      entry.prev_hash,
+    ]);
+  }
+
+  function hashEntry(entry) {
+    return sha256(canonical(entry));
+  }
+
+  // -> { ok, count, head } or { ok: false, broken_at, reason }
+  async function verifyEntries(entries) {
+    if (!hasCrypto()) return { ok: false, count: entries.length, unsupported: true, reason: "This browser can’t check hashes on this page." };
+    let prev = GENESIS_HASH;
+    for (let i = 0; i < entries.length; i++) {
+      const e = entries[i];
+      const fail = (reason) => ({ ok: false, count: entries.length, broken_at: i + 1, reason });
+      if (e.seq !== i + 1) return fail("An entry is missing or out of order.");
+      if (e.prev_hash !== prev) return fail("The link to the previous entry doesn’t match.");
+      if ((await hashEntry(e)) !== e.hash) return fail("The entry doesn’t match its hash (changed after it was recorded).");
+      prev = e.hash;
+    }
+    return { ok: true, count: entries.length, head: prev };
+  }
+
+  // ----------------------------
+  // Storage
+  // ----------------------------
+  // A log the vault can't open throws rather than reading as empty, so it is never
+  // replaced by a new chain.
+  async function readEntries() {
+    let parsed = null;
+    try {
+      parsed = window.TEPVault
+        ? await window.TEPVault.getItem(STORAGE_KEY)
+        : JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    } catch (e) {
+      if (e.name === "VaultError") throw e;
+    }
+    return parsed && Array.isArray(parsed.entries) ? parsed.entries : [];
+  }
+
+  async function writeEntries(entries) {
+    // Quota errors surface to the caller: a silently unsaved entry would be worse.
+    if (!entries.length) return localStorage.removeItem(STORAGE_KEY);
+    const stored = { version: HASH_VERSION, entries };
+    if (window.TEPVault) await window.TEPVault.setItem(STORAGE_KEY, stored);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  }
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) return reject(new Error("This browser can’t store attachments."));
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+      req.onsuccess = () => {
+        const db = req.result;
+        // Let a delete from another tab (profile.html → Delete my data) go through.
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+    return dbPromise;
+  }
+
+  async function fileStore(mode, run) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(DB_STORE, mode);
+      const req = run(tx.objectStore(DB_STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  const putFile = (id, blob) => fileStore("readwrite", (store) => store.put(blob, id));
+  const readFile = (id) => fileStore("readonly", (store) => store.get(id));
+  const clearFiles = () => fileStore("readwrite", (store) => store.clear());
+
+  // ----------------------------
+  // Log
+  // ----------------------------
+  function create(options = {}) {
+    const onChange = typeof options.onChange === "function" ? options.onChange : () => {};
+    let entries = [];
+    let status = { ok: true, count: 0, head: GENESIS_HASH };
+
+    function notify() {
+      onChange({ entries: list(), status });
+    }
+
+    function list() {
+      return entries.slice();
+    }
+
+    function find(id) {
+      return entries.find((e) => e.id === id) || null;
+    }
+
+    // Date order (when it happened), with corrections pointing both ways.
+    function chronology() {
+      const amendedBy = {};
+      entries.forEach((e) => {
+        if (e.amends) amendedBy[e.amends] = e.seq;
+      });
+      return entries
+        .map((e) => Object.assign({}, e, {
+          when: formatWhen(e.occurred_at),
+          amends_seq: e.amends ? (find(e.amends) || {}).seq || null : null,
+          amended_by: amendedBy[e.id] || null,
+        }))
+        .sort((a, b) => String(a.occurred_at).localeCompare(String(b.occurred_at)) || a.seq - b.seq);
+    }
+
+    async function verify() {
+      status = await verifyEntries(entries);
+      return status;
+    }
+
+    async function load() {
+      entries = await readEntries();
+      await verify();
+      notify();
+      return list();
+    }
+
+    async function add(input = {}) {
+      if (!hasCrypto()) throw new Error("This browser can’t create secure hashes on this page (it needs https).");
+
+      const occurred = clean(input.occurred_at, 16);
+      if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/.test(occurred)) throw new Error("Add the date (and time) it happened.");
+      const what = clean(input.what);
+      if (!what) throw new Error("Describe what happened.");
+
+      const files = Array.from(input.files || []);
+      const tooBig = files.find((f) => f.size > MAX_FILE_BYTES);
+      if (tooBig) throw new Error(`“${tooBig.name}” is over ${formatSize(MAX_FILE_BYTES)}. Attach a smaller copy or note where the original is kept.`);
+
+      // Another tab may have added entries since this one loaded; always extend the stored chain.
+      entries = await readEntries();
+      const amends = input.amends && find(input.amends) ? input.amends : null;
+
+      const attachments = [];
+      for (const file of files) {
+        const id = makeId("ef_");
+        const digest = await sha256(await file.arrayBuffer());
+        await putFile(id, file);
+        attachments.push({ id, name: file.name, type: file.type || "application/octet-stream", size: file.size, sha256: digest });
+      }
+
+      const entry = {
+        seq: entries.length + 1,
+        id: makeId("ev_"),
+        occurred_at: occurred,
+        recorded_at: new Date().toISOString(),
+        who: clean(input.who, 300),
+        what,
+        witnesses: clean(input.witnesses, 300),
+        amends,
+        attachments,
+        prev_hash: entries.length ? entries[entries.length - 1].hash : GENESIS_HASH,
+      };
+      entry.hash = await hashEntry(entry);
+
+      await writeEntries(entries.concat(entry));
+      entries.push(entry);
+      await verify();
+      notify();
+      return entry;
+    }
+
+    // Returns the stored file, and whether it still matches the hash in the log.
+    async function getAttachment(attachmentId) {
+      const entry = entries.find((e) => (e.attachments || []).some((a) => a.id === attachmentId));
+      if (!entry) return null;
+      const meta = entry.attachments.find((a) => a.id === attachmentId);
+      const blob = await readFile(attachmentId);
+      if (!blob) return { meta, blob: null, intact: false };
+      const digest = await sha256(await blob.arrayBuffer());
+      return { meta, blob, intact: digest === meta.sha256 };
+    }
+
+    async function clear() {
+      entries = [];
+      await writeEntries([]);
+      try {
+        await clearFiles();
+      } catch (e) {
+        console.warn("[TEP] Could not clear evidence attachments:", e);
+      }
+      await verify();
+      notify();
+    }
+
+    function statusLine() {
+      if (!entries.length) return "No entries yet.";
+      if (status.unsupported) return `${entries.length} entries • hashes can’t be checked in this browser.`;
+      if (!status.ok) return `Chain broken at entry #${status.broken_at}: ${status.reason}`;
+      return `${entries.length} ${entries.length === 1 ? "entry" : "entries"} • hash chain verified`;
+    }
+
+    // Sections for an assets/export.js document (chronology + integrity details).
+    function toDocSections() {
+      if (!entries.length) return [];
+      const rows = chronology().map((e) => [
+        "#" + e.seq,
+        e.when,
+        e.who || "—",
+        e.what + (e.amends_seq ? `\n(Correction to #${e.amends_seq})` : "") + (e.amended_by ? `\n(Corrected by #${e.amended_by})` : ""),
+        e.witnesses || "—",
+        (e.attachments || []).map((a) => `${a.name} (${formatSize(a.size)})`).join("\n") || "—",
+        e.hash.slice(0, 16) + "…",
+      ]);
+      return [
+        {
+          title: "Chronology (evidence log)",
+          intro: "Entries in the order things happened. Each one was recorded with a timestamp and a SHA-256 hash linked to the entry before it.",
+          blocks: [{ type: "table", columns: ["#", "When", "Who", "What happened", "Witnesses", "Attachments", "Hash"], rows }],
+        },
+        {
+          title: "Log integrity",
+          blocks: [
+            {
+              type: "fields",
+              items: [
+                { label: "Status", value: statusLine() },
+                { label: "First recorded", value: new Date(entries[0].recorded_at).toLocaleString("en-GB") },
+                { label: "Last recorded", value: new Date(entries[entries.length - 1].recorded_at).toLocaleString("en-GB") },
+                { label: "Chain head (latest hash)", value: entries[entries.length - 1].hash },
+                { label: "Method", value: "SHA-256 over each entry’s fields, its attachments’ SHA-256 hashes and the previous entry’s hash. The JSON export holds everything needed to recompute it." },
+              ],
+            },
+            { type: "list", items: entries.map((e) => `#${e.seq} (recorded ${new Date(e.recorded_at).toLocaleString("en-GB")}): ${e.hash}`) },
+          ],
+        },
+      ];
+    }
+
+    return {
+      load,
+      list,
+      get: find,
+      chronology,
+      add,
+      verify,
+      status: () => status,
+      statusLine,
+      getAttachment,
+      clear,
+      toDocSections,
+    };
+  }
+
+  window.TEPEvidenceLog = {
+    GENESIS_HASH,
+    canonical,
+    hashEntry,
+    verifyEntries,
+    formatWhen,
+    create,
+  };
+})();
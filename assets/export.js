@@ -0,0 +1,597 @@
+// assets/export.js — The Employee Playbook (static HTML + Supabase CDN)
+// One export pipeline for generated packs: the page describes its output once as a
+// document model and gets Markdown, a print-styled HTML page (browser "Save as PDF"),
+// plain text and JSON from it, all laid out the same way whichever tool made them.
+// No dependencies.
+//
+// Usage (on a tool page):
+//   const doc = {
+//     title: "Escalation documentation pack",
+//     subtitle: "One-page summary, risk framing and scripts",
+//     tool: { id: CURRENT_TOOL_ID, title: CURRENT_TOOL_TITLE },
+//     meta: [{ label: "Case", value: d.case_title }],
+//     sections: [
+//       { title: "Facts + timeline", blocks: [{ type: "fields", items: [{ label: "Started", value: "3 March" }] }] },
+//       { title: "Risk framing", blocks: [{ type: "cards", variant: "risk", items: [{ title, body, level: "high" }] }] },
+//     ],
+//     data: { ... },   // optional: raw tool data, only written to the JSON export
+//   };
+//   TEPExport.print(doc);                                 // print / save as PDF
+//   TEPExport.download(doc, "md", "escalation-pack");      // .md / .txt / .json / .html
+//   TEPExport.attachMenu(downloadBtn, buildPackDoc, { filename: "escalation-pack" });
+//
+// Blocks (each section has a title and a list of blocks):
+//   { type: "paragraph", text }
+//   { type: "fields", items: [{ label, value }] }          // label/value pairs, values may be multi-line
+//   { type: "list", items: ["..."], ordered }
+//   { type: "table", columns: ["..."], rows: [["..."]] }
+//   { type: "cards", variant: "risk" | "script" | "note", items: [{ title, body, level }] }
+//                                                          // level: "high" | "medium" | "low" (risk cards)
+// Empty values render as "—" so a half-filled form still prints as a complete record.
+
+(function () {
+  const BRAND = "The Employee Playbook";
+  const SITE = "www.theemployeeplaybook.com";
+  const EMPTY = "—";
+
+  const FORMATS = {
+    pdf: { label: "Print / Save as PDF", icon: "fa-print" },
+    md: { label: "Markdown (.md)", icon: "fa-file-lines", ext: "md", mime: "text/markdown" },
+    txt: { label: "Plain text (.txt)", icon: "fa-file", ext: "txt", mime: "text/plain" },
+    html: { label: "Web page (.html)", icon: "fa-file-code", ext: "html", mime: "text/html" },
+    json: { label: "Data (.json)", icon: "fa-file-code", ext: "json", mime: "application/json" },
+  };
+  const DEFAULT_MENU = ["pdf", "md", "txt", "json"];
+
+  // ----------------------------
+  // Model
+  // ----------------------------
+  function str(value) {
+    if (value === null || value === undefined) return "";
+    return String(value).replace(/\r\n?/g, "\n").trim();
+  }
+
+  function orEmpty(value) {
+    return str(value) || EMPTY;
+  }
+
+  function cleanBlock(block) {
+    if (!block || typeof block !== "object") return null;
+    switch (block.type) {
+      case "paragraph":
+        return str(block.text) ? { type: "paragraph", text: str(block.text) } : null;
+      case "fields":
+        return {
+          type: "fields",
+          items: (block.items || []).filter(Boolean).map((f) => ({ label: str(f.label), value: orEmpty(f.value) })),
+        };
+      case "list": {
+        const items = (block.items || []).map(str).filter(Boolean);
+        return items.length ? { type: "list", ordered: !!block.ordered, items } : null;
+      }
+      case "table": {
+        const columns = (block.columns || []).map(str);
+        const rows = (block.rows || []).map((row) => columns.map((_, i) => str(row[i])));
+        return columns.length ? { type: "table", columns, rows } : null;
+      }
+      case "cards": {
+        const items = (block.items || [])
+          .filter(Boolean)
+          .map((c) => ({ title: str(c.title), body: str(c.body), level: c.level || null }));
+        return items.length ? { type: "cards", variant: block.variant || "note", items } : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Fills in defaults and drops anything a renderer would not know how to show.
+  function normalise(doc) {
+    const d = doc || {};
+    const tool = d.tool || {};
+    return {
+      title: str(d.title) || str(document.title) || BRAND,
+      subtitle: str(d.subtitle),
+      tool: {
+        id: str(tool.id),
+        title: str(tool.title),
+        url: str(tool.url) || location.pathname.replace(/^\//, ""),
+      },
+      created_at: d.created_at || new Date().toISOString(),
+      meta: (d.meta || []).filter(Boolean).map((m) => ({ label: str(m.label), value: orEmpty(m.value) })),
+      sections: (d.sections || [])
+        .filter(Boolean)
+        .map((s) => ({ title: str(s.title), intro: str(s.intro), blocks: (s.blocks || []).map(cleanBlock).filter(Boolean) }))
+        .filter((s) => s.blocks.length || s.intro),
+      data: d.data === undefined ? null : d.data,
+    };
+  }
+
+  function formatDate(iso) {
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime())) return "";
+    return date.toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric" });
+  }
+
+  function footerLine(doc) {
+    const parts = ["Generated with " + BRAND];
+    if (doc.tool.title) parts.push(doc.tool.title);
+    parts.push(formatDate(doc.created_at));
+    return parts.filter(Boolean).join(" • ");
+  }
+
+  // ----------------------------
+  // Plain text
+  // ----------------------------
+  function indent(text, pad) {
+    return text.split("\n").map((l) => pad + l).join("\n");
+  }
+
+  // Word-wraps a cell to its column so long text stays readable in a fixed-width file.
+  function wrapCell(text, width) {
+    const lines = [];
+    text.split("\n").forEach((para) => {
+      let line = "";
+      para.split(/\s+/).forEach((word) => {
+        while (word.length > width) {
+          if (line) lines.push(line);
+          lines.push(word.slice(0, width));
+          word = word.slice(width);
+          line = "";
+        }
+        if (!line) line = word;
+        else if (line.length + 1 + word.length <= width) line += " " + word;
+        else {
+          lines.push(line);
+          line = word;
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  function textTable(block) {
+    const widths = block.columns.map((c, i) =>
+      Math.min(40, Math.max(c.length, ...block.rows.map((r) => Math.max(...r[i].split("\n").map((l) => l.length)))))
+    );
+    const row = (cells) => {
+      const wrapped = cells.map((c, i) => wrapCell(c, widths[i]));
+      const height = Math.max(...wrapped.map((w) => w.length));
+      const lines = [];
+      for (let n = 0; n < height; n++) {
+        lines.push(wrapped.map((w, i) => (w[n] || "").padEnd(widths[i])).join(" | ").trimEnd());
+      }
+      return lines.join("\n");
+    };
+    return [row(block.columns), widths.map((w) => "-".repeat(w)).join("-+-"), ...block.rows.map(row)].join("\n");
+  }
+
+  function textBlock(block) {
+    switch (block.type) {
+      case "paragraph":
+        return block.text;
+      case "fields":
+        return block.items
+          .map((f) => (f.value.includes("\n") ? `• ${f.label}:\n${indent(f.value, "   ")}` : `• ${f.label}: ${f.value}`))
+          .join("\n");
+      case "list":
+        return block.items.map((item, i) => (block.ordered ? `${i + 1}. ` : "• ") + item).join("\n");
+      case "table":
+        return textTable(block);
+      case "cards":
+        return block.items
+          .map((c, i) => {
+            const level = c.level ? ` [${c.level.toUpperCase()}]` : "";
+            const body = block.variant === "script" ? c.body : indent(c.body, "   ");
+            return `${i + 1}. ${c.title}${level}\n${body}`;
+          })
+          .join("\n\n");
+      default:
+        return "";
+    }
+  }
+
+  function toText(input) {
+    const doc = normalise(input);
+    const title = doc.title.toUpperCase();
+    const out = [title, "=".repeat(title.length)];
+    if (doc.subtitle) out.push(doc.subtitle);
+    out.push(`Date created: ${formatDate(doc.created_at)}`);
+    doc.meta.forEach((m) => out.push(`${m.label}: ${m.value}`));
+
+    doc.sections.forEach((s) => {
+      const heading = s.title.toUpperCase();
+      out.push("", "", heading, "-".repeat(heading.length));
+      if (s.intro) out.push(s.intro, "");
+      out.push(s.blocks.map(textBlock).join("\n\n"));
+    });
+
+    out.push("", "", footerLine(doc));
+    return out.join("\n") + "\n";
+  }
+
+  // ----------------------------
+  // Markdown
+  // ----------------------------
+  function escapeMd(text) {
+    return text
+      .replace(/([\\`*_<])/g, "\\$1")
+      .replace(/^(\s*)([#>+=])/gm, "$1\\$2")
+      .replace(/^(\s*)(\d+)\./gm, "$1$2\\.");
+  }
+
+  // Keeps the line breaks people typed (Markdown would otherwise join them).
+  function mdLines(text) {
+    return escapeMd(text).split("\n").join("  \n");
+  }
+
+  function mdCell(text) {
+    return escapeMd(text).replace(/\|/g, "\\|").replace(/\n/g, "<br>");
+  }
+
+  function mdBlock(block) {
+    switch (block.type) {
+      case "paragraph":
+        return mdLines(block.text);
+      case "fields":
+        return block.items
+          .map((f) => (f.value.includes("\n") ? `**${escapeMd(f.label)}**  \n${mdLines(f.value)}` : `**${escapeMd(f.label)}:** ${mdLines(f.value)}`))
+          .join("\n\n");
+      case "list":
+        return block.items.map((item, i) => (block.ordered ? `${i + 1}. ` : "- ") + mdLines(item).replace(/ {2}\n/g, "  \n   ")).join("\n");
+      case "table":
+        return [
+          "| " + block.columns.map(mdCell).join(" | ") + " |",
+          "| " + block.columns.map(() => "---").join(" | ") + " |",
+          ...block.rows.map((r) => "| " + r.map(mdCell).join(" | ") + " |"),
+        ].join("\n");
+      case "cards":
+        return block.items
+          .map((c, i) => {
+            const level = c.level ? ` _(${c.level})_` : "";
+            const body = block.variant === "script"
+              ? c.body.split("\n").map((l) => "> " + escapeMd(l)).join("  \n")
+              : mdLines(c.body);
+            return `### ${i + 1}. ${escapeMd(c.title)}${level}\n\n${body}`;
+          })
+          .join("\n\n");
+      default:
+        return "";
+    }
+  }
+
+  function toMarkdown(input) {
+    const doc = normalise(input);
+    const out = [`# ${escapeMd(doc.title)}`, ""];
+    if (doc.subtitle) out.push(`_${escapeMd(doc.subtitle)}_`, "");
+    out.push(`**Date created:** ${formatDate(doc.created_at)}  `);
+    doc.meta.forEach((m) => out.push(`**${escapeMd(m.label)}:** ${escapeMd(m.value.replace(/\n/g, " "))}  `));
+
+    doc.sections.forEach((s) => {
+      out.push("", `## ${escapeMd(s.title)}`, "");
+      if (s.intro) out.push(mdLines(s.intro), "");
+      out.push(s.blocks.map(mdBlock).join("\n\n"));
+    });
+
+    out.push("", "---", "", `_${escapeMd(footerLine(doc))}_`);
+    return out.join("\n") + "\n";
+  }
+
+  // ----------------------------
+  // HTML (print-styled, standalone)
+  // ----------------------------
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  const PRINT_CSS = `
+    @page { size: A4; margin: 18mm 16mm 20mm; }
+    *{ box-sizing: border-box; }
+    body{
+      margin: 0 auto; max-width: 780px; padding: 32px 24px;
+      font: 14px/1.55 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif;
+      color: #1f2430; background: #fff;
+    }
+    .brand{ font-size: 11px; font-weight: 700; letter-spacing: .08em; text-transform: uppercase; color: #7b5fc4; }
+    h1{ font-size: 24px; line-height: 1.2; margin: 6px 0 4px; }
+    .subtitle{ margin: 0 0 14px; color: #5b6270; }
+    .meta{ width: 100%; border-collapse: collapse; margin: 14px 0 8px; font-size: 13px; }
+    .meta th, .meta td{ text-align: left; vertical-align: top; padding: 6px 10px; border-bottom: 1px solid #ece9f5; }
+    .meta th{ width: 30%; color: #5b6270; font-weight: 600; }
+    h2{
+      font-size: 15px; text-transform: uppercase; letter-spacing: .04em;
+      margin: 26px 0 10px; padding: 0 0 6px 10px;
+      border-left: 4px solid #7b5fc4; border-bottom: 1px solid #ece9f5;
+      break-after: avoid;
+    }
+    .intro, .para{ margin: 0 0 10px; white-space: pre-wrap; }
+    .fields{ width: 100%; border-collapse: collapse; margin: 0 0 10px; }
+    .fields th, .fields td{ text-align: left; vertical-align: top; padding: 7px 10px; border-bottom: 1px solid #f0eef6; }
+    .fields th{ width: 30%; font-weight: 600; }
+    .fields td{ white-space: pre-wrap; }
+    ul, ol{ margin: 0 0 10px; padding-left: 22px; }
+    li{ margin: 2px 0; white-space: pre-wrap; }
+    .table{ width: 100%; border-collapse: collapse; margin: 0 0 10px; font-size: 13px; }
+    .table th, .table td{ text-align: left; vertical-align: top; padding: 6px 8px; border: 1px solid #e4e0f0; white-space: pre-wrap; }
+    .table th{ background: #f6f4fb; }
+    .table tr{ break-inside: avoid; }
+    .cards{ display: grid; gap: 10px; margin: 0 0 10px; }
+    .card{ border: 1px solid #e4e0f0; border-left: 4px solid #7b5fc4; border-radius: 8px; padding: 10px 12px; break-inside: avoid; }
+    .card.high{ border-left-color: #dc2626; }
+    .card.medium{ border-left-color: #d97706; }
+    .card.low{ border-left-color: #059669; }
+    .card h3{ font-size: 14px; margin: 0 0 6px; }
+    .card .level{ font-size: 11px; font-weight: 700; text-transform: uppercase; color: #5b6270; margin-left: 6px; }
+    .card .body{ white-space: pre-wrap; margin: 0; }
+    .card.script .body{ background: #f8f7fc; border-radius: 6px; padding: 8px 10px; font-size: 13px; }
+    footer{ margin-top: 28px; padding-top: 10px; border-top: 1px solid #ece9f5; font-size: 11px; color: #5b6270; }
+    @media print{ body{ padding: 0; max-width: none; } }
+  `;
+
+  function htmlBlock(block, variantClass) {
+    switch (block.type) {
+      case "paragraph":
+        return `<p class="para">${escapeHtml(block.text)}</p>`;
+      case "fields":
+        return `<table class="fields"><tbody>${block.items
+          .map((f) => `<tr><th scope="row">${escapeHtml(f.label)}</th><td>${escapeHtml(f.value)}</td></tr>`)
+          .join("")}</tbody></table>`;
+      case "list": {
+        const tag = block.ordered ? "ol" : "ul";
+        return `<${tag}>${block.items.map((i) => `<li>${escapeHtml(i)}</li>`).join("")}</${tag}>`;
+      }
+      case "table":
+        return `<table class="table"><thead><tr>${block.columns.map((c) => `<th scope="col">${escapeHtml(c)}</th>`).join("")}</tr></thead><tbody>${block.rows
+          .map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`)
+          .join("")}</tbody></table>`;
+      case "cards":
+        return `<div class="cards">${block.items
+          .map((c) => {
+            const cls = ["card", variantClass(block.variant), c.level].filter(Boolean).join(" ");
+            const level = c.level ? `<span class="level">${escapeHtml(c.level)}</span>` : "";
+            return `<div class="${escapeHtml(cls)}"><h3>${escapeHtml(c.title)}${level}</h3><p class="body">${escapeHtml(c.body)}</p></div>`;
+          })
+          .join("")}</div>`;
+      default:
+        return "";
+    }
+  }
+
+  function toHtml(input) {
+    const doc = normalise(input);
+    const variantClass = (v) => (["risk", "script", "note"].includes(v) ? v : "");
+    const meta = [{ label: "Date created", value: formatDate(doc.created_at) }].concat(doc.meta);
+
+    const body = [
+      `<div class="brand">${escapeHtml(BRAND)}${doc.tool.title ? " • " + escapeHtml(doc.tool.title) : ""}</div>`,
+      `<h1>${escapeHtml(doc.title)}</h1>`,
+      doc.subtitle ? `<p class="subtitle">${escapeHtml(doc.subtitle)}</p>` : "",
+      `<table class="meta"><tbody>${meta
+        .map((m) => `<tr><th scope="row">${escapeHtml(m.label)}</th><td>${escapeHtml(m.value)}</td></tr>`)
+        .join("")}</tbody></table>`,
+      ...doc.sections.map(
+        (s) =>
+          `<section><h2>${escapeHtml(s.title)}</h2>${s.intro ? `<p class="intro">${escapeHtml(s.intro)}</p>` : ""}${s.blocks
+            .map((b) => htmlBlock(b, variantClass))
+            .join("")}</section>`
+      ),
+      `<footer>${escapeHtml(footerLine(doc))} • ${escapeHtml(SITE)}</footer>`,
+    ].join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(doc.title)}</title>
+<style>${PRINT_CSS}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+
+  // ----------------------------
+  // JSON
+  // ----------------------------
+  function toJSON(input) {
+    const doc = normalise(input);
+    return JSON.stringify(
+      {
+        format: "tep-export",
+        version: 1,
+        title: doc.title,
+        subtitle: doc.subtitle,
+        tool: doc.tool,
+        created_at: doc.created_at,
+        meta: doc.meta,
+        sections: doc.sections,
+        data: doc.data,
+      },
+      null,
+      2
+    );
+  }
+
+  function render(doc, format) {
+    if (format === "md") return toMarkdown(doc);
+    if (format === "html") return toHtml(doc);
+    if (format === "json") return toJSON(doc);
+    return toText(doc);
+  }
+
+  // ----------------------------
+  // Output
+  // ----------------------------
+  function downloadFile(text, filename, mime) {
+    const blob = new Blob([text], { type: (mime || "text/plain") + ";charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function download(doc, format, filename) {
+    if (format === "pdf") return print(doc);
+    const f = FORMATS[format] || FORMATS.txt;
+    const base = str(filename) || "export-" + new Date().toISOString().slice(0, 10);
+    downloadFile(render(doc, format), base + "." + f.ext, f.mime);
+  }
+
+  // Prints the standalone HTML from a hidden frame, so the page itself is untouched.
+  function print(doc) {
+    const frame = document.createElement("iframe");
+    frame.setAttribute("aria-hidden", "true");
+    frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0;visibility:hidden;";
+    document.body.appendChild(frame);
+
+    const fdoc = frame.contentWindow.document;
+    fdoc.open();
+    fdoc.write(toHtml(doc));
+    fdoc.close();
+
+    const cleanup = () => setTimeout(() => frame.remove(), 1000);
+    frame.contentWindow.addEventListener("afterprint", cleanup);
+    setTimeout(() => {
+      try {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+      } catch (e) {
+        console.warn("[TEP] Print failed:", e);
+        frame.remove();
+      }
+    }, 50);
+  }
+
+  function copy(doc, format = "txt") {
+    return navigator.clipboard.writeText(render(doc, format));
+  }
+
+  // ----------------------------
+  // Format menu
+  // ----------------------------
+  function injectStyles() {
+    if (document.getElementById("tep-export-styles")) return;
+    const style = document.createElement("style");
+    style.id = "tep-export-styles";
+    style.textContent = `
+      .tep-export-menu{
+        position:absolute; z-index:2500; min-width:220px; padding:6px;
+        background:#fff; color:#1f2430; border:1px solid rgba(0,0,0,.08);
+        border-radius:12px; box-shadow:0 16px 40px rgba(0,0,0,.16);
+      }
+      .tep-export-menu[hidden]{ display:none; }
+      .tep-export-menu button{
+        display:flex; align-items:center; gap:10px; width:100%;
+        padding:9px 10px; border:0; border-radius:8px; background:none;
+        font:inherit; font-size:14px; color:inherit; text-align:left; cursor:pointer;
+      }
+      .tep-export-menu button i{ width:16px; color:#7b5fc4; }
+      .tep-export-menu button:hover, .tep-export-menu button:focus-visible{ background:rgba(123,95,196,.10); outline:none; }
+      .dark-mode .tep-export-menu{ background:#12141c; color:rgba(255,255,255,.92); border-color:rgba(255,255,255,.10); }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Turns a button into a format picker. getDoc is called at click time so the export
+  // always reflects what is on screen.
+  function attachMenu(button, getDoc, options = {}) {
+    if (!button) return null;
+    injectStyles();
+    const formats = (options.formats || DEFAULT_MENU).filter((f) => FORMATS[f]);
+
+    const menu = document.createElement("div");
+    menu.className = "tep-export-menu";
+    menu.setAttribute("role", "menu");
+    menu.hidden = true;
+    menu.innerHTML = formats
+      .map((f) => `<button type="button" role="menuitem" data-format="${f}"><i class="fas ${FORMATS[f].icon}"></i> ${escapeHtml(FORMATS[f].label)}</button>`)
+      .join("");
+    document.body.appendChild(menu);
+
+    button.setAttribute("aria-haspopup", "menu");
+    button.setAttribute("aria-expanded", "false");
+
+    function close() {
+      if (menu.hidden) return;
+      menu.hidden = true;
+      button.setAttribute("aria-expanded", "false");
+    }
+
+    function open() {
+      const rect = button.getBoundingClientRect();
+      menu.hidden = false;
+      const left = Math.min(rect.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - menu.offsetWidth - 8);
+      menu.style.top = rect.bottom + window.scrollY + 6 + "px";
+      menu.style.left = Math.max(8, left) + "px";
+      button.setAttribute("aria-expanded", "true");
+      const first = menu.querySelector("button");
+      if (first) first.focus();
+    }
+
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (menu.hidden) open();
+      else close();
+    });
+
+    menu.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-format]");
+      if (!item) return;
+      const format = item.dataset.format;
+      close();
+      const doc = getDoc();
+      if (!doc) return;
+      download(doc, format, typeof options.filename === "function" ? options.filename() : options.filename);
+      if (typeof options.onExport === "function") options.onExport(format);
+    });
+
+    menu.addEventListener("keydown", (e) => {
+      const items = Array.from(menu.querySelectorAll("button"));
+      const i = items.indexOf(document.activeElement);
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const next = (i + (e.key === "ArrowDown" ? 1 : -1) + items.length) % items.length;
+        items[next].focus();
+      } else if (e.key === "Escape") {
+        close();
+        button.focus();
+      } else if (e.key === "Tab") {
+        close();
+      }
+    });
+
+    document.addEventListener("click", (e) => {
+      if (!menu.contains(e.target)) close();
+    });
+    window.addEventListener("resize", close);
+
+    return { open, close, menu };
+  }
+
+  window.TEPExport = {
+    FORMATS,
+    normalise,
+    toMarkdown,
+    toHtml,
+    toText,
+    toJSON,
+    render,
+    download,
+    print,
+    copy,
+    attachMenu,
+  };
+})();
@@ -0,0 +1,104 @@
+// assets/offline.js — The Employee Playbook (static HTML + Supabase CDN)
+// Offline support: registers the service worker (/sw.js) and shows an "Offline" chip in
+// the header while the connection is down.
+// Include in <head>:
+//   <link rel="manifest" href="manifest.webmanifest">
+//   <script src="assets/offline.js"></script>
+//
+// Usage from page code:
+//   if (TEPOffline.isOffline()) { ... }
+// Pages can listen for "tep:connection" on document (detail: { online }).
+//
+// Keeping a guarded page open offline is accessControl.js's job (offlineUser): it stands
+// in the account cached under "tep_user" when the session can't be refreshed. Saves made
+// meanwhile stay in the TEPToolState queue and sync when the connection is back.
+
+(function () {
+  const SW_URL = "/sw.js";
+
+  let chip = null;
+
+  function isOffline() {
+    return typeof navigator !== "undefined" && navigator.onLine === false;
+  }
+
+  // ----------------------------
+  // Service worker
+  // ----------------------------
+  function register() {
+    if (!("serviceWorker" in navigator) || !window.isSecureContext) return Promise.resolve(null);
+    return navigator.serviceWorker.register(SW_URL).catch((err) => {
+      console.warn("[TEP] Service worker not registered:", err?.message || err);
+      return null;
+    });
+  }
+
+  // ----------------------------
+  // Header chip
+  // ----------------------------
+  function injectStyles() {
+    if (document.getElementById("tep-offline-styles")) return;
+    const style = document.createElement("style");
+    style.id = "tep-offline-styles";
+    style.textContent = `
+      .tep-offline-chip{
+        display:inline-flex; align-items:center; gap:6px;
+        padding:5px 11px; border-radius:999px;
+        font-size:12px; font-weight:600; line-height:1.2; white-space:nowrap;
+        background: rgba(245,158,11,.14); color:#B45309;
+        border:1px solid rgba(245,158,11,.35);
+      }
+      .tep-offline-chip[hidden]{ display:none; }
+      .tep-offline-chip.floating{
+        position:fixed; left:16px; bottom:16px; z-index:9999;
+        background:#FFFBEB; box-shadow:0 6px 18px rgba(0,0,0,.12);
+      }
+      body.dark-mode .tep-offline-chip{ color:#FCD34D; }
+      body.dark-mode .tep-offline-chip.floating{ background:#3B2F12; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function mountChip() {
+    if (chip) return;
+    injectStyles();
+    chip = document.createElement("span");
+    chip.className = "tep-offline-chip";
+    chip.setAttribute("role", "status");
+    chip.title = "You’re offline. Tools keep working and save on this device; they sync when you reconnect.";
+    chip.innerHTML = '<i class="fas fa-wifi" aria-hidden="true"></i> Offline';
+
+    // Pages without the standard header (sign-in etc.) get a floating chip instead.
+    const actions = document.querySelector(".nav-actions");
+    if (actions) actions.insertBefore(chip, actions.firstChild);
+    else {
+      chip.classList.add("floating");
+      document.body.appendChild(chip);
+    }
+  }
+
+  function render() {
+    mountChip();
+    chip.hidden = !isOffline();
+  }
+
+  function onChange() {
+    render();
+    document.dispatchEvent(new CustomEvent("tep:connection", { detail: { online: !isOffline() } }));
+  }
+
+  window.addEventListener("online", onChange);
+  window.addEventListener("offline", onChange);
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", render);
+  else render();
+
+  const registration = new Promise((resolve) => {
+    if (document.readyState === "complete") resolve(register());
+    else window.addEventListener("load", () => resolve(register()), { once: true });
+  });
+
+  window.TEPOffline = {
+    isOffline,
+    registration,
+  };
+})();
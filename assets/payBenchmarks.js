@@ -0,0 +1,181 @@
+// assets/payBenchmarks.js — The Employee Playbook (static HTML + Supabase CDN)
+// Salary benchmarks imported from a CSV on the user's device (nothing is uploaded), and
+// where a salary sits against them as an approximate market percentile.
+// No dependencies.
+//
+// Usage:
+//   const rows = TEPPayBenchmarks.parse(csvText);          // throws Error with a readable message
+//   const rows = await TEPPayBenchmarks.readFile(file);    // same, from an <input type="file">
+//   const pos = TEPPayBenchmarks.position(60000, rows[0]);
+//   pos.label      // "P62"  (or "below P10" / "above P90")
+//   TEPPayBenchmarks.describe(60000, rows[0]);             // "around P62 (P50 £58,000 · P75 £64,000)"
+//
+// CSV: one row per role + band. Needs a role column and at least two percentile columns.
+//   role,band,p10,p25,p50,p75,p90
+//   Senior Analyst,B,44000,49000,55000,61000,68000
+// Header aliases: job/title → role; level/grade → band; median → p50; lower quartile → p25;
+// upper quartile → p75. Optional: location, source. Money may be written "£55,000" or "55k".
+// Percentiles between the given points are interpolated in a straight line.
+
+(function () {
+  const MAX_ROWS = 500;
+
+  const HEADER_ALIASES = {
+    role: "role", job: "role", job_title: "role", title: "role",
+    band: "band", level: "band", grade: "band",
+    location: "location", region: "location",
+    source: "source",
+    median: "p50", lower_quartile: "p25", upper_quartile: "p75",
+  };
+
+  // ----------------------------
+  // CSV
+  // ----------------------------
+  // Quoted fields may contain commas, doubled quotes and line breaks.
+  function splitCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+    const src = String(text || "").replace(/^﻿/, "");
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (inQuotes) {
+        if (ch === '"' && src[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') inQuotes = false;
+        else cell += ch;
+      } else if (ch === '"') inQuotes = true;
+      else if (ch === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && src[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else cell += ch;
+    }
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((c) => c.trim()));
+  }
+
+  function columnKey(header) {
+    const key = String(header || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+    if (HEADER_ALIASES[key]) return HEADER_ALIASES[key];
+    const p = /^p(?:ercentile)?_?(\d{1,2})(?:th)?$/.exec(key);
+    return p ? "p" + Number(p[1]) : key;
+  }
+
+  // "£55,000" -> 55000, "55k" -> 55000; anything else -> null
+  function toMoney(value) {
+    const text = String(value ?? "").trim().toLowerCase().replace(/[£,\s]/g, "");
+    const m = /^(\d+(?:\.\d+)?)(k)?$/.exec(text);
+    if (!m) return null;
+    const n = Number(m[1]) * (m[2] ? 1000 : 1);
+    return n > 0 ? Math.round(n) : null;
+  }
+
+  function parse(text) {
+    const [header, ...lines] = splitCSV(text);
+    if (!header) throw new Error("That file is empty.");
+
+    const columns = header.map(columnKey);
+    const pColumns = columns.filter((c) => /^p\d+$/.test(c));
+    if (!columns.includes("role")) throw new Error("The CSV needs a “role” column.");
+    if (pColumns.length < 2) throw new Error("The CSV needs at least two percentile columns (e.g. p25, p50, p75).");
+
+    const rows = [];
+    lines.slice(0, MAX_ROWS).forEach((cells, index) => {
+      const raw = {};
+      columns.forEach((c, i) => {
+        raw[c] = (cells[i] ?? "").trim();
+      });
+      if (!raw.role) return;
+
+      const points = pColumns
+        .map((c) => ({ p: Number(c.slice(1)), value: toMoney(raw[c]) }))
+        .filter((pt) => pt.p > 0 && pt.p < 100 && pt.value)
+        .sort((a, b) => a.p - b.p);
+      // Figures must rise with the percentile, or positions can't be read off them
+      if (points.length < 2 || points.some((pt, i) => i && pt.value < points[i - 1].value)) return;
+
+      const row = {
+        id: `bm_${index + 1}`,
+        role: raw.role,
+        band: raw.band || "",
+        location: raw.location || "",
+        source: raw.source || "",
+        points,
+      };
+      points.forEach((pt) => {
+        row["p" + pt.p] = pt.value;
+      });
+      rows.push(row);
+    });
+
+    if (!rows.length) throw new Error("No usable rows found (each needs a role and two salary figures).");
+    return rows;
+  }
+
+  function readFile(file) {
+    if (!file) return Promise.reject(new Error("No file chosen."));
+    return file.text().then(parse);
+  }
+
+  // ----------------------------
+  // Positioning
+  // ----------------------------
+  function label(row) {
+    return [row.role, row.band ? `Band ${row.band}` : "", row.location].filter(Boolean).join(" · ");
+  }
+
+  // Returns { percentile, label, below, above, lower, upper } (lower/upper are the
+  // benchmark points either side), or null without a salary or usable row.
+  function position(salary, row) {
+    const value = Number(salary);
+    const points = Array.isArray(row?.points) ? row.points : [];
+    if (!Number.isFinite(value) || value <= 0 || points.length < 2) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (value < first.value) return { percentile: null, label: `below P${first.p}`, below: true, above: false, lower: null, upper: first };
+    if (value > last.value) return { percentile: null, label: `above P${last.p}`, below: false, above: true, lower: last, upper: null };
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const lo = points[i];
+      const hi = points[i + 1];
+      if (value < lo.value || value > hi.value) continue;
+      const span = hi.value - lo.value;
+      const percentile = Math.round(span ? lo.p + ((value - lo.value) / span) * (hi.p - lo.p) : lo.p);
+      return { percentile, label: `P${percentile}`, below: false, above: false, lower: lo, upper: hi };
+    }
+    return null;
+  }
+
+  function fmt(n) {
+    return Number(n).toLocaleString("en-GB", { style: "currency", currency: "GBP", maximumFractionDigits: 0 });
+  }
+
+  function describe(salary, row) {
+    const pos = position(salary, row);
+    if (!pos) return "";
+    const around = [pos.lower, pos.upper].filter(Boolean).map((pt) => `P${pt.p} ${fmt(pt.value)}`).join(" · ");
+    return `${pos.percentile == null ? pos.label : `around ${pos.label}`} (${around})`;
+  }
+
+  window.TEPPayBenchmarks = {
+    parse,
+    readFile,
+    toMoney,
+    label,
+    position,
+    describe,
+  };
+})();
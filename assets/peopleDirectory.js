@@ -0,0 +1,868 @@
+// assets/peopleDirectory.js — The Employee Playbook (static HTML + Supabase CDN)
+// One directory of the people a user maps, shared by the stakeholder map, the political
+// landscape map and the team tension heatmap: add someone once and they appear in all three.
+// Requires: assets/toolState.js (storage). Optional: assets/vault.js (seals it like any tool
+// state, and opens the old political map key when moving people in).
+//
+// Usage (on a map page):
+//   await TEPPeople.load({ view: "stakeholder" });     // once; later calls share the same load
+//   TEPPeople.list();                                  // newest first
+//   const p = TEPPeople.add({ name: "Sam", influence: 4, interest: 5 }, { view: "stakeholder" });
+//   TEPPeople.update(p.id, { alignment: -1 }, { view: "political" });
+//   TEPPeople.setTension(p.id, "trust", 2);            // team tension score for one topic (0–3)
+//   TEPPeople.positions(p);                            // { stakeholder, political, archetype, tension }
+//   TEPPeople.renderPanel("#peopleDirectory", { view: "stakeholder" });
+//   document.addEventListener("tep:people", (e) => render(e.detail.people));
+//
+// Saved through TEPToolState as tool id "people_directory", so it syncs, queues offline and
+// is sealed by the private vault like any tool. Shape:
+//   { people: [Person] }
+//   Person: { id, kind: "person" | "group", name, role, notes, relationship: "ally" | "neutral" | "risk",
+//             influence 1–5, interest 1–5, alignment -2–2, heat 1–5, exposure 1–5,
+//             agenda, currency, pressure, archetype, tension: { [topicId]: 0–3 },
+//             views: { stakeholder: { viewed, saved }, political: { viewed, saved } },
+//             createdAt, updatedAt, history: [{ at, view, changes: [{ field, from, to }] }] }
+// Quadrants and the archetype are worked out from the scores, so a person sits in the same
+// place in every view. Dropping someone into another quadrant moves their scores there.
+// Each person keeps their last MAX_HISTORY score, name, role and relationship changes.
+//
+// Loading also moves in any people still saved by the old per-map keys on this device: the
+// stakeholder map (tepStakeholderMap_v1) and the political map (tepPoliticalLandscapeMap_v1).
+// Someone already in the directory under the same name is kept as is. Narrative threads
+// aren't people and stay in the political map's key.
+
+(function () {
+  const TOOL_ID = "people_directory";
+  const VERSION = 1;
+  const MAX_HISTORY = 30;
+  const SAVE_DELAY_MS = 400;
+  const EXPORT_FORMAT = "tep-people-directory";
+
+  const LEGACY_STAKEHOLDER_KEY = "tepStakeholderMap_v1";
+  const LEGACY_POLITICAL_KEY = "tepPoliticalLandscapeMap_v1";
+
+  const VIEWS = {
+    stakeholder: { title: "Stakeholder map", page: "map-stakeholder.html" },
+    political: { title: "Political landscape", page: "map-political-landscape.html" },
+    tension: { title: "Team tension", page: "map-team-tension.html" },
+  };
+
+  // Rows of the team tension heatmap (map-team-tension.html).
+  const TENSION_TOPICS = [
+    { id: "role_clarity", label: "Role clarity & ownership" },
+    { id: "decision", label: "Decision-making & authority" },
+    { id: "communication", label: "Communication & tone" },
+    { id: "workload", label: "Workload & fairness" },
+    { id: "trust", label: "Trust & reliability" },
+    { id: "respect", label: "Respect & micro-aggressions" },
+    { id: "change", label: "Change & uncertainty" },
+    { id: "quality", label: "Quality & standards" },
+  ];
+
+  const STAKEHOLDER_QUADS = {
+    manage_closely: "Manage closely",
+    keep_satisfied: "Keep satisfied",
+    keep_informed: "Keep informed",
+    monitor: "Monitor",
+  };
+
+  const POLITICAL_QUADS = {
+    champions: "Champions",
+    snipers: "Snipers",
+    helpers: "Helpers",
+    floaters: "Floaters",
+  };
+
+  // Same patterns as the political map's behaviour lens.
+  const ARCHETYPES = {
+    sponsor: "Sponsor-style leverage",
+    status_defender: "Status defender",
+    cold_influencer: "Cold influencer",
+    reliable_helper: "Reliable helper",
+    low_power_friction: "Low-power friction",
+    unclear: "Unclear actor",
+  };
+
+  const SCORES = {
+    influence: { min: 1, max: 5, fallback: 3 },
+    interest: { min: 1, max: 5, fallback: 3 },
+    alignment: { min: -2, max: 2, fallback: 0 },
+    heat: { min: 1, max: 5, fallback: 3 },
+    exposure: { min: 1, max: 5, fallback: 3 },
+  };
+  const TEXT_FIELDS = ["name", "role", "notes", "agenda", "currency", "pressure"];
+  const RELATIONSHIPS = ["ally", "neutral", "risk"];
+  const KINDS = ["person", "group"];
+
+  // Changes worth keeping in a person's history (notes and the other free text aren't).
+  const TRACKED = ["name", "role", "relationship", "influence", "interest", "alignment", "heat", "exposure", "archetype"];
+  const FIELD_LABELS = {
+    name: "Name",
+    role: "Role",
+    relationship: "Relationship",
+    influence: "Influence",
+    interest: "Interest",
+    alignment: "Alignment",
+    heat: "Heat",
+    exposure: "Exposure",
+    archetype: "Archetype",
+  };
+
+  const CSV_COLUMNS = [
+    "id", "name", "kind", "role", "relationship",
+    "influence", "interest", "alignment", "heat", "exposure",
+    "stakeholder_quadrant", "political_quadrant", "archetype",
+    ...TENSION_TOPICS.map((t) => "tension_" + t.id),
+    "notes", "agenda", "currency", "pressure", "created_at", "updated_at",
+  ];
+
+  let people = [];
+  let store = null;
+  let loading = null;
+  let saveTimer = null;
+  let statusText = "";
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  function makeId() {
+    return "pp_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  }
+
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  function clampScore(field, value) {
+    const rule = SCORES[field];
+    const n = Math.round(Number(value));
+    if (value === "" || value === null || value === undefined || !Number.isFinite(n)) return rule.fallback;
+    return Math.max(rule.min, Math.min(rule.max, n));
+  }
+
+  function clampLevel(value) {
+    const n = Math.round(Number(value));
+    return Number.isFinite(n) ? Math.max(0, Math.min(3, n)) : 0;
+  }
+
+  function nameKey(name) {
+    return String(name || "").trim().toLowerCase().replace(/\s+/g, " ");
+  }
+
+  function toTime(value) {
+    const t = new Date(value || 0).getTime();
+    return Number.isFinite(t) ? t : 0;
+  }
+
+  function formatDate(iso) {
+    try {
+      return new Date(iso).toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric" });
+    } catch (e) {
+      return "";
+    }
+  }
+
+  function cleanTension(tension) {
+    const out = {};
+    TENSION_TOPICS.forEach((t) => {
+      const level = clampLevel(tension?.[t.id]);
+      if (level) out[t.id] = level;
+    });
+    return out;
+  }
+
+  function cleanViews(views) {
+    const out = {};
+    ["stakeholder", "political"].forEach((view) => {
+      out[view] = { viewed: Number(views?.[view]?.viewed) || 0, saved: Number(views?.[view]?.saved) || 0 };
+    });
+    return out;
+  }
+
+  function cleanHistory(history) {
+    if (!Array.isArray(history)) return [];
+    return history
+      .filter((h) => h && h.at && Array.isArray(h.changes))
+      .map((h) => ({ at: h.at, view: h.view || "", changes: h.changes.filter((c) => c && c.field) }))
+      .slice(-MAX_HISTORY);
+  }
+
+  // Fills defaults, clamps scores and works out the archetype.
+  function normalise(input) {
+    const now = new Date().toISOString();
+    const p = {
+      id: String(input.id || makeId()),
+      kind: KINDS.includes(input.kind) ? input.kind : "person",
+      relationship: RELATIONSHIPS.includes(input.relationship) ? input.relationship : "neutral",
+      tension: cleanTension(input.tension),
+      views: cleanViews(input.views),
+      createdAt: input.createdAt || now,
+      updatedAt: input.updatedAt || input.createdAt || now,
+      history: cleanHistory(input.history),
+    };
+    TEXT_FIELDS.forEach((field) => {
+      p[field] = String(input[field] ?? "").trim();
+    });
+    Object.keys(SCORES).forEach((field) => {
+      p[field] = clampScore(field, input[field]);
+    });
+    p.archetype = archetype(p).key;
+    return p;
+  }
+
+  // ----------------------------
+  // Positions
+  // ----------------------------
+  function stakeholderQuad(p) {
+    const high = p.influence >= 4;
+    const keen = p.interest >= 4;
+    if (high && keen) return "manage_closely";
+    if (high) return "keep_satisfied";
+    if (keen) return "keep_informed";
+    return "monitor";
+  }
+
+  function politicalQuad(p) {
+    if (p.influence >= 4 && p.alignment >= 1) return "champions";
+    if (p.influence >= 4 && p.alignment <= -1) return "snipers";
+    if (p.influence <= 3 && p.alignment >= 1) return "helpers";
+    return "floaters";
+  }
+
+  function archetype(p) {
+    const highInf = p.influence >= 4;
+    const neg = p.alignment <= -1;
+    const pro = p.alignment >= 1;
+    const hot = p.heat >= 4;
+    const watcher = p.exposure >= 4;
+
+    let key = "unclear";
+    if (highInf && pro && watcher) key = "sponsor";
+    else if (highInf && neg && hot) key = "status_defender";
+    else if (highInf && neg && !hot) key = "cold_influencer";
+    else if (!highInf && pro) key = "reliable_helper";
+    else if (!highInf && neg) key = "low_power_friction";
+    return { key, label: ARCHETYPES[key] };
+  }
+
+  // Team tension across the heatmap topics: total, share of the maximum and the worst topic.
+  function tension(p) {
+    const levels = TENSION_TOPICS.map((t) => ({ topic: t, level: clampLevel(p.tension?.[t.id]) }));
+    const sum = levels.reduce((a, x) => a + x.level, 0);
+    const max = TENSION_TOPICS.length * 3;
+    const pct = Math.round((sum / max) * 100);
+    const worst = levels.reduce((best, x) => (x.level > (best?.level || 0) ? x : best), null);
+    const high = levels.filter((x) => x.level === 3).length;
+    let label = "None";
+    if (high >= 2 || pct >= 50) label = "High";
+    else if (high || pct >= 25) label = "Moderate";
+    else if (sum) label = "Mild";
+    return { sum, max, pct, high, label, worst: worst ? { id: worst.topic.id, label: worst.topic.label, level: worst.level } : null };
+  }
+
+  function positions(p) {
+    const s = stakeholderQuad(p);
+    const q = politicalQuad(p);
+    return {
+      stakeholder: { key: s, label: STAKEHOLDER_QUADS[s] },
+      political: { key: q, label: POLITICAL_QUADS[q] },
+      archetype: archetype(p),
+      tension: tension(p),
+    };
+  }
+
+  // Scores that put someone in `quad` for `view`, moving each score as little as possible.
+  function placement(p, view, quad) {
+    if (view === "stakeholder") {
+      const high = quad === "manage_closely" || quad === "keep_satisfied";
+      const keen = quad === "manage_closely" || quad === "keep_informed";
+      return {
+        influence: high ? Math.max(p.influence, 4) : Math.min(p.influence, 3),
+        interest: keen ? Math.max(p.interest, 4) : Math.min(p.interest, 3),
+      };
+    }
+    if (view === "political") {
+      const high = quad === "champions" || quad === "snipers";
+      let alignment = p.alignment;
+      if (quad === "champions" || quad === "helpers") alignment = Math.max(alignment, 1);
+      else if (quad === "snipers") alignment = Math.min(alignment, -1);
+      else if (alignment >= 1) alignment = 0;
+      return { influence: high ? Math.max(p.influence, 4) : Math.min(p.influence, 3), alignment };
+    }
+    return {};
+  }
+
+  // ----------------------------
+  // Store
+  // ----------------------------
+  function getStore(options) {
+    if (store) return store;
+    store = window.TEPToolState.register({
+      toolId: TOOL_ID,
+      version: VERSION,
+      title: "People directory",
+      client: options.client || null,
+      getState: () => ({ people }),
+      applyState: (state) => {
+        people = (Array.isArray(state?.people) ? state.people : []).filter((p) => p && p.name).map(normalise);
+      },
+      renderStatus: (status) => {
+        statusText = status.phase === "blocked" || status.phase === "error" || status.phase === "queued" ? status.message : "";
+        const el = document.querySelector("[data-people-status]");
+        if (el) el.textContent = statusText;
+      },
+    });
+    return store;
+  }
+
+  function notify(reason) {
+    document.dispatchEvent(new CustomEvent("tep:people", { detail: { people: list(), reason } }));
+  }
+
+  function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      store?.save().then((result) => {
+        // A newer copy from another device won: show that one.
+        if (result?.error === "kept_cloud") notify("load");
+      });
+    }, SAVE_DELAY_MS);
+  }
+
+  function flush() {
+    if (!saveTimer) return Promise.resolve();
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    return store ? store.save() : Promise.resolve();
+  }
+
+  function changed(reason) {
+    notify(reason);
+    scheduleSave();
+  }
+
+  function load(options = {}) {
+    if (!loading) {
+      loading = (async () => {
+        const meta = await getStore(options).load();
+        if (!meta?.blocked) await migrateLegacy();
+        notify("load");
+        return list();
+      })();
+    }
+    return loading;
+  }
+
+  // ----------------------------
+  // Legacy map data
+  // ----------------------------
+  async function readLegacy(key) {
+    try {
+      const value = window.TEPVault ? await window.TEPVault.getItem(key) : JSON.parse(localStorage.getItem(key) || "null");
+      return Array.isArray(value) ? value : [];
+    } catch (e) {
+      // Sealed and not opened: leave it for a later load rather than lose it.
+      return null;
+    }
+  }
+
+  async function migrateLegacy() {
+    const stakeholders = await readLegacy(LEGACY_STAKEHOLDER_KEY);
+    const nodes = await readLegacy(LEGACY_POLITICAL_KEY);
+    if (stakeholders === null || nodes === null) return;
+
+    const byName = new Map();
+    const known = new Set(people.map((p) => nameKey(p.name)));
+    const merge = (raw) => {
+      const fields = Object.fromEntries(Object.entries(raw).filter(([, v]) => v !== undefined && v !== ""));
+      const key = nameKey(fields.name);
+      if (!key || known.has(key)) return;
+      const existing = byName.get(key);
+      byName.set(key, existing ? { ...existing, ...fields, name: existing.name, notes: existing.notes || fields.notes, createdAt: existing.createdAt } : fields);
+    };
+
+    stakeholders.forEach((s) =>
+      merge({
+        id: s.id, name: s.name, role: s.role, notes: s.notes, relationship: s.relationship,
+        influence: s.influence, interest: s.interest, createdAt: s.createdAt,
+        views: { stakeholder: { viewed: s.viewed, saved: s.saved } },
+      })
+    );
+    const narratives = [];
+    nodes.forEach((n) => {
+      if (n.type === "narrative") return narratives.push(n);
+      const key = nameKey(n.name);
+      const views = { ...(byName.get(key)?.views || {}), political: { viewed: n.viewed, saved: n.saved } };
+      merge({
+        id: byName.get(key)?.id || n.id, kind: n.type === "group" ? "group" : "person",
+        name: n.name, role: n.role || byName.get(key)?.role, relationship: n.relationship,
+        influence: n.influence, alignment: n.alignment, heat: n.heat, exposure: n.exposure,
+        agenda: n.agenda, currency: n.currency, pressure: n.pressure, createdAt: n.createdAt, views,
+      });
+    });
+
+    const moved = stakeholders.length || nodes.length > narratives.length;
+    if (!moved) return;
+    if (byName.size) {
+      const ids = new Set(people.map((p) => p.id));
+      const added = [...byName.values()].map((fields) => normalise({ ...fields, id: ids.has(String(fields.id)) ? makeId() : fields.id }));
+      people = people.concat(added).sort((a, b) => toTime(b.createdAt) - toTime(a.createdAt));
+      const saved = await store.save();
+      if (!saved?.ok) return;
+    }
+
+    // The maps read their people from here now; only narrative threads stay behind.
+    localStorage.removeItem(LEGACY_STAKEHOLDER_KEY);
+    if (!narratives.length) localStorage.removeItem(LEGACY_POLITICAL_KEY);
+    else if (window.TEPVault) await window.TEPVault.setItem(LEGACY_POLITICAL_KEY, narratives);
+    else localStorage.setItem(LEGACY_POLITICAL_KEY, JSON.stringify(narratives));
+  }
+
+  // ----------------------------
+  // Reading + editing
+  // ----------------------------
+  function list() {
+    return people.slice();
+  }
+
+  function get(id) {
+    return people.find((p) => p.id === id) || null;
+  }
+
+  function findByName(name) {
+    const key = nameKey(name);
+    return key ? people.find((p) => nameKey(p.name) === key) || null : null;
+  }
+
+  function diff(before, after) {
+    return TRACKED.filter((field) => before[field] !== after[field]).map((field) => ({ field, from: before[field], to: after[field] }));
+  }
+
+  function withHistory(person, changes, view) {
+    if (!changes.length) return person.history;
+    return person.history.concat({ at: person.updatedAt, view: view || "", changes }).slice(-MAX_HISTORY);
+  }
+
+  function add(fields, options = {}) {
+    if (!nameKey(fields?.name)) return null;
+    const person = normalise({ ...fields, id: fields.id || makeId(), createdAt: undefined, updatedAt: undefined, history: [] });
+    people.unshift(person);
+    changed("add");
+    return person;
+  }
+
+  // `fields` may hold any Person field except id/history; scores are clamped.
+  function update(id, fields, options = {}) {
+    const index = people.findIndex((p) => p.id === id);
+    if (index === -1) return null;
+    const before = people[index];
+    const next = normalise({ ...before, ...fields, id, views: fields.views || before.views, tension: fields.tension || before.tension });
+    const changes = diff(before, next);
+    const textChanged = TEXT_FIELDS.some((f) => before[f] !== next[f]) || before.kind !== next.kind;
+    const tensionChanged = JSON.stringify(before.tension) !== JSON.stringify(next.tension);
+    if (!changes.length && !textChanged && !tensionChanged) return before;
+
+    next.updatedAt = new Date().toISOString();
+    next.history = withHistory({ ...before, updatedAt: next.updatedAt }, changes, options.view);
+    people[index] = next;
+    changed("update");
+    return next;
+  }
+
+  function place(id, view, quad) {
+    const person = get(id);
+    return person ? update(id, placement(person, view, quad), { view }) : null;
+  }
+
+  // Tension is kept per topic; each change is one history entry ("Trust & reliability: 1 → 3").
+  function setTension(id, topicId, level) {
+    const index = people.findIndex((p) => p.id === id);
+    const topic = TENSION_TOPICS.find((t) => t.id === topicId);
+    if (index === -1 || !topic) return null;
+    const before = people[index];
+    const from = clampLevel(before.tension[topicId]);
+    const to = clampLevel(level);
+    if (from === to) return before;
+
+    const tensionNext = { ...before.tension, [topicId]: to };
+    if (!to) delete tensionNext[topicId];
+    const next = { ...before, tension: tensionNext, updatedAt: new Date().toISOString() };
+    next.history = withHistory(next, [{ field: "tension." + topicId, from, to }], "tension");
+    people[index] = next;
+    changed("tension");
+    return next;
+  }
+
+  // View counters only: no history, no updatedAt.
+  function countView(id, view, counter = "viewed") {
+    const person = get(id);
+    if (!person || !person.views[view]) return null;
+    person.views[view][counter] = (person.views[view][counter] || 0) + 1;
+    changed("view");
+    return person;
+  }
+
+  function remove(id) {
+    const before = people.length;
+    people = people.filter((p) => p.id !== id);
+    if (people.length === before) return false;
+    changed("remove");
+    return true;
+  }
+
+  function clear() {
+    if (!people.length) return false;
+    people = [];
+    changed("clear");
+    return true;
+  }
+
+  function describeChange(change) {
+    if (change.field.startsWith("tension.")) {
+      const topic = TENSION_TOPICS.find((t) => "tension." + t.id === change.field);
+      return `${topic ? topic.label : "Tension"}: ${change.from} → ${change.to}`;
+    }
+    const show = (v) => (change.field === "archetype" ? ARCHETYPES[v] || v : v === "" ? "—" : v);
+    return `${FIELD_LABELS[change.field] || change.field}: ${show(change.from)} → ${show(change.to)}`;
+  }
+
+  // ----------------------------
+  // Export / import
+  // ----------------------------
+  function exportJSON() {
+    return JSON.stringify({ format: EXPORT_FORMAT, version: VERSION, exported_at: new Date().toISOString(), people }, null, 2);
+  }
+
+  // Cells starting with = + - @ (or a tab/CR) run as formulas in Excel and Sheets, so
+  // they get a leading ' and are quoted. fromCSV() strips it again on import.
+  const FORMULA_START = /^[=+\-@\t\r]/;
+
+  function csvCell(value) {
+    const text = String(value ?? "");
+    if (FORMULA_START.test(text)) return '"\'' + text.replace(/"/g, '""') + '"';
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function exportCSV() {
+    const rows = people.map((p) => {
+      const pos = positions(p);
+      const row = {
+        ...p,
+        stakeholder_quadrant: pos.stakeholder.label,
+        political_quadrant: pos.political.label,
+        archetype: pos.archetype.label,
+        created_at: p.createdAt,
+        updated_at: p.updatedAt,
+      };
+      TENSION_TOPICS.forEach((t) => {
+        row["tension_" + t.id] = clampLevel(p.tension[t.id]);
+      });
+      return CSV_COLUMNS.map((c) => csvCell(row[c])).join(",");
+    });
+    return [CSV_COLUMNS.join(",")].concat(rows).join("\r\n") + "\r\n";
+  }
+
+  // RFC 4180: quoted fields may hold commas, quotes ("") and line breaks.
+  function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    const src = String(text || "").replace(/^﻿/, "");
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && src[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else cell += ch;
+    }
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((c) => c.trim()));
+  }
+
+  function fromCSV(text) {
+    const [header, ...rows] = parseCSV(text);
+    if (!header) return [];
+    const columns = header.map((h) => h.trim().toLowerCase().replace(/\s+/g, "_"));
+    if (!columns.includes("name")) throw new Error("The CSV needs a “name” column.");
+    return rows.map((cells) => {
+      const raw = {};
+      columns.forEach((c, i) => {
+        raw[c] = (cells[i] ?? "").trim().replace(/^'(?=[=+\-@])/, "");
+      });
+      const fields = { tension: {} };
+      ["name", "role", "notes", "agenda", "currency", "pressure"].forEach((f) => {
+        if (raw[f] !== undefined) fields[f] = raw[f];
+      });
+      ["id", "kind", "relationship"].forEach((f) => {
+        if (raw[f]) fields[f] = raw[f];
+      });
+      Object.keys(SCORES).forEach((f) => {
+        if (raw[f] !== undefined && raw[f] !== "") fields[f] = raw[f];
+      });
+      TENSION_TOPICS.forEach((t) => {
+        if (raw["tension_" + t.id]) fields.tension[t.id] = raw["tension_" + t.id];
+      });
+      if (raw.created_at) fields.createdAt = raw.created_at;
+      return fields;
+    });
+  }
+
+  function fromJSON(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      throw new Error("That file isn’t valid JSON.");
+    }
+    const rows = Array.isArray(parsed) ? parsed : parsed?.people;
+    if (!Array.isArray(rows)) throw new Error("No people found in that file.");
+    return rows;
+  }
+
+  // Matches on id, then on name; matched people are updated (and the change recorded),
+  // the rest are added. Returns { added, updated, skipped }.
+  function importText(text, format) {
+    const rows = format === "csv" ? fromCSV(text) : fromJSON(text);
+    const result = { added: 0, updated: 0, skipped: 0 };
+    rows.forEach((row) => {
+      if (!row || !nameKey(row.name)) {
+        result.skipped++;
+        return;
+      }
+      const match = (row.id && get(String(row.id))) || findByName(row.name);
+      if (match) {
+        const fields = { ...row };
+        delete fields.id;
+        delete fields.history;
+        delete fields.createdAt;
+        delete fields.updatedAt;
+        if (fields.tension && !Object.keys(fields.tension).length) delete fields.tension;
+        const before = match.updatedAt;
+        const next = update(match.id, fields, { view: "import" });
+        if (next && next.updatedAt !== before) result.updated++;
+        else result.skipped++;
+      } else {
+        const person = normalise({ ...row, id: row.id && !get(String(row.id)) ? row.id : makeId(), history: cleanHistory(row.history) });
+        people.unshift(person);
+        result.added++;
+      }
+    });
+    if (result.added) changed("import");
+    return result;
+  }
+
+  function importFile(file) {
+    return file.text().then((text) => importText(text, /\.csv$/i.test(file.name) || file.type === "text/csv" ? "csv" : "json"));
+  }
+
+  function downloadText(text, filename, mime) {
+    const blob = new Blob([text], { type: mime + ";charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function download(format) {
+    const base = "people-directory_" + new Date().toISOString().slice(0, 10);
+    if (format === "csv") downloadText(exportCSV(), base + ".csv", "text/csv");
+    else downloadText(exportJSON(), base + ".json", "application/json");
+  }
+
+  // ----------------------------
+  // Panel
+  // ----------------------------
+  function injectStyles() {
+    if (document.getElementById("tep-people-styles")) return;
+    const style = document.createElement("style");
+    style.id = "tep-people-styles";
+    style.textContent = `
+      .tep-people{
+        padding:18px 20px; border-radius:14px; background:rgba(255,255,255,.92);
+        border:1px solid var(--border-light, rgba(0,0,0,.08)); box-shadow:0 10px 26px rgba(0,0,0,.06);
+        color:var(--text-dark, #212529);
+      }
+      .dark-mode .tep-people{ background:rgba(20,20,20,.6); box-shadow:0 10px 26px rgba(0,0,0,.35); }
+      .tep-people-head{ display:flex; align-items:center; justify-content:space-between; gap:12px; flex-wrap:wrap; margin-bottom:6px; }
+      .tep-people-title{ font-weight:700; color:var(--accent-purple-dark, #5a4496); }
+      .tep-people-title i{ margin-right:8px; }
+      .tep-people-sub{ font-size:13px; color:var(--text-medium, #495057); margin:0 0 12px; line-height:1.5; }
+      .tep-people-actions{ display:flex; gap:8px; flex-wrap:wrap; }
+      .tep-people-actions button{
+        border:1px solid var(--border-light, rgba(0,0,0,.12)); background:transparent; color:inherit;
+        padding:6px 12px; border-radius:999px; font:inherit; font-size:12px; font-weight:600; cursor:pointer;
+      }
+      .tep-people-actions button:hover{ border-color:var(--accent-purple, #7b5fc4); color:var(--accent-purple, #7b5fc4); }
+      .tep-people-scroll{ overflow-x:auto; }
+      .tep-people-table{ width:100%; border-collapse:collapse; font-size:13px; }
+      .tep-people-table th{ text-align:left; font-size:11px; text-transform:uppercase; letter-spacing:.04em; color:var(--text-medium, #495057); padding:6px 8px; border-bottom:1px solid var(--border-light, rgba(0,0,0,.08)); white-space:nowrap; }
+      .tep-people-table td{ padding:8px; border-bottom:1px solid var(--border-light, rgba(0,0,0,.06)); vertical-align:top; }
+      .tep-people-table th.current, .tep-people-table td.current{ background:rgba(123,95,196,.07); }
+      .tep-people-table .name{ font-weight:600; }
+      .tep-people-table .role{ display:block; font-size:12px; color:var(--text-medium, #495057); }
+      .tep-people-table button.link{ border:0; background:none; padding:0; font:inherit; font-size:12px; font-weight:600; color:var(--accent-purple, #7b5fc4); cursor:pointer; text-decoration:underline; }
+      .tep-people-history{ list-style:none; margin:6px 0 0; padding:0; font-size:12px; color:var(--text-medium, #495057); }
+      .tep-people-history li{ padding:2px 0; }
+      .tep-people-empty{ font-size:13px; color:var(--text-medium, #495057); }
+      .tep-people-status{ font-size:12px; font-weight:600; color:var(--text-medium, #495057); margin-top:10px; min-height:1em; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function historyItems(person) {
+    if (!person.history.length) return "<li>No changes recorded yet.</li>";
+    return person.history
+      .slice()
+      .reverse()
+      .map((h) => {
+        const where = VIEWS[h.view]?.title || (h.view === "import" ? "Import" : "");
+        return `<li>${escapeHtml(formatDate(h.at))}${where ? " • " + escapeHtml(where) : ""}: ${h.changes.map((c) => escapeHtml(describeChange(c))).join("; ")}</li>`;
+      })
+      .join("");
+  }
+
+  // Renders the directory card into `target` (element or selector): every person's position
+  // in all three maps, their change history, and export / import. Re-renders on changes.
+  function renderPanel(target, options = {}) {
+    const host = typeof target === "string" ? document.querySelector(target) : target;
+    if (!host) return;
+    injectStyles();
+    const view = options.view || "";
+    const open = new Set(Array.from(host.querySelectorAll("[data-people-history]:not([hidden])")).map((el) => el.dataset.peopleHistory));
+    const cls = (v) => (v === view ? ' class="current"' : "");
+
+    const rows = people
+      .map((p) => {
+        const pos = positions(p);
+        const t = pos.tension;
+        const tensionText = t.sum ? `${escapeHtml(t.label)} • ${t.sum}/${t.max}${t.worst ? "<span class=\"role\">" + escapeHtml(t.worst.label) + "</span>" : ""}` : "—";
+        return `
+          <tr>
+            <td><span class="name">${escapeHtml(p.name)}</span><span class="role">${escapeHtml(p.role || (p.kind === "group" ? "Group / team" : ""))}</span></td>
+            <td${cls("stakeholder")}>${escapeHtml(pos.stakeholder.label)}<span class="role">Influence ${p.influence} • Interest ${p.interest}</span></td>
+            <td${cls("political")}>${escapeHtml(pos.political.label)}<span class="role">${escapeHtml(pos.archetype.label)}</span></td>
+            <td${cls("tension")}>${tensionText}</td>
+            <td>
+              <button type="button" class="link" data-people-toggle="${escapeHtml(p.id)}">History (${p.history.length})</button>
+              <ul class="tep-people-history" data-people-history="${escapeHtml(p.id)}"${open.has(p.id) ? "" : " hidden"}>${historyItems(p)}</ul>
+            </td>
+          </tr>`;
+      })
+      .join("");
+
+    const count = people.length === 1 ? "1 person" : `${people.length} people`;
+    host.hidden = false;
+    host.innerHTML = `
+      <div class="tep-people">
+        <div class="tep-people-head">
+          <div class="tep-people-title"><i class="fas fa-address-book"></i>People directory <span class="tep-people-sub">· ${count}</span></div>
+          <div class="tep-people-actions">
+            <button type="button" data-people-action="json"><i class="fas fa-file-code"></i> Export JSON</button>
+            <button type="button" data-people-action="csv"><i class="fas fa-file-csv"></i> Export CSV</button>
+            <button type="button" data-people-action="import"><i class="fas fa-file-import"></i> Import</button>
+            <input type="file" accept=".json,.csv,application/json,text/csv" data-people-file hidden>
+          </div>
+        </div>
+        <p class="tep-people-sub">Everyone you add here or on the ${Object.values(VIEWS).map((v) => `<a href="${v.page}">${escapeHtml(v.title.toLowerCase())}</a>`).join(", ")} maps, and where they sit in each.</p>
+        ${
+          people.length
+            ? `<div class="tep-people-scroll"><table class="tep-people-table">
+                <thead><tr><th>Person</th><th${cls("stakeholder")}>Stakeholder</th><th${cls("political")}>Political</th><th${cls("tension")}>Tension</th><th>Changes</th></tr></thead>
+                <tbody>${rows}</tbody>
+              </table></div>`
+            : `<div class="tep-people-empty">No one yet. Add someone on any of the three maps, or import a JSON or CSV file.</div>`
+        }
+        <div class="tep-people-status" data-people-status role="status" aria-live="polite">${escapeHtml(statusText)}</div>
+      </div>`;
+
+    const status = host.querySelector("[data-people-status]");
+    const fileInput = host.querySelector("[data-people-file]");
+    host.querySelector('[data-people-action="json"]').addEventListener("click", () => download("json"));
+    host.querySelector('[data-people-action="csv"]').addEventListener("click", () => download("csv"));
+    host.querySelector('[data-people-action="import"]').addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      try {
+        const result = await importFile(file);
+        const message = `Imported ${file.name}: ${result.added} added, ${result.updated} updated${result.skipped ? `, ${result.skipped} unchanged or skipped` : ""}.`;
+        renderPanel(host, options);
+        host.querySelector("[data-people-status]").textContent = message;
+      } catch (e) {
+        status.textContent = e.message || "Couldn’t import that file.";
+      }
+      fileInput.value = "";
+    });
+    host.querySelectorAll("[data-people-toggle]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const list = host.querySelector(`[data-people-history="${CSS.escape(btn.dataset.peopleToggle)}"]`);
+        if (list) list.hidden = !list.hidden;
+      });
+    });
+  }
+
+  window.addEventListener("pagehide", () => {
+    flush();
+  });
+
+  window.TEPPeople = {
+    TOOL_ID,
+    VIEWS,
+    TENSION_TOPICS,
+    STAKEHOLDER_QUADS,
+    POLITICAL_QUADS,
+    ARCHETYPES,
+    load,
+    list,
+    get,
+    findByName,
+    add,
+    update,
+    place,
+    setTension,
+    countView,
+    remove,
+    clear,
+    flush,
+    stakeholderQuad,
+    politicalQuad,
+    archetype,
+    tension,
+    positions,
+    describeChange,
+    exportJSON,
+    exportCSV,
+    importText,
+    importFile,
+    download,
+    placement,
+    renderPanel,
+  };
+})();
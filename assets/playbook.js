@@ -0,0 +1,621 @@
+// assets/playbook.js — The Employee Playbook (static HTML + Supabase CDN)
+// One store for "saved items": My Playbook, the tool-page sidebars and the Script Library
+// all read and write through window.TEPPlaybook, so anything saved anywhere shows up everywhere.
+//
+// Item schema:
+//   { id, title, type, category, description, link, important, createdAt, lastUsedAt }
+//   - type: "tool" | "script" | "template" | "checklist" | "playbook" | ... (lowercase)
+//   - category: one of CATEGORY_LABELS keys
+//   - createdAt / lastUsedAt: epoch ms (or null)
+//
+// Usage (on a page):
+//   const items = TEPPlaybook.getItems();
+//   TEPPlaybook.toggle({ id: CURRENT_TOOL_ID, title, type, link }); // returns true if now saved
+//   TEPPlaybook.subscribe((items) => renderSavedItems());            // another tab changed the list
+//
+// Legacy keys (`tepSavedItems`, `tep_saved_items`, `tep_my_playbook_items_v1`,
+// `tep_savedScripts_v1`) are folded into the store once, then removed.
+//
+// Cloud: signed-in users' items live in Supabase `playbook_items` (one row per
+// user_id + item_id) and the My Playbook check-in in `tool_states`, scoped by
+// user_id the same way tool saves are. localStorage stays the working copy:
+// edits are queued and pushed, and sync() pulls the account's list back down.
+// The first sign-in on a device merges the guest's items into the account. The
+// account's local copy is only cleared on a SIGNED_OUT event, never because a
+// session couldn't be read (offline, storage hiccup).
+
+(function () {
+  const STORAGE_KEY = "tep_playbook_items_v2";
+  const MIGRATED_KEY = "tep_playbook_migrated_v1";
+  const LEGACY_KEYS = ["tepSavedItems", "tep_saved_items", "tep_my_playbook_items_v1"];
+  const LEGACY_SCRIPTS_KEY = "tep_savedScripts_v1";
+  const OWNER_KEY = "tep_playbook_owner_v1"; // user id the local list belongs to
+  const QUEUE_KEY = "tep_playbook_queue_v1";
+  const DEMO_KEY = "tep_playbook_demo_ids_v1";
+  const CHECKIN_KEY = "tep_playbook_checkin_v3";
+
+  const TABLE = "playbook_items";
+  const CHECKIN_TABLE = "tool_states";
+  const CHECKIN_TOOL_ID = "my_playbook_checkin";
+  const CHECKIN_PUSH_DELAY = 800;
+
+  const CATEGORY_LABELS = {
+    clarity: "Clarity, Priorities & Direction",
+    expectations: "Expectations, Burnout & Capacity",
+    manager: "Manager Behaviour",
+    dynamics: "Workplace Dynamics & Politics",
+    hr: "HR & Formal Processes",
+    confidence: "Confidence, Presence & Influence",
+    career: "Career Path",
+  };
+
+  // Pages that predate categories only give us an id/link; guess from those.
+  const CATEGORY_HINTS = [
+    ["hr", /(^|[^a-z])hr([^a-z]|$)|escalation|formal|evidence|documentation|grievance/],
+    ["manager", /manager|micromanag/],
+    ["expectations", /burnout|capacity|workload|overload|sustainable|expectation/],
+    ["confidence", /presence|confidence|credibility|influence|boundar|emotional/],
+    ["career", /career|pay|negotiation|exit|reputation|skills/],
+    ["dynamics", /politic|stakeholder|tension|conflict|dysfunction|toxic|dynamics/],
+  ];
+
+  const listeners = new Set();
+  const watchedClients = new WeakSet();
+  let flushing = null;
+  let syncing = null;
+  let checkinTimer = null;
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  function readJSON(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeJSON(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      console.warn("[TEPPlaybook] Could not write saved items:", e);
+      return false;
+    }
+  }
+
+  function toTime(value) {
+    if (value == null || value === "") return null;
+    if (typeof value === "number") return isFinite(value) ? value : null;
+    const t = new Date(value).getTime();
+    return isNaN(t) ? null : t;
+  }
+
+  function slugFromLink(link) {
+    const file = String(link || "").split(/[?#]/)[0].split("/").pop() || "";
+    return file.replace(/\.html$/i, "");
+  }
+
+  function normaliseCategory(value, hint) {
+    const raw = String(value || "").trim();
+    if (CATEGORY_LABELS[raw]) return raw;
+    const byLabel = Object.keys(CATEGORY_LABELS).find(
+      (key) => CATEGORY_LABELS[key].toLowerCase() === raw.toLowerCase()
+    );
+    if (byLabel) return byLabel;
+
+    const text = (raw + " " + (hint || "")).toLowerCase();
+    const match = CATEGORY_HINTS.find(([, re]) => re.test(text));
+    return match ? match[0] : "clarity";
+  }
+
+  // Accepts any of the shapes the old stores used (savedAt / saved_at / ts, href, meta)
+  // and returns a schema item, or null if there's nothing to identify it by.
+  function normaliseItem(raw) {
+    if (!raw || typeof raw !== "object") return null;
+
+    const link = raw.link || raw.href || "";
+    const id = String(raw.id || slugFromLink(link) || "").trim();
+    if (!id) return null;
+
+    const createdAt = toTime(raw.createdAt ?? raw.savedAt ?? raw.saved_at ?? raw.ts) ?? Date.now();
+
+    return {
+      id,
+      title: raw.title || "Untitled",
+      type: String(raw.type || "tool").toLowerCase(),
+      category: normaliseCategory(raw.category, id + " " + link),
+      description: raw.description || (typeof raw.meta === "string" ? raw.meta : "") || "",
+      link,
+      important: raw.important === true,
+      createdAt,
+      lastUsedAt: toTime(raw.lastUsedAt) ?? createdAt,
+    };
+  }
+
+  function normaliseList(list) {
+    const seen = new Set();
+    const out = [];
+    (Array.isArray(list) ? list : []).forEach((raw) => {
+      const item = normaliseItem(raw);
+      if (!item || seen.has(item.id)) return;
+      seen.add(item.id);
+      out.push(item);
+    });
+    return out;
+  }
+
+  function humanise(id) {
+    const text = String(id || "").replace(/[-_]+/g, " ").trim();
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : "Saved script";
+  }
+
+  // ----------------------------
+  // One-time migration of the legacy stores
+  // ----------------------------
+  function migrateLegacy() {
+    if (localStorage.getItem(MIGRATED_KEY)) return;
+
+    const current = readJSON(STORAGE_KEY);
+    const merged = Array.isArray(current) ? current.slice() : [];
+    let found = Array.isArray(current);
+
+    LEGACY_KEYS.forEach((key) => {
+      const legacy = readJSON(key);
+      if (!Array.isArray(legacy)) return;
+      found = true;
+      merged.push(...legacy);
+    });
+
+    const scriptIds = readJSON(LEGACY_SCRIPTS_KEY);
+    if (Array.isArray(scriptIds)) {
+      found = true;
+      scriptIds.forEach((scriptId) => {
+        merged.push({
+          id: "script-" + scriptId,
+          title: humanise(scriptId),
+          type: "script",
+          link: "script-library.html#script=" + encodeURIComponent(scriptId),
+        });
+      });
+    }
+
+    // Nothing saved anywhere yet: leave the key absent so My Playbook can tell a first visit.
+    if (found && !writeJSON(STORAGE_KEY, normaliseList(merged))) return;
+
+    LEGACY_KEYS.concat(LEGACY_SCRIPTS_KEY).forEach((key) => localStorage.removeItem(key));
+    localStorage.setItem(MIGRATED_KEY, new Date().toISOString());
+  }
+
+  // ----------------------------
+  // Store
+  // ----------------------------
+  function hasStoredItems() {
+    return localStorage.getItem(STORAGE_KEY) !== null;
+  }
+
+  function getItems() {
+    return normaliseList(readJSON(STORAGE_KEY));
+  }
+
+  function setItems(items) {
+    const prev = getItems();
+    const next = normaliseList(items);
+    if (!writeJSON(STORAGE_KEY, next)) return false;
+    recordChanges(prev, next);
+    return true;
+  }
+
+  function get(id) {
+    return getItems().find((item) => item.id === id) || null;
+  }
+
+  function has(id) {
+    return getItems().some((item) => item.id === id);
+  }
+
+  // Adds the item, or refreshes it while keeping its createdAt / important flag.
+  function upsert(raw) {
+    const item = normaliseItem(raw);
+    if (!item) return null;
+
+    const items = getItems();
+    const idx = items.findIndex((i) => i.id === item.id);
+    if (idx >= 0) {
+      const prev = items[idx];
+      items[idx] = Object.assign({}, prev, item, {
+        important: raw.important == null ? prev.important : item.important,
+        createdAt: prev.createdAt,
+        lastUsedAt: Date.now(),
+      });
+    } else {
+      items.push(item);
+    }
+    setItems(items);
+    return items[idx >= 0 ? idx : items.length - 1];
+  }
+
+  function remove(id) {
+    const items = getItems();
+    const next = items.filter((item) => item.id !== id);
+    if (next.length === items.length) return false;
+    setItems(next);
+    return true;
+  }
+
+  // Save-button helper: returns true if the item is saved afterwards.
+  function toggle(raw) {
+    const item = normaliseItem(raw);
+    if (!item) return false;
+    if (remove(item.id)) return false;
+    upsert(raw);
+    return true;
+  }
+
+  function update(id, patch) {
+    const items = getItems();
+    const idx = items.findIndex((item) => item.id === id);
+    if (idx === -1) return null;
+    items[idx] = Object.assign({}, items[idx], typeof patch === "function" ? patch(items[idx]) : patch);
+    setItems(items);
+    return items[idx];
+  }
+
+  function touch(id) {
+    return update(id, { lastUsedAt: Date.now() });
+  }
+
+  function toggleImportant(id) {
+    return update(id, (item) => ({ important: !item.important }));
+  }
+
+  function getCategoryLabels() {
+    return Object.assign({}, CATEGORY_LABELS);
+  }
+
+  // Example items for visitors who haven't saved anything; never uploaded to an account.
+  function seedDemo(items) {
+    const list = normaliseList(items);
+    writeJSON(STORAGE_KEY, list);
+    writeJSON(DEMO_KEY, list.map((item) => item.id));
+    return list;
+  }
+
+  // ----------------------------
+  // Cloud: pending queue
+  // ----------------------------
+  function getOwner() {
+    return localStorage.getItem(OWNER_KEY) || null;
+  }
+
+  function readQueue() {
+    const queue = readJSON(QUEUE_KEY);
+    return queue && typeof queue === "object" ? queue : {};
+  }
+
+  function writeQueue(queue) {
+    try {
+      if (Object.keys(queue).length) localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+      else localStorage.removeItem(QUEUE_KEY);
+    } catch (e) {}
+  }
+
+  function queueKey(userId, id) {
+    return userId + "|" + id;
+  }
+
+  // Guests' edits stay on the device until their first sign-in merges them;
+  // an account's edits are queued per item and pushed.
+  function recordChanges(prev, next) {
+    const owner = getOwner();
+    if (!owner) return;
+
+    const before = new Map(prev.map((item) => [item.id, JSON.stringify(item)]));
+    const queue = readQueue();
+    const stamp = Date.now();
+    next.forEach((item) => {
+      if (before.get(item.id) !== JSON.stringify(item)) {
+        queue[queueKey(owner, item.id)] = { op: "upsert", user_id: owner, id: item.id, item, queued_at: stamp };
+      }
+      before.delete(item.id);
+    });
+    before.forEach((_, id) => {
+      queue[queueKey(owner, id)] = { op: "delete", user_id: owner, id, queued_at: stamp };
+    });
+    writeQueue(queue);
+    flushQueue();
+  }
+
+  function applyPending(list, userId) {
+    const byId = new Map(list.map((item) => [item.id, item]));
+    Object.values(readQueue()).forEach((entry) => {
+      if (entry.user_id !== userId) return;
+      if (entry.op === "delete") byId.delete(entry.id);
+      else if (entry.item) byId.set(entry.id, entry.item);
+    });
+    return Array.from(byId.values());
+  }
+
+  function toRow(userId, item) {
+    return {
+      user_id: userId,
+      item_id: item.id,
+      title: item.title,
+      type: item.type,
+      category: item.category,
+      description: item.description,
+      link: item.link,
+      important: item.important,
+      created_at: new Date(item.createdAt || Date.now()).toISOString(),
+      last_used_at: item.lastUsedAt ? new Date(item.lastUsedAt).toISOString() : null,
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  function fromRow(row) {
+    return normaliseItem({
+      id: row.item_id,
+      title: row.title,
+      type: row.type,
+      category: row.category,
+      description: row.description,
+      link: row.link,
+      important: row.important,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+    });
+  }
+
+  function resolveClient(sb) {
+    sb = sb || window.supabaseClient || null;
+    watchClient(sb);
+    return sb;
+  }
+
+  async function sessionUserId(sb) {
+    if (!sb) return null;
+    try {
+      const { data } = await sb.auth.getSession();
+      return data?.session?.user?.id || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function flushQueue(sb) {
+    sb = resolveClient(sb);
+    if (!sb || flushing) return flushing || Promise.resolve();
+    if (typeof navigator !== "undefined" && navigator.onLine === false) return Promise.resolve();
+
+    flushing = (async () => {
+      const userId = await sessionUserId(sb);
+      if (!userId) return;
+
+      const queue = readQueue();
+      for (const key of Object.keys(queue)) {
+        const entry = queue[key];
+        if (entry.user_id !== userId) continue; // another account's edits wait for that account
+        try {
+          const { error } =
+            entry.op === "delete"
+              ? await sb.from(TABLE).delete().eq("user_id", userId).eq("item_id", entry.id)
+              : await sb.from(TABLE).upsert(toRow(userId, entry.item), { onConflict: "user_id,item_id" });
+          if (error) throw error;
+
+          // A newer edit may have been queued while this one was in flight.
+          const latest = readQueue();
+          if (latest[key] && latest[key].queued_at === entry.queued_at) {
+            delete latest[key];
+            writeQueue(latest);
+          }
+        } catch (e) {
+          break; // offline or session not usable; try again later
+        }
+      }
+    })().finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  }
+
+  // ----------------------------
+  // Cloud: pull + first sign-in merge
+  // ----------------------------
+  function replaceLocal(list) {
+    writeJSON(STORAGE_KEY, list);
+    notify(list);
+  }
+
+  function forgetAccount() {
+    if (!getOwner()) return;
+    // The account's copy is in the cloud (or still queued under its id); don't leave it for the next visitor.
+    localStorage.removeItem(OWNER_KEY);
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(CHECKIN_KEY);
+    notify([]);
+  }
+
+  // Resolves to { signedIn, userId?, error? }.
+  function sync(sb) {
+    sb = resolveClient(sb);
+    if (!sb) return Promise.resolve({ signedIn: false });
+    if (syncing) return syncing;
+
+    syncing = (async () => {
+      const userId = await sessionUserId(sb);
+      // No session, or none readable right now: keep the local copy as it is.
+      if (!userId) return { signedIn: false };
+
+      await flushQueue(sb);
+
+      const { data, error } = await sb.from(TABLE).select("*").eq("user_id", userId);
+      if (error) throw error;
+      const cloud = (data || []).map(fromRow).filter(Boolean);
+
+      const owner = getOwner();
+      if (owner === userId) {
+        replaceLocal(normaliseList(applyPending(cloud, userId)));
+      } else {
+        // First sign-in here. A guest's own saves join the account; demo seeds and
+        // anything left by a different account don't.
+        const demo = new Set(readJSON(DEMO_KEY) || []);
+        const cloudIds = new Set(cloud.map((item) => item.id));
+        const carried = owner ? [] : getItems().filter((item) => !demo.has(item.id) && !cloudIds.has(item.id));
+
+        localStorage.removeItem(DEMO_KEY);
+        localStorage.setItem(OWNER_KEY, userId);
+        replaceLocal(normaliseList(cloud.concat(carried)));
+        recordChanges(cloud, normaliseList(cloud.concat(carried)));
+        if (owner) localStorage.removeItem(CHECKIN_KEY);
+      }
+
+      await pullCheckin(sb, userId);
+      return { signedIn: true, userId };
+    })()
+      .catch((e) => {
+        console.warn("[TEPPlaybook] Sync failed:", e);
+        return { signedIn: !!getOwner(), error: e };
+      })
+      .finally(() => {
+        syncing = null;
+      });
+    return syncing;
+  }
+
+  function watchClient(sb) {
+    if (!sb || watchedClients.has(sb)) return;
+    watchedClients.add(sb);
+    try {
+      sb.auth.onAuthStateChange((event) => {
+        if (event === "SIGNED_IN") sync(sb);
+        else if (event === "TOKEN_REFRESHED") flushQueue(sb);
+        else if (event === "SIGNED_OUT") forgetAccount();
+      });
+    } catch (e) {}
+    window.addEventListener("online", () => flushQueue(sb));
+  }
+
+  // ----------------------------
+  // Check-in (My Playbook mood / energy / clarity)
+  // ----------------------------
+  function getCheckin() {
+    const stored = readJSON(CHECKIN_KEY);
+    return stored && typeof stored === "object" ? stored : null;
+  }
+
+  // `savedAt` is ours (last local write); the page owns `updatedAt`, which a reset clears.
+  function setCheckin(checkin) {
+    const record = Object.assign({}, checkin, { savedAt: Date.now() });
+    writeJSON(CHECKIN_KEY, record);
+    if (!getOwner()) return record;
+
+    clearTimeout(checkinTimer);
+    checkinTimer = setTimeout(() => pushCheckin(resolveClient(), record), CHECKIN_PUSH_DELAY);
+    return record;
+  }
+
+  async function pushCheckin(sb, record) {
+    const userId = await sessionUserId(sb);
+    if (!userId || userId !== getOwner()) return;
+    try {
+      const { error } = await sb.from(CHECKIN_TABLE).upsert(
+        {
+          user_id: userId,
+          tool_id: CHECKIN_TOOL_ID,
+          tool_version: 1,
+          state: record,
+          updated_at: new Date(record.savedAt).toISOString(),
+        },
+        { onConflict: "user_id,tool_id" }
+      );
+      if (error) throw error;
+    } catch (e) {
+      // Local copy is newer; the next sync() pushes it.
+    }
+  }
+
+  async function pullCheckin(sb, userId) {
+    const { data, error } = await sb
+      .from(CHECKIN_TABLE)
+      .select("state, updated_at")
+      .eq("user_id", userId)
+      .eq("tool_id", CHECKIN_TOOL_ID)
+      .maybeSingle();
+    if (error) throw error;
+
+    const local = getCheckin();
+    const cloudAt = toTime(data?.updated_at) || 0;
+    const localAt = toTime(local?.savedAt) || 0;
+    if (data?.state && cloudAt > localAt) {
+      writeJSON(CHECKIN_KEY, Object.assign({}, data.state, { savedAt: cloudAt }));
+    } else if (local && localAt > cloudAt) {
+      await pushCheckin(sb, local);
+    }
+  }
+
+  // ----------------------------
+  // Cross-tab sync
+  // ----------------------------
+  // `storage` only fires in the *other* tabs, which is exactly when a page's own
+  // copy of the list goes stale. A null key means localStorage was cleared.
+  // Listeners also run when sync() brings down the account's list.
+  function subscribe(fn) {
+    if (typeof fn !== "function") return () => {};
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  // Also called after sync() replaces the list with the account's copy.
+  function notify(items) {
+    listeners.forEach((fn) => {
+      try {
+        fn(items);
+      } catch (err) {
+        console.warn("[TEPPlaybook] Listener failed:", err);
+      }
+    });
+  }
+
+  window.addEventListener("storage", (e) => {
+    if (e.key !== STORAGE_KEY && e.key !== null) return;
+    notify(getItems());
+  });
+
+  try {
+    migrateLegacy();
+  } catch (e) {
+    console.warn("[TEPPlaybook] Legacy migration failed:", e);
+  }
+
+  // Supabase is loaded after this file on most pages; by DOMContentLoaded it's there.
+  document.addEventListener("DOMContentLoaded", () => {
+    if (window.supabaseClient) sync();
+  });
+
+  window.TEPPlaybook = {
+    STORAGE_KEY,
+    CATEGORY_LABELS,
+    getItems,
+    setItems,
+    hasStoredItems,
+    get,
+    has,
+    upsert,
+    remove,
+    toggle,
+    update,
+    touch,
+    toggleImportant,
+    getCategoryLabels,
+    seedDemo,
+    normaliseItem,
+    subscribe,
+    sync,
+    flushQueue,
+    getCheckin,
+    setCheckin,
+  };
+})();
@@ -0,0 +1,233 @@
+// assets/redirect.js — The Employee Playbook (static HTML + Supabase CDN)
+// Where to send someone after they sign in. One stored destination, one validator.
+//
+// A destination is only accepted if it is a same-origin path to a page in KNOWN_PAGES,
+// so ?returnTo=https://evil.example (or //evil.example, javascript:…) falls back to
+// the dashboard. Works as a classic script (sets window.TEPRedirect) and as a
+// side-effect import from modules:
+//   <script src="assets/redirect.js"></script>      (sign-in, create-account, auth-callback)
+//   import "./redirect.js";                           (accessControl.js, authUI.js)
+//
+// Usage:
+//   TEPRedirect.signInUrl()            // "sign-in.html?returnTo=%2Fframework-negotiation" + remembers it
+//   TEPRedirect.resolve()              // ?returnTo / ?next, else the stored one, else "dashboard.html"
+//   TEPRedirect.take()                 // resolve() and forget the stored one (call when you navigate)
+
+(function () {
+  if (window.TEPRedirect) return;
+
+  const STORAGE_KEY = "tep_return_to_v1";
+  // Keys the separate sign-in / callback flows used before this module.
+  const LEGACY_KEYS = ["returnTo", "tep_post_auth_redirect", "tep_post_login_redirect"];
+  const QUERY_KEYS = ["returnTo", "next"];
+  const FALLBACK = "dashboard.html";
+
+  // Pages a signed-in user may be sent to. Auth pages (sign-in, create-account,
+  // forgot-password, update-password, auth-callback) are deliberately absent.
+  const KNOWN_PAGES = new Set([
+    "index",
+    "about-us",
+    "help-centre",
+    "privacy-and-security",
+    "terms-and-conditions",
+    "the-lens",
+    "the-toolkit",
+    "the-coach",
+    "the-coach-member",
+    "the-shift",
+    "the-pricing",
+    "dashboard",
+    "my-playbook",
+    "profile",
+    "script-library",
+
+    "assessment-burnout-and-capacity",
+    "assessment-conflict-risk-radar",
+    "assessment-presence-calibration",
+    "calculator-multi-factor-risk",
+    "review-meeting-effectiveness",
+    "review-quarterly-workload",
+
+    "category-career-playbook",
+    "category-clarity-priorities-and-direction",
+    "category-confidence-presence-influence",
+    "category-expectation-burnout-and-capacity",
+    "category-hr-and-formal-processes",
+    "category-manager-relationship-and-leadership-style",
+    "category-workplace-dynamics-and-politics",
+
+    "checklist-boundary-strength",
+    "checklist-burnout-detection",
+    "checklist-capacity",
+    "checklist-decision-clarity",
+    "checklist-expectation-alignment",
+    "checklist-hr-and-process-safety",
+    "checklist-manager-pattern-identifier",
+    "checklist-micromanagement",
+    "checklist-performance-review-prep",
+    "checklist-performance-review-preparation",
+    "checklist-presence-upgrade",
+    "checklist-priority-reset",
+    "checklist-team-dysfunction",
+    "checklist-workload-clarity",
+    "routine-presence-90-seconds-reset",
+
+    "framework-career-anchoring",
+    "framework-credibility-and-positioning",
+    "framework-decision-clarity",
+    "framework-evidence-and-documentation",
+    "framework-micromanagement-to-autonomy",
+    "framework-negotiation",
+    "framework-risk-and-safety",
+    "framework-situational-analysis",
+    "framework-skills-development",
+    "framework-strategic-interpretation",
+    "map-political-landscape",
+    "map-stakeholder",
+    "map-team-tension",
+
+    "form-escalation-documentation",
+    "matrix-eisenhower",
+    "plan-burnout-prevention",
+    "plan-exit-and-reputation",
+    "plan-formal-escalation",
+    "plan-personal-action",
+    "plan-priority-reset",
+    "plan-reputation-management",
+    "plan-sustainable-pace",
+    "planner-pay-increase-negotiation",
+    "planner-time-blocking",
+    "planner-weekly-priority",
+    "template-decision-record",
+    "worksheet-priority-audit",
+
+    "guide-boundaries",
+    "guide-emotional-preparation",
+    "guide-strategic-conversations",
+    "guide-toxic-behaviour-response",
+    "playbook-career-advancement",
+    "playbook-priority-reset",
+  ]);
+
+  // ----------------------------
+  // Validation
+  // ----------------------------
+  // Returns "<page>.html?…#…" for a known same-origin page, else null.
+  function sanitise(value) {
+    const raw = typeof value === "string" ? value.trim() : "";
+    if (!raw || /[\u0000-\u001f\\]/.test(raw)) return null;
+
+    let url;
+    try {
+      url = new URL(raw, window.location.origin + "/");
+    } catch (e) {
+      return null;
+    }
+    if (url.origin !== window.location.origin) return null;
+
+    const path = url.pathname.replace(/\/+$/, "");
+    if (path.lastIndexOf("/") > 0) return null; // pages live at the site root
+    const slug = path.slice(1).replace(/\.html$/i, "") || "index";
+    if (!KNOWN_PAGES.has(slug)) return null;
+
+    return slug + ".html" + url.search + url.hash;
+  }
+
+  function isSafe(value) {
+    return sanitise(value) !== null;
+  }
+
+  // ----------------------------
+  // Storage
+  // ----------------------------
+  function readStored() {
+    try {
+      const current = sanitise(localStorage.getItem(STORAGE_KEY));
+      if (current) return current;
+      for (const key of LEGACY_KEYS) {
+        const legacy = sanitise(localStorage.getItem(key));
+        if (legacy) return legacy;
+      }
+    } catch (e) {}
+    return null;
+  }
+
+  function forget() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+      LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+    } catch (e) {}
+  }
+
+  // Stores a destination for after sign-in. Unsafe values are ignored (and clear
+  // any older destination, so a stale one can't win). Returns what was stored.
+  function remember(value) {
+    const safe = sanitise(value);
+    forget();
+    if (!safe) return null;
+    try {
+      localStorage.setItem(STORAGE_KEY, safe);
+    } catch (e) {}
+    return safe;
+  }
+
+  function currentPath() {
+    return window.location.pathname + window.location.search + window.location.hash;
+  }
+
+  // ----------------------------
+  // Resolve
+  // ----------------------------
+  function fromQuery(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    for (const key of QUERY_KEYS) {
+      const safe = sanitise(params.get(key));
+      if (safe) return safe;
+    }
+    return null;
+  }
+
+  function resolve(options = {}) {
+    const { fallback = FALLBACK } = options;
+    return fromQuery() || readStored() || sanitise(fallback) || FALLBACK;
+  }
+
+  function take(options = {}) {
+    const to = resolve(options);
+    forget();
+    return to;
+  }
+
+  // ----------------------------
+  // URL builders
+  // ----------------------------
+  // "sign-in.html?returnTo=…" (also remembered, so it survives email links).
+  function withReturnTo(page, returnTo = currentPath()) {
+    const safe = sanitise(returnTo);
+    return safe ? page + "?returnTo=" + encodeURIComponent(safe) : page;
+  }
+
+  function signInUrl(returnTo = currentPath()) {
+    remember(returnTo);
+    return withReturnTo("sign-in.html", returnTo);
+  }
+
+  function pricingUrl(returnTo = currentPath()) {
+    return withReturnTo("the-pricing.html", returnTo);
+  }
+
+  window.TEPRedirect = {
+    STORAGE_KEY,
+    FALLBACK,
+    KNOWN_PAGES,
+    sanitise,
+    isSafe,
+    remember,
+    forget,
+    resolve,
+    take,
+    withReturnTo,
+    signInUrl,
+    pricingUrl,
+  };
+})();
@@ -0,0 +1,392 @@
+// assets/scoreHistory.js — The Employee Playbook (static HTML + Supabase CDN)
+// Dated score snapshots for the assessments and scored checklists, so a result can be
+// compared with the last time rather than only showing "now".
+// Requires: assets/toolState.js (storage).
+//
+// Usage (on an assessment or checklist page):
+//   const history = TEPScoreHistory.create({
+//     toolId: TOOL_ID,
+//     title: "Burnout Warning Assessment",
+//     labels: { energy: "Energy", cognitive: "Cognition" },  // domain/dimension keys -> names
+//     onChange: () => history.renderPanel("#scoreHistory"),
+//   });
+//   await history.load();
+//   history.record({                      // when a summary is generated (saves)
+//     pct: 62,
+//     band: { label: "HIGH RISK", level: "high" },            // level: "high" | "medium" | "low"
+//     domains: { energy: 70, cognitive: 55 },
+//     dimensions: {},
+//   });
+//   history.baseline();                   // the snapshot to compare live scores against
+//
+// Snapshots live in their own TEPToolState record (tool id `<toolId>_history`), so
+// they sync like any tool save but are never overwritten by the tool's own state.
+// Shape: { snapshots: [{ id, at, pct, band: { label, level }, domains, dimensions }] }
+// All scores are 0–100. By default higher means more risk, so a rise is shown as worse;
+// pass `higherIsBetter: true` for readiness/clarity style scores. `band.level` is always
+// the severity ("high" = worst) whichever way the score runs.
+
+(function () {
+  const HISTORY_SUFFIX = "_history";
+  const HISTORY_VERSION = 1;
+  const MAX_SNAPSHOTS = 52;
+  const PANEL_SNAPSHOTS = 6;
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  function makeId() {
+    return "sh_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  function clampPct(value) {
+    const n = Math.round(Number(value));
+    return Number.isFinite(n) ? Math.max(0, Math.min(100, n)) : 0;
+  }
+
+  function cleanScores(scores) {
+    const out = {};
+    if (!scores || typeof scores !== "object") return out;
+    Object.keys(scores).forEach((key) => {
+      if (scores[key] !== null && scores[key] !== undefined && scores[key] !== "") out[key] = clampPct(scores[key]);
+    });
+    return out;
+  }
+
+  function cleanLevel(level) {
+    if (level === "high" || level === "critical") return "high";
+    if (level === "medium" || level === "strained") return "medium";
+    return "low";
+  }
+
+  function cleanSnapshot(s) {
+    if (!s || typeof s !== "object" || !s.at || isNaN(new Date(s.at))) return null;
+    return {
+      id: typeof s.id === "string" && s.id ? s.id : makeId(),
+      at: new Date(s.at).toISOString(),
+      pct: clampPct(s.pct),
+      band: { label: String(s.band?.label || ""), level: cleanLevel(s.band?.level) },
+      domains: cleanScores(s.domains),
+      dimensions: cleanScores(s.dimensions),
+    };
+  }
+
+  function byOldest(a, b) {
+    return String(a.at).localeCompare(String(b.at));
+  }
+
+  function sameDay(a, b) {
+    return new Date(a).toDateString() === new Date(b).toDateString();
+  }
+
+  function sameScores(a, b) {
+    const keys = (s) => Object.keys(s.domains).concat(Object.keys(s.dimensions).map((k) => "d:" + k)).sort().join(",");
+    if (a.pct !== b.pct || keys(a) !== keys(b)) return false;
+    return Object.keys(a.domains).every((k) => a.domains[k] === b.domains[k]) &&
+      Object.keys(a.dimensions).every((k) => a.dimensions[k] === b.dimensions[k]);
+  }
+
+  function formatDate(dateLike) {
+    try {
+      return new Date(dateLike).toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric" });
+    } catch (e) {
+      return "";
+    }
+  }
+
+  // ----------------------------
+  // Trend + sparkline
+  // ----------------------------
+  // Change from the first to the last value. Within ±2 points counts as flat.
+  function trend(values) {
+    const list = (values || []).filter((v) => Number.isFinite(v));
+    if (list.length < 2) return { delta: 0, direction: "flat" };
+    const delta = list[list.length - 1] - list[0];
+    return { delta, direction: Math.abs(delta) <= 2 ? "flat" : delta > 0 ? "up" : "down" };
+  }
+
+  function formatDelta(delta) {
+    if (!delta) return "±0";
+    return (delta > 0 ? "+" : "−") + Math.abs(delta);
+  }
+
+  // Inline SVG on a fixed 0–100 scale, so shapes are comparable between charts.
+  function sparkline(values, options = {}) {
+    const width = options.width || 120;
+    const height = options.height || 32;
+    const label = options.label || "Score trend";
+    const list = (values || []).filter((v) => Number.isFinite(v));
+    const pad = 3;
+
+    const open = `<svg class="tep-spark" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(label)}">`;
+    if (!list.length) return open + "</svg>";
+
+    const x = (i) => (list.length === 1 ? width / 2 : pad + (i * (width - pad * 2)) / (list.length - 1));
+    const y = (v) => pad + ((100 - clampPct(v)) * (height - pad * 2)) / 100;
+    const points = list.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+    const last = list.length - 1;
+
+    return (
+      open +
+      `<line class="tep-spark-mid" x1="0" x2="${width}" y1="${y(50).toFixed(1)}" y2="${y(50).toFixed(1)}"></line>` +
+      (list.length > 1 ? `<polyline class="tep-spark-line" points="${points}"></polyline>` : "") +
+      `<circle class="tep-spark-dot" cx="${x(last).toFixed(1)}" cy="${y(list[last]).toFixed(1)}" r="2.6"></circle>` +
+      "</svg>"
+    );
+  }
+
+  // ----------------------------
+  // Panel styles
+  // ----------------------------
+  function injectStyles() {
+    if (document.getElementById("tep-history-styles")) return;
+    const style = document.createElement("style");
+    style.id = "tep-history-styles";
+    style.textContent = `
+      .tep-history{
+        padding:18px 20px; border-radius:14px; background:rgba(255,255,255,.92);
+        border:1px solid var(--border-light, rgba(0,0,0,.08)); box-shadow:0 10px 26px rgba(0,0,0,.06);
+        color:var(--text-dark, #212529);
+      }
+      .dark-mode .tep-history{ background:rgba(20,20,20,.6); box-shadow:0 10px 26px rgba(0,0,0,.35); }
+      .tep-history-head{ display:flex; align-items:center; justify-content:space-between; gap:12px; margin-bottom:12px; }
+      .tep-history-title{ font-weight:700; color:var(--accent-purple-dark, #5a4496); }
+      .tep-history-title i{ margin-right:8px; }
+      .tep-history-count{ font-size:12px; font-weight:600; color:var(--text-medium, #495057); }
+      .tep-history-main{ display:flex; align-items:center; gap:16px; flex-wrap:wrap; margin-bottom:14px; }
+      .tep-history-now{ display:flex; flex-direction:column; gap:2px; }
+      .tep-history-now strong{ font-size:26px; line-height:1; }
+      .tep-history-band{ font-size:12px; font-weight:700; letter-spacing:.02em; }
+      .tep-history-band.high{ color:var(--danger-red, #dc3545); }
+      .tep-history-band.medium{ color:var(--warning-orange, #fd7e14); }
+      .tep-history-band.low{ color:var(--success-green, #28a745); }
+      .tep-history-delta{ font-size:12px; font-weight:700; color:var(--text-medium, #495057); }
+      .tep-history-delta.up{ color:var(--danger-red, #dc3545); }
+      .tep-history-delta.down{ color:var(--success-green, #28a745); }
+      .tep-history-rows{ display:grid; grid-template-columns:repeat(auto-fill, minmax(230px, 1fr)); gap:8px 18px; margin-bottom:14px; }
+      .tep-history-row{ display:grid; grid-template-columns:1fr auto auto auto; align-items:center; gap:8px; font-size:13px; }
+      .tep-history-row .name{ font-weight:600; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      .tep-history-row .pct{ font-weight:700; min-width:36px; text-align:right; }
+      .tep-history-list{ list-style:none; margin:0; padding:0; border-top:1px solid var(--border-light, rgba(0,0,0,.08)); }
+      .tep-history-list li{ display:flex; justify-content:space-between; gap:10px; padding:7px 0; font-size:13px; border-bottom:1px solid var(--border-light, rgba(0,0,0,.06)); }
+      .tep-history-list li span:last-child{ font-weight:700; }
+      .tep-history-foot{ display:flex; justify-content:flex-end; margin-top:10px; }
+      .tep-history-foot button{
+        border:0; background:none; padding:4px 0; font:inherit; font-size:12px; font-weight:600;
+        color:var(--text-medium, #495057); cursor:pointer; text-decoration:underline;
+      }
+      .tep-history-empty{ font-size:13px; color:var(--text-medium, #495057); }
+      .tep-spark{ display:block; overflow:visible; }
+      .tep-spark-mid{ stroke:currentColor; stroke-opacity:.12; stroke-dasharray:2 3; }
+      .tep-spark-line{ fill:none; stroke:var(--accent-purple, #7b5fc4); stroke-width:2; stroke-linejoin:round; stroke-linecap:round; }
+      .tep-spark-dot{ fill:var(--accent-purple-dark, #5a4496); }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // ----------------------------
+  // Store
+  // ----------------------------
+  function create(options = {}) {
+    const toolId = options.toolId;
+    if (!toolId) {
+      console.error("[TEP] TEPScoreHistory.create needs a toolId.");
+      return null;
+    }
+    const labels = options.labels || {};
+    const onChange = typeof options.onChange === "function" ? options.onChange : () => {};
+    const higherIsBetter = !!options.higherIsBetter;
+    let snapshots = [];
+    // Set once this page records a snapshot, so comparisons skip the one just taken.
+    let recordedId = null;
+
+    const store = window.TEPToolState.register({
+      toolId: toolId + HISTORY_SUFFIX,
+      version: HISTORY_VERSION,
+      title: (options.title || document.title.split("|")[0].trim()) + " history",
+      client: options.client || null,
+      getState: () => ({ snapshots }),
+      applyState: (state) => {
+        snapshots = (Array.isArray(state?.snapshots) ? state.snapshots : []).map(cleanSnapshot).filter(Boolean).sort(byOldest);
+      },
+      renderStatus: options.renderStatus || (() => {}),
+    });
+
+    function notify() {
+      onChange(list());
+    }
+
+    // Oldest first.
+    function list() {
+      return snapshots.slice();
+    }
+
+    function latest() {
+      return snapshots[snapshots.length - 1] || null;
+    }
+
+    function baseline() {
+      const index = recordedId ? snapshots.findIndex((s) => s.id === recordedId) : snapshots.length;
+      return index > 0 ? snapshots[index - 1] : null;
+    }
+
+    // Values for one score over time; key is a domain/dimension key, or omitted for the overall %.
+    function series(key) {
+      return snapshots
+        .map((s) => (key ? s.domains[key] ?? s.dimensions[key] : s.pct))
+        .filter((v) => Number.isFinite(v));
+    }
+
+    async function load() {
+      await store.load();
+      notify();
+      return list();
+    }
+
+    // Regenerating the same result on the same day refreshes the latest snapshot
+    // instead of adding a duplicate point to the trend.
+    function record(result) {
+      const snapshot = cleanSnapshot({ ...result, id: makeId(), at: new Date().toISOString() });
+      if (!snapshot) return null;
+      const last = latest();
+      if (last && sameDay(last.at, snapshot.at) && sameScores(last, snapshot)) {
+        snapshot.id = last.id;
+        snapshots[snapshots.length - 1] = snapshot;
+      } else {
+        snapshots.push(snapshot);
+        snapshots = snapshots.slice(-MAX_SNAPSHOTS);
+      }
+      recordedId = snapshot.id;
+      notify();
+      store.save();
+      return snapshot;
+    }
+
+    function remove(id) {
+      const before = snapshots.length;
+      snapshots = snapshots.filter((s) => s.id !== id);
+      if (snapshots.length === before) return false;
+      if (recordedId === id) recordedId = null;
+      notify();
+      store.save();
+      return true;
+    }
+
+    function clear() {
+      snapshots = [];
+      recordedId = null;
+      notify();
+      return store.save();
+    }
+
+    // Delta colours follow the score's direction: "up" is styled as worse.
+    function deltaClass(direction) {
+      if (!higherIsBetter || direction === "flat") return direction;
+      return direction === "up" ? "down" : "up";
+    }
+
+    // Renders the history card into `target` (element or selector). Hidden until
+    // there is something to show unless `showEmpty` is set.
+    function renderPanel(target, panelOptions = {}) {
+      const host = typeof target === "string" ? document.querySelector(target) : target;
+      if (!host) return;
+      injectStyles();
+
+      const keys = panelOptions.keys || Object.keys(labels);
+      const title = panelOptions.title || "Score history";
+      const last = latest();
+      host.hidden = !last && !panelOptions.showEmpty;
+
+      if (!last) {
+        host.innerHTML = `
+          <div class="tep-history">
+            <div class="tep-history-head"><div class="tep-history-title"><i class="fas fa-clock-rotate-left"></i>${escapeHtml(title)}</div></div>
+            <div class="tep-history-empty">No snapshots yet. Each time you generate a summary, your scores are saved here with the date.</div>
+          </div>`;
+        return;
+      }
+
+      const recent = snapshots.slice(-12);
+      const overall = trend(recent.map((s) => s.pct));
+      const first = recent[0];
+      const since = recent.length > 1 ? ` since ${formatDate(first.at)}` : "";
+
+      const rows = keys
+        .map((key) => {
+          const values = recent.map((s) => s.domains[key] ?? s.dimensions[key]).filter((v) => Number.isFinite(v));
+          if (!values.length) return "";
+          const t = trend(values);
+          return `
+            <div class="tep-history-row">
+              <span class="name">${escapeHtml(labels[key] || key)}</span>
+              ${sparkline(values, { width: 64, height: 20, label: `${labels[key] || key} trend` })}
+              <span class="pct">${values[values.length - 1]}%</span>
+              <span class="tep-history-delta ${deltaClass(t.direction)}">${values.length > 1 ? formatDelta(t.delta) : ""}</span>
+            </div>`;
+        })
+        .join("");
+
+      const items = snapshots
+        .slice(-PANEL_SNAPSHOTS)
+        .reverse()
+        .map((s) => `<li><span>${escapeHtml(formatDate(s.at))} • <span class="tep-history-band ${s.band.level}">${escapeHtml(s.band.label)}</span></span><span>${s.pct}%</span></li>`)
+        .join("");
+
+      const count = snapshots.length === 1 ? "1 snapshot" : `${snapshots.length} snapshots`;
+
+      host.innerHTML = `
+        <div class="tep-history">
+          <div class="tep-history-head">
+            <div class="tep-history-title"><i class="fas fa-clock-rotate-left"></i>${escapeHtml(title)}</div>
+            <span class="tep-history-count">${count}</span>
+          </div>
+          <div class="tep-history-main">
+            ${sparkline(recent.map((s) => s.pct), { width: 180, height: 44, label: "Overall score over time" })}
+            <div class="tep-history-now">
+              <strong>${last.pct}%</strong>
+              <span class="tep-history-band ${last.band.level}">${escapeHtml(last.band.label)}</span>
+              <span class="tep-history-delta ${deltaClass(overall.direction)}">${recent.length > 1 ? formatDelta(overall.delta) + " pts" + since : "First snapshot • " + formatDate(last.at)}</span>
+            </div>
+          </div>
+          ${rows ? `<div class="tep-history-rows">${rows}</div>` : ""}
+          <ol class="tep-history-list">${items}</ol>
+          <div class="tep-history-foot"><button type="button" data-history-action="clear">Clear history</button></div>
+        </div>`;
+
+      host.querySelector('[data-history-action="clear"]').addEventListener("click", () => {
+        if (!confirm("Clear every saved snapshot for this tool? This can’t be undone.")) return;
+        clear();
+      });
+    }
+
+    return {
+      toolId: store.toolId,
+      load,
+      record,
+      remove,
+      clear,
+      list,
+      latest,
+      baseline,
+      series,
+      renderPanel,
+      hasPendingSync: store.hasPendingSync,
+    };
+  }
+
+  window.TEPScoreHistory = {
+    create,
+    sparkline,
+    trend,
+    formatDelta,
+  };
+})();
@@ -0,0 +1,661 @@
+// assets/search.js — The Employee Playbook (static HTML + Supabase CDN)
+// Site-wide search palette: tools, pages, Script Library scripts and help articles.
+// Include on any page (no other dependencies):
+//   <script src="assets/search.js" defer></script>
+//
+// Opens with Ctrl/Cmd-K, the search button added to the header (.nav-actions), or any
+// element with data-tep-search (its value, if set, preselects a type: "tool",
+// "script", "help" or "page").
+//
+// Usage from page code:
+//   TEPSearch.open({ query: "boundaries", type: "script", category: "confidence" });
+//   const results = await TEPSearch.search("burnout", { type: "tool" });
+//
+// The index is built in the browser from assets/searchIndex.js (pages + help) and
+// assets/scriptLibraryData.js (scripts), both loaded the first time the palette opens.
+// Results link into pages the way they already read the URL: scripts open with
+// script-library.html#script=<id>, script themes/categories with ?theme= / ?category=,
+// help answers with help-centre.html#<section>.
+
+(function () {
+  const INDEX_FILE = "searchIndex.js";
+  const SCRIPTS_FILE = "scriptLibraryData.js";
+  const MAX_RESULTS = 30;
+  const SNIPPET_LENGTH = 140;
+
+  // Same keys and labels as TEPPlaybook.CATEGORY_LABELS (assets/playbook.js).
+  const CATEGORY_LABELS = {
+    clarity: "Clarity, Priorities & Direction",
+    expectations: "Expectations, Burnout & Capacity",
+    manager: "Manager Behaviour",
+    dynamics: "Workplace Dynamics & Politics",
+    hr: "HR & Formal Processes",
+    confidence: "Confidence, Presence & Influence",
+    career: "Career Path",
+  };
+
+  // Script Library category keys -> the categories above (as script-library.html maps them
+  // for My Playbook).
+  const SCRIPT_CATEGORY = { burnout: "expectations", politics: "dynamics", sos: "hr" };
+
+  const TYPES = [
+    { key: "", label: "All" },
+    { key: "tool", label: "Tools", icon: "fa-toolbox" },
+    { key: "script", label: "Scripts", icon: "fa-comment-dots" },
+    { key: "help", label: "Help", icon: "fa-circle-question" },
+    { key: "page", label: "Pages", icon: "fa-file-lines" },
+  ];
+
+  // Shown first when there is nothing typed yet.
+  const TYPE_ORDER = { tool: 0, script: 1, page: 2, help: 3 };
+
+  const BASE = (document.currentScript && document.currentScript.src
+    ? document.currentScript.src.replace(/search\.js(?:[?#].*)?$/, "")
+    : "assets/");
+
+  let docs = null;
+  let loading = null;
+  let ui = null;
+  let results = [];
+  let activeIndex = 0;
+  let filters = { type: "", category: "" };
+  let lastFocus = null;
+
+  // ----------------------------
+  // Loading
+  // ----------------------------
+  function loadScript(file, globalName) {
+    if (window[globalName]) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = BASE + file;
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error("Could not load " + file));
+      document.head.appendChild(script);
+    });
+  }
+
+  // Resolves to the full document list; loads the index files once.
+  function ready() {
+    if (docs) return Promise.resolve(docs);
+    if (loading) return loading;
+    loading = Promise.all([
+      loadScript(INDEX_FILE, "TEPSearchIndex"),
+      // The pages are still searchable if the script catalogue fails to load.
+      loadScript(SCRIPTS_FILE, "TEPScriptLibrary").catch((e) => console.warn("[TEP] Search:", e.message)),
+    ])
+      .then(() => {
+        docs = buildDocs();
+        return docs;
+      })
+      .finally(() => {
+        loading = null;
+      });
+    return loading;
+  }
+
+  // ----------------------------
+  // Index
+  // ----------------------------
+  function normalise(text) {
+    return String(text || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[’']/g, "")
+      .replace(/&/g, " and ")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  function makeDoc(fields) {
+    const title = normalise(fields.title);
+    const keywords = normalise((fields.keywords || []).join(" "));
+    const body = normalise([fields.description, fields.kind, keywords, fields.extra].join(" "));
+    return Object.assign(fields, {
+      _title: title,
+      _titleWords: title.split(" ").filter(Boolean),
+      _keywords: keywords.split(" ").filter(Boolean),
+      _body: body,
+      _bodyWords: Array.from(new Set(body.split(" ").filter(Boolean))),
+      _initials: title.split(" ").map((w) => w[0] || "").join(""),
+    });
+  }
+
+  function buildDocs() {
+    const index = window.TEPSearchIndex || { PAGES: [], HELP: [] };
+    const library = window.TEPScriptLibrary || { themes: [], categories: [], scripts: [] };
+    const out = [];
+
+    index.PAGES.forEach((p) => {
+      out.push(makeDoc({
+        type: p.type,
+        kind: p.kind || (p.type === "tool" ? "Tool" : "Page"),
+        category: p.category || "",
+        title: p.title,
+        description: p.description,
+        keywords: p.keywords,
+        url: p.url,
+      }));
+    });
+
+    library.themes.forEach((t) => {
+      out.push(makeDoc({
+        type: "script",
+        kind: "Script theme",
+        category: "",
+        title: t.name,
+        description: t.desc,
+        url: "script-library.html?theme=" + encodeURIComponent(t.key),
+      }));
+    });
+
+    library.categories.forEach((c) => {
+      out.push(makeDoc({
+        type: "script",
+        kind: "Script category",
+        category: SCRIPT_CATEGORY[c.key] || c.key,
+        title: c.name + " scripts",
+        description: c.desc,
+        url: "script-library.html?category=" + encodeURIComponent(c.key),
+      }));
+    });
+
+    library.scripts.forEach((sc) => {
+      const category = library.categories.find((c) => c.key === sc.categoryKey);
+      const theme = library.themes.find((t) => t.key === sc.themeKey);
+      out.push(makeDoc({
+        type: "script",
+        kind: "Script",
+        category: SCRIPT_CATEGORY[sc.categoryKey] || sc.categoryKey,
+        title: sc.title,
+        description: sc.summary,
+        keywords: [category && category.name, theme && theme.name].filter(Boolean),
+        extra: [sc.use, sc.context].join(" "),
+        url: "script-library.html#script=" + encodeURIComponent(sc.id),
+      }));
+    });
+
+    index.HELP.forEach((h) => {
+      out.push(makeDoc({
+        type: "help",
+        kind: h.section,
+        category: "",
+        title: h.question,
+        description: h.answer,
+        url: "help-centre.html#" + h.anchor,
+      }));
+    });
+
+    return out;
+  }
+
+  // ----------------------------
+  // Ranking
+  // ----------------------------
+  // Edit distance, giving up (returns max + 1) once it can't be <= max.
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        best = Math.min(best, row[j]);
+      }
+      if (best > max) return max + 1;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // Typos allowed for a query word: none for short words, one from 4 letters, two from 8.
+  function typoAllowance(token) {
+    return token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+  }
+
+  function fuzzyWordMatch(token, words) {
+    const max = typoAllowance(token);
+    if (!max) return false;
+    // Compare against the same-length start of longer words too ("negotation" ~ "negotiations").
+    return words.some((w) => editDistance(token, w.slice(0, token.length + max), max) <= max);
+  }
+
+  // Best score for one query word against one document, or 0 if it doesn't match.
+  function scoreToken(token, doc) {
+    if (doc._titleWords.includes(token)) return 10;
+    if (doc._titleWords.some((w) => w.startsWith(token))) return 8;
+    if (doc._keywords.includes(token)) return 6;
+    if (token.length >= 3 && doc._title.includes(token)) return 5;
+    if (doc._keywords.some((w) => w.startsWith(token))) return 4;
+    if (fuzzyWordMatch(token, doc._titleWords)) return 4;
+    if (doc._bodyWords.some((w) => w.startsWith(token))) return 2;
+    if (token.length >= 3 && doc._body.includes(token)) return 1.5;
+    if (fuzzyWordMatch(token, doc._bodyWords)) return 1;
+    return 0;
+  }
+
+  function scoreDoc(query, tokens, doc) {
+    let score = 0;
+    for (const token of tokens) {
+      const s = scoreToken(token, doc);
+      // Every word has to match somewhere, unless the query spells the title's initials.
+      if (!s) return query.length >= 2 && doc._initials.startsWith(query.replace(/ /g, "")) ? 7 : 0;
+      score += s;
+    }
+    if (tokens.length > 1 && doc._title.includes(query)) score += 6;
+    if (doc._title.startsWith(query)) score += 4;
+    return score;
+  }
+
+  function matchesFilters(doc, opts) {
+    if (opts.type && doc.type !== opts.type) return false;
+    if (opts.category && doc.category !== opts.category) return false;
+    return true;
+  }
+
+  function rank(query, opts = {}) {
+    const pool = (docs || []).filter((d) => matchesFilters(d, opts));
+    const q = normalise(query);
+    const limit = opts.limit || MAX_RESULTS;
+
+    if (!q) {
+      return pool
+        .slice()
+        .sort((a, b) => TYPE_ORDER[a.type] - TYPE_ORDER[b.type] || a.title.localeCompare(b.title))
+        .slice(0, limit);
+    }
+
+    const tokens = q.split(" ");
+    return pool
+      .map((doc) => ({ doc, score: scoreDoc(q, tokens, doc) }))
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score || TYPE_ORDER[a.doc.type] - TYPE_ORDER[b.doc.type] || a.doc.title.localeCompare(b.doc.title))
+      .slice(0, limit)
+      .map((r) => r.doc);
+  }
+
+  async function search(query, opts = {}) {
+    await ready();
+    return rank(query, opts).map(publicResult);
+  }
+
+  function publicResult(doc) {
+    return {
+      type: doc.type,
+      kind: doc.kind,
+      category: doc.category,
+      title: doc.title,
+      description: doc.description,
+      url: doc.url,
+    };
+  }
+
+  // ----------------------------
+  // Navigation
+  // ----------------------------
+  function pageKey(pathname) {
+    return pathname.replace(/\.html$/, "").replace(/\/index$/, "/").replace(/\/+$/, "") || "/";
+  }
+
+  // Same-page links (e.g. another script while on the Script Library) only change the
+  // hash, so the page's hashchange handler picks them up without a reload.
+  function go(url, newTab) {
+    if (newTab) {
+      window.open(url, "_blank", "noopener");
+      return;
+    }
+    const target = new URL(url, window.location.href);
+    const here = window.location;
+    close({ restoreFocus: false });
+
+    if (pageKey(target.pathname) === pageKey(here.pathname) && target.search === here.search && target.hash) {
+      if (target.hash === here.hash) window.dispatchEvent(new HashChangeEvent("hashchange"));
+      else here.hash = target.hash;
+      return;
+    }
+    here.href = target.href;
+  }
+
+  // ----------------------------
+  // UI
+  // ----------------------------
+  function escapeHtml(str) {
+    return String(str || "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function snippet(text) {
+    const clean = String(text || "").replace(/\s+/g, " ").trim();
+    if (clean.length <= SNIPPET_LENGTH) return clean;
+    const cut = clean.slice(0, SNIPPET_LENGTH);
+    return cut.slice(0, cut.lastIndexOf(" ")).replace(/[\s,.;:—-]+$/, "") + "…";
+  }
+
+  function shortcutLabel() {
+    return /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || "") ? "⌘K" : "Ctrl K";
+  }
+
+  function injectStyles() {
+    if (document.getElementById("tep-search-styles")) return;
+    const style = document.createElement("style");
+    style.id = "tep-search-styles";
+    style.textContent = `
+      .tep-search-toggle{
+        background:none; border:none; cursor:pointer;
+        width:36px; height:36px; border-radius:50%;
+        display:flex; align-items:center; justify-content:center;
+        font-size:16px; color:var(--text-dark, #212529);
+        transition: background-color .3s ease;
+      }
+      .tep-search-toggle:hover, .tep-search-toggle:focus-visible{ background: rgba(123,95,196,.12); outline:none; }
+
+      .tep-search-backdrop{
+        position:fixed; inset:0; z-index:10000;
+        display:flex; align-items:flex-start; justify-content:center;
+        padding:12vh 16px 16px;
+        background: rgba(16,24,40,.45);
+        backdrop-filter: blur(6px);
+      }
+      .tep-search-backdrop[hidden]{ display:none; }
+      .tep-search-panel{
+        width:min(640px, 100%);
+        max-height:76vh;
+        display:flex; flex-direction:column;
+        border-radius:18px;
+        background:#fff; color:#212529;
+        box-shadow: 0 24px 70px rgba(16,24,40,.22);
+        font-family: Inter, system-ui, sans-serif;
+        overflow:hidden;
+      }
+      .dark-mode .tep-search-panel{ background:#12141c; color:rgba(255,255,255,.92); box-shadow: 0 24px 70px rgba(0,0,0,.5); }
+
+      .tep-search-field{ display:flex; align-items:center; gap:10px; padding:14px 18px; border-bottom:1px solid rgba(123,95,196,.16); }
+      .tep-search-field i{ color:#7B5FC4; }
+      .tep-search-input{
+        flex:1; min-width:0; border:none; outline:none; background:transparent;
+        font:inherit; font-size:16px; color:inherit;
+      }
+      .tep-search-kbd{
+        font-size:11px; font-weight:700; padding:3px 7px; border-radius:6px;
+        border:1px solid rgba(123,95,196,.25); opacity:.7; white-space:nowrap;
+      }
+
+      .tep-search-filters{ display:flex; flex-wrap:wrap; align-items:center; gap:6px; padding:10px 18px; border-bottom:1px solid rgba(123,95,196,.1); }
+      .tep-search-chip{
+        padding:5px 11px; border-radius:999px; cursor:pointer;
+        border:1px solid rgba(123,95,196,.25); background:transparent;
+        color:inherit; font:inherit; font-size:12px; font-weight:600;
+      }
+      .tep-search-chip[aria-pressed="true"]{ background:#7B5FC4; border-color:#7B5FC4; color:#fff; }
+      .tep-search-category{
+        margin-left:auto; max-width:100%;
+        padding:5px 8px; border-radius:8px;
+        border:1px solid rgba(123,95,196,.25); background:transparent;
+        color:inherit; font:inherit; font-size:12px;
+      }
+      .dark-mode .tep-search-category option{ background:#12141c; }
+
+      .tep-search-results{ list-style:none; margin:0; padding:6px; overflow-y:auto; }
+      .tep-search-result a{
+        display:flex; gap:12px; align-items:flex-start;
+        padding:10px 12px; border-radius:12px;
+        color:inherit; text-decoration:none;
+      }
+      .tep-search-result.is-active a{ background: rgba(123,95,196,.1); }
+      .tep-search-result-icon{
+        flex:0 0 30px; height:30px; border-radius:9px;
+        display:flex; align-items:center; justify-content:center;
+        background: rgba(123,95,196,.12); color:#7B5FC4; font-size:13px;
+      }
+      .tep-search-result-body{ min-width:0; }
+      .tep-search-result-title{ font-size:14px; font-weight:700; line-height:1.35; }
+      .tep-search-result-meta{ font-size:11px; font-weight:600; opacity:.6; margin-top:2px; }
+      .tep-search-result-desc{ font-size:12.5px; line-height:1.45; opacity:.78; margin-top:3px; }
+
+      .tep-search-empty{ padding:22px 18px; font-size:14px; opacity:.75; text-align:center; }
+      .tep-search-footer{ padding:8px 18px; font-size:11px; opacity:.6; border-top:1px solid rgba(123,95,196,.1); }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function buildUI() {
+    if (ui) return ui;
+    injectStyles();
+
+    const backdrop = document.createElement("div");
+    backdrop.className = "tep-search-backdrop";
+    backdrop.hidden = true;
+    backdrop.innerHTML = `
+      <div class="tep-search-panel" role="dialog" aria-modal="true" aria-label="Search The Employee Playbook">
+        <div class="tep-search-field">
+          <i class="fas fa-search" aria-hidden="true"></i>
+          <input class="tep-search-input" type="search" autocomplete="off" spellcheck="false"
+            placeholder="Search tools, scripts and help…"
+            role="combobox" aria-expanded="true" aria-controls="tepSearchResults" aria-autocomplete="list">
+          <span class="tep-search-kbd">Esc</span>
+        </div>
+        <div class="tep-search-filters">
+          ${TYPES.map((t) => `<button type="button" class="tep-search-chip" data-type="${t.key}" aria-pressed="false">${t.label}</button>`).join("")}
+          <select class="tep-search-category" aria-label="Filter by category">
+            <option value="">All categories</option>
+            ${Object.keys(CATEGORY_LABELS).map((key) => `<option value="${key}">${escapeHtml(CATEGORY_LABELS[key])}</option>`).join("")}
+          </select>
+        </div>
+        <ul class="tep-search-results" id="tepSearchResults" role="listbox" aria-label="Results"></ul>
+        <div class="tep-search-footer">↑ ↓ to move • Enter to open • ${shortcutLabel()} to toggle</div>
+      </div>`;
+    document.body.appendChild(backdrop);
+
+    ui = {
+      backdrop,
+      input: backdrop.querySelector(".tep-search-input"),
+      chips: Array.from(backdrop.querySelectorAll(".tep-search-chip")),
+      category: backdrop.querySelector(".tep-search-category"),
+      list: backdrop.querySelector(".tep-search-results"),
+    };
+
+    backdrop.addEventListener("mousedown", (e) => {
+      if (e.target === backdrop) close();
+    });
+    ui.input.addEventListener("input", () => render());
+    ui.input.addEventListener("keydown", onInputKey);
+    ui.chips.forEach((chip) =>
+      chip.addEventListener("click", () => {
+        filters.type = chip.dataset.type;
+        render();
+        ui.input.focus();
+      })
+    );
+    ui.category.addEventListener("change", () => {
+      filters.category = ui.category.value;
+      render();
+    });
+    ui.list.addEventListener("click", (e) => {
+      const link = e.target.closest("a[data-index]");
+      if (!link || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey) return;
+      e.preventDefault();
+      go(link.getAttribute("href"));
+    });
+    ui.list.addEventListener("mousemove", (e) => {
+      const link = e.target.closest("a[data-index]");
+      if (link && Number(link.dataset.index) !== activeIndex) setActive(Number(link.dataset.index));
+    });
+    backdrop.addEventListener("keydown", (e) => {
+      // Keep Tab inside the palette.
+      if (e.key !== "Tab") return;
+      const focusable = Array.from(backdrop.querySelectorAll("input, button, select, a[href]"));
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    });
+    return ui;
+  }
+
+  function iconFor(doc) {
+    const type = TYPES.find((t) => t.key === doc.type);
+    return (type && type.icon) || "fa-file-lines";
+  }
+
+  function render() {
+    if (!ui) return;
+    ui.chips.forEach((chip) => chip.setAttribute("aria-pressed", String(chip.dataset.type === filters.type)));
+    ui.category.value = filters.category;
+
+    if (!docs) {
+      ui.list.innerHTML = `<li class="tep-search-empty">Loading…</li>`;
+      return;
+    }
+
+    results = rank(ui.input.value, filters);
+    activeIndex = 0;
+
+    if (!results.length) {
+      ui.list.innerHTML = `<li class="tep-search-empty">No matches. Try fewer words or clear the filters.</li>`;
+      ui.input.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    ui.list.innerHTML = results
+      .map((doc, i) => {
+        const meta = [doc.kind, CATEGORY_LABELS[doc.category]].filter(Boolean).join(" • ");
+        return `
+          <li class="tep-search-result" id="tepSearchResult${i}" role="option" aria-selected="false">
+            <a href="${escapeHtml(doc.url)}" data-index="${i}" tabindex="-1">
+              <span class="tep-search-result-icon"><i class="fas ${iconFor(doc)}" aria-hidden="true"></i></span>
+              <span class="tep-search-result-body">
+                <div class="tep-search-result-title">${escapeHtml(doc.title)}</div>
+                <div class="tep-search-result-meta">${escapeHtml(meta)}</div>
+                ${doc.description ? `<div class="tep-search-result-desc">${escapeHtml(snippet(doc.description))}</div>` : ""}
+              </span>
+            </a>
+          </li>`;
+      })
+      .join("");
+    setActive(0);
+  }
+
+  function setActive(index) {
+    const items = ui.list.querySelectorAll(".tep-search-result");
+    if (!items.length) return;
+    activeIndex = (index + items.length) % items.length;
+    items.forEach((item, i) => {
+      const on = i === activeIndex;
+      item.classList.toggle("is-active", on);
+      item.setAttribute("aria-selected", String(on));
+    });
+    const active = items[activeIndex];
+    ui.input.setAttribute("aria-activedescendant", active.id);
+    if (active.scrollIntoView) active.scrollIntoView({ block: "nearest" });
+  }
+
+  function onInputKey(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive(activeIndex + (e.key === "ArrowDown" ? 1 : -1));
+    } else if (e.key === "Enter") {
+      const doc = results[activeIndex];
+      if (!doc) return;
+      e.preventDefault();
+      go(doc.url, e.ctrlKey || e.metaKey);
+    }
+  }
+
+  // ----------------------------
+  // Open / close
+  // ----------------------------
+  function isOpen() {
+    return !!ui && !ui.backdrop.hidden;
+  }
+
+  function open(opts = {}) {
+    buildUI();
+    if (!isOpen()) lastFocus = document.activeElement;
+    if (opts.type !== undefined) filters.type = TYPES.some((t) => t.key === opts.type) ? opts.type : "";
+    if (opts.category !== undefined) filters.category = CATEGORY_LABELS[opts.category] ? opts.category : "";
+    if (opts.query !== undefined) ui.input.value = opts.query;
+
+    ui.backdrop.hidden = false;
+    ui.input.focus();
+    ui.input.select();
+    render();
+
+    return ready()
+      .then(() => render())
+      .catch((e) => {
+        console.warn("[TEP] Search index failed to load:", e.message);
+        ui.list.innerHTML = `<li class="tep-search-empty">Search isn’t available right now. Please try again.</li>`;
+      });
+  }
+
+  function close(opts = {}) {
+    if (!isOpen()) return;
+    ui.backdrop.hidden = true;
+    if (opts.restoreFocus !== false && lastFocus && lastFocus.focus) lastFocus.focus();
+    lastFocus = null;
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  function addHeaderButton() {
+    const actions = document.querySelector(".nav-actions");
+    if (!actions || actions.querySelector(".tep-search-toggle")) return;
+    injectStyles();
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "tep-search-toggle";
+    button.setAttribute("data-tep-search", "");
+    button.setAttribute("aria-label", "Search (" + shortcutLabel() + ")");
+    button.title = "Search (" + shortcutLabel() + ")";
+    button.innerHTML = '<i class="fas fa-search" aria-hidden="true"></i>';
+    actions.insertBefore(button, actions.querySelector(".theme-toggle"));
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      if (isOpen()) close();
+      else open();
+    } else if (e.key === "Escape" && isOpen()) {
+      // Capture phase: pages also close their own modals on Escape.
+      e.stopPropagation();
+      close();
+    }
+  }, true);
+
+  document.addEventListener("click", (e) => {
+    const trigger = e.target.closest && e.target.closest("[data-tep-search]");
+    if (!trigger) return;
+    e.preventDefault();
+    open({ type: trigger.getAttribute("data-tep-search") || "" });
+  });
+
+  function wireTriggers() {
+    addHeaderButton();
+    document.querySelectorAll("[data-tep-search] kbd").forEach((kbd) => {
+      kbd.textContent = shortcutLabel();
+    });
+  }
+
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", wireTriggers);
+  else wireTriggers();
+
+  window.TEPSearch = {
+    CATEGORY_LABELS,
+    open,
+    close,
+    isOpen,
+    search,
+  };
+})();
@@ -0,0 +1,297 @@
+// assets/searchIndex.js — The Employee Playbook (static HTML + Supabase CDN)
+// Static index for site search (assets/search.js). No build step: when a page is
+// added, renamed or re-described, update its entry here by hand.
+// Loaded on demand by search.js the first time the palette opens.
+//
+// PAGES: one entry per public page.
+//   type     "tool" (interactive tools, frameworks, plans, guides…) or "page"
+//   kind     badge shown in results ("Checklist", "Framework", "Category"…)
+//   category a TEPPlaybook.CATEGORY_LABELS key, or "" for site pages
+//   keywords extra search terms (from The Toolkit's catalogue)
+// HELP: every help-centre.html question; `anchor` is the id of its section.
+// Scripts are not listed here: search.js reads them from assets/scriptLibraryData.js.
+
+(function () {
+  const PAGES = [
+    { url: "about-us.html", title: "About Us", type: "page", kind: "", category: "",
+      description: "About The Employee Playbook. Strategic guidance for workplace decisions. Not legal advice.",
+      keywords: [] },
+    { url: "assessment-burnout-and-capacity.html", title: "Burnout Warning Assessment", type: "tool", kind: "Assessment", category: "expectations",
+      description: "Burnout Warning Assessment — spot warning signs early, generate a protection plan, and save your progress.",
+      keywords: ["burnout", "capacity", "overload", "stress", "fatigue", "exhaustion", "limits", "recovery"] },
+    { url: "assessment-conflict-risk-radar.html", title: "Conflict Risk Radar", type: "tool", kind: "Assessment", category: "dynamics",
+      description: "See conflict building before it costs you",
+      keywords: ["conflict", "tension", "risk", "bullying", "harassment", "dispute", "team"] },
+    { url: "assessment-presence-calibration.html", title: "Presence Calibration Assessment", type: "tool", kind: "Assessment", category: "confidence",
+      description: "Calibrate your response when the stakes rise",
+      keywords: ["presence", "confidence", "impact", "communication", "tone", "executive", "authority"] },
+    { url: "calculator-multi-factor-risk.html", title: "Multi-Factor Risk Calculator", type: "tool", kind: "Calculator", category: "clarity",
+      description: "Quantify your exposure — then choose the right move",
+      keywords: [] },
+    { url: "category-career-playbook.html", title: "Career Playbook", type: "page", kind: "Category", category: "career",
+      description: "Career Growth & Development – navigate promotion decisions, skill building, and career pivots with strategic tools from The Employee Playbook.",
+      keywords: ["career", "advancement", "moves", "positioning"] },
+    { url: "category-clarity-priorities-and-direction.html", title: "Clarity, Priorities & Direction", type: "page", kind: "Category", category: "clarity",
+      description: "Clarity, Priorities & Direction – stabilise overload, cut through confusion, and protect your reputation with practical tools from The Employee Playbook.",
+      keywords: ["clarity", "priorities", "decisions", "scope"] },
+    { url: "category-confidence-presence-influence.html", title: "Confidence, Presence & Influence", type: "page", kind: "Category", category: "confidence",
+      description: "Build your professional presence, communicate with authority, and increase your influence at work with practical strategies from The Employee Playbook.",
+      keywords: ["confidence", "presence", "influence", "authority"] },
+    { url: "category-expectation-burnout-and-capacity.html", title: "Expectations, Burnout & Capacity", type: "page", kind: "Category", category: "expectations",
+      description: "Expectations, Burnout & Capacity – manage overload, reset unsustainable demands, and protect your wellbeing with practical tools from The Employee Playbook.",
+      keywords: ["burnout", "capacity", "overload", "recovery"] },
+    { url: "category-hr-and-formal-processes.html", title: "HR & Formal Processes", type: "page", kind: "Category", category: "hr",
+      description: "Navigate HR systems, policies and formal processes with confidence. Protect your rights and reputation while understanding how to work the system properly.",
+      keywords: ["hr", "formal", "process", "evidence"] },
+    { url: "category-manager-relationship-and-leadership-style.html", title: "Manager Relationship & Leadership Style", type: "page", kind: "Category", category: "manager",
+      description: "Navigate difficult managers, protect your position, and get the support you need with practical strategies from The Employee Playbook.",
+      keywords: ["manager", "leadership", "patterns", "boundaries"] },
+    { url: "category-workplace-dynamics-and-politics.html", title: "Workplace Dynamics & Politics", type: "page", kind: "Category", category: "dynamics",
+      description: "Navigate workplace politics, power dynamics, and difficult relationships with confidence using strategic tools from The Employee Playbook.",
+      keywords: ["politics", "stakeholders", "power", "perception"] },
+    { url: "checklist-boundary-strength.html", title: "Boundary Strength Checklist", type: "tool", kind: "Checklist", category: "confidence",
+      description: "Identify weak points causing overwhelm and reclaim control",
+      keywords: ["boundaries", "overcommitment", "limits", "saying no", "pushback", "scope"] },
+    { url: "checklist-burnout-detection.html", title: "Burnout Detection Checklist", type: "tool", kind: "Checklist", category: "expectations",
+      description: "Burnout Detection Checklist — spot the warning signs early. Track burnout signals, generate a report, and save progress to your account.",
+      keywords: ["burnout", "stress", "signals", "exhaustion", "overload"] },
+    { url: "checklist-capacity.html", title: "Capacity Checklist", type: "tool", kind: "Checklist", category: "expectations",
+      description: "Capacity Checklist — turn overwhelm into evidence. Track workload reality, generate a report, and save progress to your account.",
+      keywords: ["capacity", "bandwidth", "load", "time", "energy", "limits"] },
+    { url: "checklist-decision-clarity.html", title: "Decision Clarity Checklist", type: "tool", kind: "Checklist", category: "clarity",
+      description: "Untangle the situation Pick the best move",
+      keywords: ["decision", "clarity", "options", "tradeoffs", "priorities"] },
+    { url: "checklist-expectation-alignment.html", title: "Expectations Alignment Guide", type: "tool", kind: "Checklist", category: "expectations",
+      description: "Align expectations before they become performance risk",
+      keywords: ["expectations", "alignment", "scope", "role", "deliverables"] },
+    { url: "checklist-hr-and-process-safety.html", title: "HR & Process Safety Checklist", type: "tool", kind: "Checklist", category: "hr",
+      description: "Protect your position by playing the process clean",
+      keywords: [] },
+    { url: "checklist-manager-pattern-identifier.html", title: "Manager Pattern Identifier Checklist", type: "tool", kind: "Checklist", category: "manager",
+      description: "Identify your manager's pattern and choose a strategy that protects your energy and reputation",
+      keywords: ["manager", "pattern", "control", "micromanagement", "power"] },
+    { url: "checklist-micromanagement.html", title: "Micromanagement Checklist", type: "tool", kind: "Checklist", category: "manager",
+      description: "Diagnose the pattern, then choose moves that restore control without a blow-up",
+      keywords: ["micromanagement", "control", "scrutiny", "nitpicking", "trust"] },
+    { url: "checklist-performance-review-prep.html", title: "Performance Review Prep Checklist", type: "tool", kind: "Checklist", category: "career",
+      description: "Performance Review Prep Checklist — turn vague feelings into specific evidence. Document your wins, prepare your case, and walk into your review confident and ready.",
+      keywords: [] },
+    { url: "checklist-performance-review-preparation.html", title: "Performance Review Preparation Checklist", type: "tool", kind: "Checklist", category: "career",
+      description: "Performance Review Prep Checklist — turn vague feelings into specific evidence. Document your wins, prepare your case, and walk into your review confident and ready.",
+      keywords: [] },
+    { url: "checklist-presence-upgrade.html", title: "Presence Upgrade Checklist", type: "tool", kind: "Checklist", category: "confidence",
+      description: "Presence Upgrade Checklist — upgrade how you’re read. Audit signal strength, authority, clarity, and boundary control. Generate a report and save progress securely.",
+      keywords: ["presence", "confidence", "influence", "authority", "executive"] },
+    { url: "checklist-priority-reset.html", title: "Priority Reset Checklist", type: "tool", kind: "Checklist", category: "expectations",
+      description: "Reset your focus when you feel overwhelmed and regain control",
+      keywords: ["priorities", "reset", "overload", "triage", "focus"] },
+    { url: "checklist-team-dysfunction.html", title: "Team Dysfunction Checklist", type: "tool", kind: "Checklist", category: "dynamics",
+      description: "Identify and address common team dysfunctions",
+      keywords: ["team", "dysfunction", "conflict", "toxicity", "breakdown"] },
+    { url: "checklist-workload-clarity.html", title: "Workload Clarity Checklist", type: "tool", kind: "Checklist", category: "expectations",
+      description: "Workload Clarity Checklist — get clear on expectations, priorities and hidden risks. Remove ambiguity and protect yourself from misunderstandings.",
+      keywords: ["workload", "clarity", "priorities", "direction", "scope", "too much", "capacity"] },
+    { url: "create-account.html", title: "Create Account", type: "page", kind: "", category: "",
+      description: "Join The Employee Playbook",
+      keywords: [] },
+    { url: "dashboard.html", title: "Dashboard", type: "page", kind: "", category: "",
+      description: "Your latest results, unfinished tools and suggested next steps.",
+      keywords: ["results", "scores", "progress", "check-in", "overview"] },
+    { url: "form-escalation-documentation.html", title: "Escalation Documentation Form", type: "tool", kind: "Form", category: "hr",
+      description: "Capture facts, evidence, and decisions so your escalation stays calm, credible, and hard to dismiss",
+      keywords: ["documentation", "evidence", "hr", "timeline", "record"] },
+    { url: "framework-career-anchoring.html", title: "Career Anchoring Playbook", type: "tool", kind: "Framework", category: "career",
+      description: "Anchor your career to what you actually want (and can defend)",
+      keywords: [] },
+    { url: "framework-credibility-and-positioning.html", title: "Credibility and Positioning Framework", type: "tool", kind: "Framework", category: "confidence",
+      description: "Become the obvious safe choice without acting loud",
+      keywords: [] },
+    { url: "framework-decision-clarity.html", title: "Decision Clarity Framework", type: "tool", kind: "Framework", category: "clarity",
+      description: "Turn a messy choice into a clean call, then execute without regret",
+      keywords: [] },
+    { url: "framework-evidence-and-documentation.html", title: "Evidence & Documentation Framework", type: "tool", kind: "Framework", category: "hr",
+      description: "Build a Strong Clear Record That Protects You and Supports a Calm Confident Escalation",
+      keywords: [] },
+    { url: "framework-micromanagement-to-autonomy.html", title: "Micromanagement to Autonomy Framework", type: "tool", kind: "Framework", category: "manager",
+      description: "Stop the hovering without starting a war",
+      keywords: [] },
+    { url: "framework-negotiation.html", title: "Negotiation Framework", type: "tool", kind: "Framework", category: "career",
+      description: "Negotiate like a strategist: build a deal you can defend — without burning trust",
+      keywords: ["negotiation", "scope", "priorities", "workload", "pushback", "boundaries"] },
+    { url: "framework-risk-and-safety.html", title: "Risk & Safety Framework", type: "tool", kind: "Framework", category: "hr",
+      description: "Assess risk without panic and take action without exposure",
+      keywords: [] },
+    { url: "framework-situational-analysis.html", title: "Situational Analysis Framework", type: "tool", kind: "Framework", category: "clarity",
+      description: "Turn a messy situation into a clear brief and a defensible next move",
+      keywords: [] },
+    { url: "framework-skills-development.html", title: "Skills Development Framework", type: "tool", kind: "Framework", category: "career",
+      description: "Build skills that actually get recognised",
+      keywords: [] },
+    { url: "framework-strategic-interpretation.html", title: "Strategic Interpretation Framework", type: "tool", kind: "Framework", category: "clarity",
+      description: "Turn mixed signals into a clean read, then choose the safest next move",
+      keywords: [] },
+    { url: "guide-boundaries.html", title: "Boundaries Guide", type: "tool", kind: "Guide", category: "confidence",
+      description: "Boundaries that hold without conflict, guilt or over-explaining",
+      keywords: [] },
+    { url: "guide-emotional-preparation.html", title: "Emotional Preparation Guide", type: "tool", kind: "Guide", category: "confidence",
+      description: "Stay steady when it matters. Prepare your nervous system, your words, and your boundaries, before the moment",
+      keywords: [] },
+    { url: "guide-strategic-conversations.html", title: "Strategic Conversations Guide", type: "tool", kind: "Guide", category: "clarity",
+      description: "Make important conversations work for you and your career",
+      keywords: [] },
+    { url: "guide-toxic-behaviour-response.html", title: "Toxic Behaviour Response Guide", type: "tool", kind: "Guide", category: "dynamics",
+      description: "Respond without spiralling — and protect your position",
+      keywords: [] },
+    { url: "help-centre.html", title: "Help Centre", type: "page", kind: "", category: "",
+      description: "Help Centre - Get support with The Employee Playbook. Find answers to common questions and contact our support team.",
+      keywords: [] },
+    { url: "index.html", title: "Home", type: "page", kind: "", category: "",
+      description: "Private strategic clarity for workplace decisions. Smart scripts, frameworks and guidance for when moments matter. Not legal advice.",
+      keywords: [] },
+    { url: "map-political-landscape.html", title: "Political Landscape Map", type: "tool", kind: "Map", category: "dynamics",
+      description: "Political Landscape Map — map influence, alignment, narratives and pressure points so you can move with precision in workplace politics.",
+      keywords: [] },
+    { url: "map-stakeholder.html", title: "Stakeholder Mapping Grid", type: "tool", kind: "Map", category: "dynamics",
+      description: "Map power, interest and influence so you can move with precision",
+      keywords: [] },
+    { url: "map-team-tension.html", title: "Team Tension Heatmap", type: "tool", kind: "Map", category: "dynamics",
+      description: "Team Tension Heatmap — map tension hotspots, generate a report, and save progress securely to your account. Not legal advice.",
+      keywords: [] },
+    { url: "matrix-eisenhower.html", title: "Eisenhower Matrix", type: "tool", kind: "Matrix", category: "clarity",
+      description: "Sort urgency from importance",
+      keywords: [] },
+    { url: "my-playbook.html", title: "My Playbook", type: "page", kind: "", category: "",
+      description: "Your private strategy command centre.",
+      keywords: [] },
+    { url: "plan-burnout-prevention.html", title: "Burnout Prevention Plan", type: "tool", kind: "Plan", category: "expectations",
+      description: "Protect capacity, credibility, and delivery — before the strain forces a reset you did not choose",
+      keywords: [] },
+    { url: "plan-exit-and-reputation.html", title: "Exit & Reputation Plan", type: "tool", kind: "Plan", category: "career",
+      description: "Leave clean, stay powerful, and control the final narrative without burning bridges",
+      keywords: [] },
+    { url: "plan-formal-escalation.html", title: "Formal Escalation Plan", type: "tool", kind: "Plan", category: "hr",
+      description: "Escalate with precision — protect your income, your reputation, and your position while the facts do the talking",
+      keywords: ["formal", "escalation", "hr", "process", "steps"] },
+    { url: "plan-personal-action.html", title: "Personal Action Plan", type: "tool", kind: "Plan", category: "clarity",
+      description: "Turn intent into outcomes — with clear actions, timelines, and the leverage to follow through",
+      keywords: [] },
+    { url: "plan-priority-reset.html", title: "Priority Reset Plan", type: "tool", kind: "Plan", category: "clarity",
+      description: "Stop the chaos, pick the real priorities, and reset your week with authority",
+      keywords: [] },
+    { url: "plan-reputation-management.html", title: "Reputation Management Plan", type: "tool", kind: "Plan", category: "career",
+      description: "Protect your credibility, shape the story, and stay unshakeable — even in messy workplaces",
+      keywords: [] },
+    { url: "plan-sustainable-pace.html", title: "Sustainable Pace Plan", type: "tool", kind: "Plan", category: "expectations",
+      description: "Build a pace you can maintain by controlling work design, pressure triggers, and expectation drift",
+      keywords: [] },
+    { url: "planner-pay-increase-negotiation.html", title: "Pay Increase Negotiation Planner", type: "tool", kind: "Planner", category: "career",
+      description: "Build a calm, evidence-led pay case, then negotiate without burning political capital",
+      keywords: [] },
+    { url: "planner-time-blocking.html", title: "Time Blocking Template", type: "tool", kind: "Planner", category: "clarity",
+      description: "Build a day that protects your priorities and makes “urgent” compete for space",
+      keywords: [] },
+    { url: "planner-weekly-priority.html", title: "Weekly Priority Planner", type: "tool", kind: "Planner", category: "clarity",
+      description: "Turn a busy week into a controlled week without letting “urgent” decide your agenda",
+      keywords: [] },
+    { url: "playbook-career-advancement.html", title: "Career Advancement Playbook", type: "tool", kind: "Playbook", category: "career",
+      description: "Career Advancement Playbook Turn Performance into Progression",
+      keywords: [] },
+    { url: "playbook-priority-reset.html", title: "Priority Reset Playbook", type: "tool", kind: "Playbook", category: "clarity",
+      description: "Priority Reset Playbook Turn Overload into a Defensible Plan",
+      keywords: [] },
+    { url: "privacy-and-security.html", title: "Privacy and Security", type: "page", kind: "", category: "",
+      description: "Privacy Policy and Security for The Employee Playbook. Learn how we protect and handle your personal information.",
+      keywords: [] },
+    { url: "profile.html", title: "Profile", type: "page", kind: "", category: "",
+      description: "Your Profile",
+      keywords: [] },
+    { url: "review-meeting-effectiveness.html", title: "Meeting Effectiveness Review", type: "tool", kind: "Review", category: "clarity",
+      description: "Turn meetings from \"time spent\" into decisions, clarity, and momentum",
+      keywords: [] },
+    { url: "review-quarterly-workload.html", title: "Quarterly Workload Review", type: "tool", kind: "Review", category: "expectations",
+      description: "Audit your workload like a strategist and renegotiate like a professional",
+      keywords: [] },
+    { url: "routine-presence-90-seconds-reset.html", title: "Presence 90 Second Reset Routine", type: "tool", kind: "Routine", category: "confidence",
+      description: "Reset your signal in 90 seconds",
+      keywords: [] },
+    { url: "script-library.html", title: "Script Library", type: "page", kind: "", category: "",
+      description: "Scripts that do the talking when it matters.",
+      keywords: [] },
+    { url: "sign-in.html", title: "Sign In", type: "page", kind: "", category: "",
+      description: "Sign in to The Employee Playbook to access your tools, saved progress, and account.",
+      keywords: [] },
+    { url: "template-decision-record.html", title: "Decision Record Template", type: "tool", kind: "Template", category: "clarity",
+      description: "Capture the decision, the why, and the trade-offs — so it survives scrutiny, politics, and future memory gaps",
+      keywords: [] },
+    { url: "terms-and-conditions.html", title: "Terms & Conditions", type: "page", kind: "", category: "",
+      description: "Terms & Conditions for The Employee Playbook. Strategic guidance, not legal advice.",
+      keywords: [] },
+    { url: "the-coach-member.html", title: "The Coach (members)", type: "page", kind: "", category: "",
+      description: "Get real-time strategic guidance for workplace challenges. Navigate office politics, difficult conversations, and career decisions with confidence.",
+      keywords: [] },
+    { url: "the-coach.html", title: "The Coach", type: "page", kind: "", category: "",
+      description: "Get real-time strategic guidance for workplace challenges. Navigate office politics, difficult conversations, and career decisions with confidence.",
+      keywords: [] },
+    { url: "the-lens.html", title: "The Lens", type: "page", kind: "", category: "",
+      description: "When the moment feels noisy, clarity is power.",
+      keywords: [] },
+    { url: "the-pricing.html", title: "The Pricing", type: "page", kind: "", category: "",
+      description: "Be informed. Be prepared. Turn insight into action",
+      keywords: [] },
+    { url: "the-shift.html", title: "The Shift", type: "page", kind: "", category: "",
+      description: "Transform from reactive employee to strategic leader. Build resilience, influence and clarity for long-term career success.",
+      keywords: [] },
+    { url: "the-toolkit.html", title: "The Toolkit", type: "page", kind: "", category: "",
+      description: "The Toolkit: frameworks, guides, planners, assessments, checklists, playbooks, scripts, templates and maps for high-stakes workplace moments. Not legal advice.",
+      keywords: [] },
+    { url: "worksheet-priority-audit.html", title: "Priority Audit Worksheet", type: "tool", kind: "Worksheet", category: "clarity",
+      description: "Stop “everything is urgent” and rebuild a priority system that survives real life",
+      keywords: [] },
+  ];
+
+  const HELP = [
+    { question: "How do I reset my password?", section: "Account & Billing", anchor: "account-billing",
+      answer: "To reset your password, click on the \"Sign In\" button at the top right of the page, then select \"Forgot Password\". Enter your email address and we'll send you a link to create a new password. If you don't receive the email within 10 minutes, check your spam folder." },
+    { question: "How do I update my payment information?", section: "Account & Billing", anchor: "account-billing",
+      answer: "You can update your payment information by going to your Account Settings, selecting \"Billing\", and then \"Payment Methods\". From there, you can add, remove, or update your payment details. Changes take effect immediately." },
+    { question: "Can I change my subscription plan?", section: "Account & Billing", anchor: "account-billing",
+      answer: "Yes, you can upgrade or downgrade your subscription at any time. Go to your Account Settings, select \"Subscription\", and choose the plan that best fits your needs. Changes to your plan will be reflected in your next billing cycle." },
+    { question: "Is my data secure with The Employee Playbook?", section: "Privacy & Security", anchor: "privacy-security",
+      answer: "Yes, we take data security very seriously. All data is encrypted in transit and at rest. We never share your personal information with third parties without your explicit consent. For more details, please review our Privacy Policy and Security documentation." },
+    { question: "How can I control my privacy settings?", section: "Privacy & Security", anchor: "privacy-security",
+      answer: "You can manage your privacy settings in your Account Settings under the \"Privacy\" tab. From there, you can control what information is visible, manage communication preferences, and adjust data sharing settings." },
+    { question: "What happens to my data if I cancel my subscription?", section: "Privacy & Security", anchor: "privacy-security",
+      answer: "If you cancel your subscription, your data will be retained for 90 days in case you decide to reactivate your account. After 90 days, your personal data will be permanently deleted from our systems in accordance with our data retention policy." },
+    { question: "The website is not loading properly. What should I do?", section: "Technical Support", anchor: "technical-support",
+      answer: "First, try refreshing the page. If that doesn't work, clear your browser cache and cookies, then try again. If the problem persists, try using a different browser or device. If none of these solutions work, please contact our support team with details about the issue." },
+    { question: "Is there a mobile app available?", section: "Technical Support", anchor: "technical-support",
+      answer: "Currently, we don't have a dedicated mobile app, but our website is fully optimised for mobile browsers. You can access all features through your mobile browser, and the experience is designed to be just as smooth as on desktop." },
+    { question: "Which browsers are supported?", section: "Technical Support", anchor: "technical-support",
+      answer: "We support the latest versions of Chrome, Firefox, Safari, and Edge. For the best experience, we recommend keeping your browser updated to the latest version." },
+    { question: "What's the difference between The Toolkit and The Shift?", section: "Using The Playbook", anchor: "using-playbook",
+      answer: "The Toolkit provides practical resources and frameworks for immediate workplace challenges. The Shift is a more comprehensive transformation programme that helps you develop long-term strategic leadership capabilities. While The Toolkit helps you solve specific problems, The Shift helps you become the kind of person who doesn't encounter those problems in the first place." },
+    { question: "How do I access The Coach feature?", section: "Using The Playbook", anchor: "using-playbook",
+      answer: "The Coach is available to all subscribers. Simply navigate to \"The Coach\" section from the main menu. If you're facing an urgent workplace situation, The Coach provides immediate guidance and strategies to help you navigate challenging circumstances with confidence." },
+    { question: "Can I use The Playbook on multiple devices?", section: "Using The Playbook", anchor: "using-playbook",
+      answer: "Yes, you can access your account from any device with an internet connection. Simply sign in with your credentials, and all your progress and saved content will be synchronised across devices." },
+    { question: "Can I cancel my subscription at any time?", section: "Subscription & Plans", anchor: "subscription-plans",
+      answer: "Yes, you can cancel your subscription at any time. Your access will continue until the end of your current billing period. To cancel, go to your Account Settings, select \"Subscription\", and click \"Cancel Subscription\". You can restart your subscription at any time." },
+    { question: "Do you offer refunds?", section: "Subscription & Plans", anchor: "subscription-plans",
+      answer: "We offer a 14-day money-back guarantee for new subscribers. If you're not satisfied with our service within the first 14 days of your subscription, you can request a full refund. After 14 days, we don't typically offer refunds, but we're always happy to help resolve any issues you might be experiencing." },
+    { question: "What payment methods do you accept?", section: "Subscription & Plans", anchor: "subscription-plans",
+      answer: "We accept all major credit cards (Visa, MasterCard, American Express) and PayPal. We're working on adding more payment options in the future." },
+    { question: "How often is new content added?", section: "General Questions", anchor: "general-questions",
+      answer: "We regularly update our content with new frameworks, strategies, and resources. Most sections receive updates monthly, and we're constantly working on new features based on user feedback and the evolving workplace landscape." },
+    { question: "Can I suggest new features or content?", section: "General Questions", anchor: "general-questions",
+      answer: "Absolutely! We value user feedback and are always looking for ways to improve. You can submit feature requests or content suggestions through our contact form or by emailing suggestions@employeeplaybook.com." },
+    { question: "Do you offer corporate or team subscriptions?", section: "General Questions", anchor: "general-questions",
+      answer: "Yes, we offer corporate subscriptions for organisations looking to provide The Employee Playbook to their teams. Please contact our sales team at corporate@employeeplaybook.com for pricing and implementation details." },
+    { question: "What if I need help with a specific workplace situation?", section: "FAQ", anchor: "faq",
+      answer: "For specific workplace situations, we recommend starting with The Coach, which is designed to provide immediate guidance. If you need more personalised assistance, you can contact our support team through the form below. We aim to respond to all enquiries within 24 hours." },
+  ];
+
+  window.TEPSearchIndex = {
+    PAGES,
+    HELP,
+  };
+})();
@@ -0,0 +1,271 @@
+// assets/telemetry.js — The Employee Playbook (static HTML + Supabase CDN)
+// Shared, consent-aware usage events for tool pages -> Supabase `activity_log`.
+// Requires: window.supabaseClient for delivery (events wait in the queue until then),
+// or a page's own client via useClient.
+//
+// Usage (on a tool page):
+//   TEPTelemetry.useClient(() => supabase);   // only if the page keeps its own client
+//   TEPTelemetry.track("tool_opened", { tool_id: TOOL_ID, tool_version: TOOL_VERSION });
+//
+// Rules:
+// - Nothing is recorded unless the visitor opted in to analytics in the cookie banner
+//   (localStorage "cookiePreferences".analytics === true). Withdrawing consent drops
+//   anything still queued.
+// - Only EVENTS are accepted, and meta is cut down to META_FIELDS. String fields must
+//   be short identifiers, so free text typed into a tool can never end up in meta.
+// - Events are queued in memory + localStorage and inserted in batches: when the
+//   batch fills, after FLUSH_DELAY_MS, and when the tab is hidden. A failed insert
+//   stays queued and is retried on the next flush (or the next page).
+// - Rows are { user_id, event_name, tool_id, meta, created_at }. Events are tied to
+//   the signed-in user when tracked and wait for a session; events recorded for a
+//   different user than the current session are dropped.
+
+(function () {
+  const TABLE = "activity_log";
+  const QUEUE_KEY = "tep_telemetry_queue_v1";
+  const CONSENT_KEY = "cookiePreferences";
+  const USER_KEY = "tep_user";
+
+  const BATCH_SIZE = 20;
+  const MAX_QUEUE = 200;
+  const FLUSH_DELAY_MS = 5000;
+  const RETRY_DELAY_MS = 30000;
+
+  const EVENTS = new Set([
+    "tool_opened",
+    "tool_saved",
+    "tool_cleared",
+    "tool_printed",
+    "tool_copied",
+    "tool_generated_summary",
+    "tool_generated_report",
+    "tool_report_generated",
+    "evidence_report_generated",
+    "logout_clicked",
+  ]);
+
+  const ID_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,63}$/i;
+
+  // field -> normaliser; returns undefined to drop the value.
+  const META_FIELDS = {
+    tool_version: (v) => (Number.isInteger(v) && v >= 0 && v < 10000 ? v : undefined),
+    score: (v) => (Number.isFinite(v) ? Math.round(v * 100) / 100 : undefined),
+    pct: (v) => (Number.isFinite(v) ? Math.round(v * 100) / 100 : undefined),
+    cloud: (v) => (typeof v === "boolean" ? v : undefined),
+    storage: (v) => (["cloud", "local", "local_only", "supabase"].includes(v) ? v : undefined),
+  };
+
+  let memoryQueue = null;
+  let clientSource = null;
+  let flushTimer = null;
+  let flushing = null;
+
+  function useClient(client) {
+    clientSource = client;
+    if (readQueue().length) scheduleFlush(FLUSH_DELAY_MS);
+  }
+
+  function getClient() {
+    const resolved = typeof clientSource === "function" ? clientSource() : clientSource;
+    return resolved || window.supabaseClient || null;
+  }
+
+  // ----------------------------
+  // Consent
+  // ----------------------------
+  function hasConsent() {
+    if (window.TEP_TELEMETRY_DISABLED) return false;
+    try {
+      const prefs = JSON.parse(localStorage.getItem(CONSENT_KEY) || "null");
+      return !!(prefs && prefs.analytics === true);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // ----------------------------
+  // Queue
+  // ----------------------------
+  function readQueue() {
+    if (memoryQueue) return memoryQueue;
+    try {
+      const parsed = JSON.parse(localStorage.getItem(QUEUE_KEY) || "[]");
+      memoryQueue = Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      memoryQueue = [];
+    }
+    return memoryQueue;
+  }
+
+  function writeQueue(queue) {
+    memoryQueue = queue.slice(-MAX_QUEUE);
+    try {
+      if (memoryQueue.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(memoryQueue));
+      else localStorage.removeItem(QUEUE_KEY);
+    } catch (e) {}
+  }
+
+  function clearQueue() {
+    writeQueue([]);
+  }
+
+  // Another tab may have flushed or queued events since this one last looked.
+  window.addEventListener("storage", (e) => {
+    if (e.key === QUEUE_KEY) memoryQueue = null;
+  });
+
+  // ----------------------------
+  // Sanitising
+  // ----------------------------
+  function cleanId(value) {
+    const id = typeof value === "string" ? value.trim() : "";
+    return ID_PATTERN.test(id) ? id : null;
+  }
+
+  function cleanMeta(meta) {
+    const out = {};
+    if (!meta || typeof meta !== "object") return out;
+    Object.keys(META_FIELDS).forEach((field) => {
+      if (!(field in meta)) return;
+      const value = META_FIELDS[field](meta[field]);
+      if (value !== undefined) out[field] = value;
+    });
+    return out;
+  }
+
+  function cachedUserId() {
+    try {
+      const user = JSON.parse(localStorage.getItem(USER_KEY) || "null");
+      return user && typeof user.id === "string" ? user.id : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function makeId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  // ----------------------------
+  // Track
+  // ----------------------------
+  // Returns true if the event was queued.
+  function track(eventName, meta = {}) {
+    if (!hasConsent()) {
+      if (readQueue().length) clearQueue();
+      return false;
+    }
+    if (!EVENTS.has(eventName)) {
+      console.warn("[TEP] Telemetry event not in allow-list:", eventName);
+      return false;
+    }
+
+    const queue = readQueue().slice();
+    queue.push({
+      id: makeId(),
+      user_id: cachedUserId(),
+      event_name: eventName,
+      tool_id: cleanId(meta && meta.tool_id),
+      meta: cleanMeta(meta),
+      created_at: new Date().toISOString(),
+    });
+    writeQueue(queue);
+
+    if (queue.length >= BATCH_SIZE) flush();
+    else scheduleFlush(FLUSH_DELAY_MS);
+    return true;
+  }
+
+  function scheduleFlush(delay) {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush();
+    }, delay);
+  }
+
+  // ----------------------------
+  // Flush
+  // ----------------------------
+  async function sessionUserId(sb) {
+    try {
+      const { data } = await sb.auth.getSession();
+      return data?.session?.user?.id || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function flush() {
+    if (flushing) return flushing;
+    flushing = doFlush().finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  }
+
+  async function doFlush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!hasConsent()) {
+      clearQueue();
+      return { sent: 0 };
+    }
+
+    const sb = getClient();
+    if (!sb || !readQueue().length) return { sent: 0 };
+
+    const userId = await sessionUserId(sb);
+    if (!userId) return { sent: 0 };
+
+    // Events recorded for someone else on this device are never sent as this user.
+    const mine = readQueue().filter((e) => !e.user_id || e.user_id === userId);
+    if (mine.length !== readQueue().length) writeQueue(mine);
+
+    let sent = 0;
+    while (readQueue().length) {
+      const batch = readQueue().slice(0, BATCH_SIZE);
+      const rows = batch.map((e) => ({
+        user_id: userId,
+        event_name: e.event_name,
+        tool_id: e.tool_id,
+        meta: e.meta,
+        created_at: e.created_at,
+      }));
+
+      try {
+        const { error } = await sb.from(TABLE).insert(rows);
+        if (error) throw error;
+      } catch (e) {
+        console.warn("[TEP] Telemetry batch not sent, will retry:", e?.message || e);
+        scheduleFlush(RETRY_DELAY_MS);
+        return { sent, error: e };
+      }
+
+      const sentIds = new Set(batch.map((e) => e.id));
+      writeQueue(readQueue().filter((e) => !sentIds.has(e.id)));
+      sent += batch.length;
+    }
+    return { sent };
+  }
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flush();
+  });
+  window.addEventListener("pagehide", () => flush());
+  window.addEventListener("online", () => flush());
+
+  // Anything left over from the previous page.
+  if (readQueue().length) scheduleFlush(FLUSH_DELAY_MS);
+
+  window.TEPTelemetry = {
+    EVENTS,
+    hasConsent,
+    useClient,
+    track,
+    flush,
+    clearQueue,
+  };
+})();
@@ -0,0 +1,834 @@
+// assets/toolState.js — The Employee Playbook (static HTML + Supabase CDN)
+// Shared save/load for tool pages: Supabase `tool_states` + localStorage fallback.
+// Requires: window.supabaseClient (or pass `client`, or a getter for it, to register) for cloud saves.
+//
+// Usage (on a tool page):
+//   const toolStore = TEPToolState.register({
+//     toolId: TOOL_ID,
+//     version: TOOL_VERSION,
+//     getState: () => ({ ... }),          // what to persist
+//     applyState: (state, meta) => { ... } // restore it into the page
+//   });
+//   await toolStore.load();
+//   input.addEventListener("input", toolStore.markDirty);
+//   saveBtn.addEventListener("click", toolStore.save);
+//
+// save() resolves to { ok, cloud, queued?, where?, updatedAt?, error? }. `where` is
+// "cloud" (written to tool_states), "queued" (kept here, replayed later) or "local"
+// (kept here only, no client). onSaved(result) runs for all three, so anything that
+// should count only confirmed cloud writes (tool_saved telemetry) checks result.cloud.
+//
+// Migrations: when a tool's saved shape changes, bump TOOL_VERSION and declare the
+// step that upgrades the previous shape, keyed by the version it produces:
+//   TEPToolState.defineMigrations(TOOL_ID, {
+//     2: (state) => ({ ...state, situation: state.sitSentence }), // v1 -> v2
+//     3: (state) => ...                                            // v2 -> v3
+//   });
+// Steps run on both the cloud row and the local copy before applyState sees them.
+//
+// Sync: saves that can't reach Supabase (offline, expired session) are kept in a
+// pending queue in localStorage and replayed once that account's session is back. On
+// load the newer of the two copies wins; if both changed since the last sync the user
+// is asked. Saves made while signed out belong to no account: the next time someone
+// signs in on this device, a tool page asks whether to add them to that account or
+// discard them, and nothing is uploaded until they choose.
+//
+// Private vault: when assets/vault.js is loaded and the vault is on, `state` is sealed
+// (AES-GCM) before it is written locally, queued or upserted, and opened again before
+// migrations and applyState see it.
+
+(function () {
+  const LOCAL_PREFIX = "tep_tool_state_";
+  const QUEUE_KEY = "tep_tool_state_queue_v1";
+  const TABLE = "tool_states";
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  function localKey(toolId) {
+    return LOCAL_PREFIX + toolId;
+  }
+
+  function formatSavedAt(dateLike) {
+    try {
+      return new Date(dateLike).toLocaleString("en-GB", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    } catch (e) {
+      return "";
+    }
+  }
+
+  function readJSON(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Current shape: { state, tool_version, updated_at, synced_at, user_id }.
+  // synced_at is the updated_at of the last copy known to be in the cloud.
+  // Older page-specific keys stored the bare state object (sometimes with saved_at).
+  function readLocal(key, legacyKeys) {
+    const current = readJSON(key);
+    if (current && current.state) return current;
+
+    for (const legacyKey of legacyKeys) {
+      const legacy = readJSON(legacyKey);
+      if (!legacy || typeof legacy !== "object") continue;
+      if (legacy.state) {
+        return { state: legacy.state, tool_version: legacy.tool_version ?? null, updated_at: legacy.updated_at || legacy.saved_at || legacy.ts || null };
+      }
+      return { state: legacy, tool_version: null, updated_at: legacy.updated_at || legacy.saved_at || null };
+    }
+    return null;
+  }
+
+  function writeLocal(key, record) {
+    try {
+      localStorage.setItem(key, JSON.stringify(record));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function toTime(value) {
+    const t = value ? new Date(value).getTime() : NaN;
+    return Number.isFinite(t) ? t : 0;
+  }
+
+  function sealState(state) {
+    return window.TEPVault ? window.TEPVault.seal(state) : Promise.resolve(state);
+  }
+
+  // Returns the record with its state decrypted; throws if it can't be.
+  async function openRecord(record) {
+    const sealed = record.state && typeof record.state === "object" && record.state.tep_vault === 1;
+    if (!sealed) return record;
+    if (!window.TEPVault) throw new Error("This progress is in your private vault. Open the tool again to unlock it.");
+    return { ...record, state: await window.TEPVault.open(record.state) };
+  }
+
+  function resolveEl(target) {
+    if (!target) return null;
+    if (typeof target === "string") return document.querySelector(target);
+    return target;
+  }
+
+  // Shared status copy so every tool reads the same way.
+  // tone: "ok" | "warn" | "err" | "info"
+  function describeStatus(status) {
+    if (status.phase === "saving") return { text: "Saving…", tone: "info" };
+    if (status.phase === "error") return { text: status.message || "Save failed", tone: "err" };
+    if (status.phase === "blocked") return { text: status.message, tone: "err" };
+    if (status.phase === "queued") return { text: status.message, tone: "warn" };
+
+    const last = status.savedAt ? `Last saved: ${formatSavedAt(status.savedAt)}` : "";
+    if (status.dirty) return { text: last ? `Unsaved changes • ${last}` : "Unsaved changes", tone: "warn" };
+    if (last) return { text: last, tone: "ok" };
+    return { text: "", tone: "info" };
+  }
+
+  // Default renderer, e.g. <div id="saveStatus" class="save-status">.
+  // Only the `saved` / `unsaved` modifier classes are toggled; page classes stay.
+  function defaultRenderStatus(el, status) {
+    if (!el) return;
+    const { text, tone } = describeStatus(status);
+    el.textContent = text;
+    el.classList.toggle("saved", tone === "ok");
+    el.classList.toggle("unsaved", tone === "warn" || tone === "err");
+  }
+
+  // ----------------------------
+  // Migrations (keyed by tool id)
+  // ----------------------------
+  const migrations = {};
+
+  class MigrationError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = "MigrationError";
+      this.code = code;
+    }
+  }
+
+  function defineMigrations(toolId, steps) {
+    migrations[toolId] = { ...(migrations[toolId] || {}), ...(steps || {}) };
+  }
+
+  // Rows written before versioning (or by older pages, e.g. "phase1-v1") count as v1.
+  function normaliseVersion(value) {
+    if (typeof value === "number" && Number.isFinite(value)) return value;
+    const match = /(\d+)\s*$/.exec(String(value ?? ""));
+    return match ? Number(match[1]) : 1;
+  }
+
+  // Returns { state, from, to } or throws a MigrationError.
+  function migrateState(toolId, state, fromVersion, toVersion) {
+    const from = normaliseVersion(fromVersion);
+    const to = normaliseVersion(toVersion);
+
+    if (from > to) {
+      throw new MigrationError("newer_version", `Saved with a newer version of this tool (v${from}). Refresh the page to open it.`);
+    }
+
+    const steps = migrations[toolId] || {};
+    let next = state;
+    for (let v = from + 1; v <= to; v++) {
+      const step = steps[v];
+      if (typeof step !== "function") continue; // shape unchanged between these versions
+      try {
+        next = step(next);
+      } catch (e) {
+        console.warn(`[TEP] Migration to v${v} failed for`, toolId, e);
+        throw new MigrationError("migration_failed", "Your saved progress couldn’t be upgraded. It has been left untouched.");
+      }
+    }
+    return { state: next, from, to };
+  }
+
+  // ----------------------------
+  // Pending queue + replay
+  // ----------------------------
+  // Queue shape: { [toolId]: { user_id, tool_version, state, updated_at, base } }
+  // `base` is the synced_at the edit started from, used to spot conflicts on replay.
+  const stores = {};
+  const watchedClients = new WeakSet();
+  let flushing = null;
+
+  function readQueue() {
+    const queue = readJSON(QUEUE_KEY);
+    return queue && typeof queue === "object" ? queue : {};
+  }
+
+  function writeQueue(queue) {
+    try {
+      if (Object.keys(queue).length) localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+      else localStorage.removeItem(QUEUE_KEY);
+    } catch (e) {}
+  }
+
+  function enqueue(toolId, entry) {
+    const queue = readQueue();
+    queue[toolId] = entry;
+    writeQueue(queue);
+  }
+
+  function dequeue(toolId, updatedAt) {
+    const queue = readQueue();
+    if (!queue[toolId]) return;
+    // A newer edit may have been queued while this one was in flight.
+    if (updatedAt && queue[toolId].updated_at !== updatedAt) return;
+    delete queue[toolId];
+    writeQueue(queue);
+  }
+
+  function pendingFor(toolId) {
+    return readQueue()[toolId] || null;
+  }
+
+  async function sessionUserId(sb) {
+    if (!sb) return null;
+    try {
+      const { data } = await sb.auth.getSession();
+      return data?.session?.user?.id || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function fetchRow(sb, userId, toolId, columns) {
+    if (!sb || !userId) return null;
+    const { data, error } = await sb
+      .from(TABLE)
+      .select(columns || "state, tool_version, updated_at")
+      .eq("user_id", userId)
+      .eq("tool_id", toolId)
+      .maybeSingle();
+    if (error) throw error;
+    return data || null;
+  }
+
+  async function upsertRow(sb, userId, toolId, record) {
+    const { error } = await sb.from(TABLE).upsert(
+      {
+        user_id: userId,
+        tool_id: toolId,
+        tool_version: record.tool_version,
+        state: record.state,
+        updated_at: record.updated_at,
+      },
+      { onConflict: "user_id,tool_id" }
+    );
+    if (error) throw error;
+  }
+
+  // Records that the copy saved at `updatedAt` is now in the cloud.
+  function markSynced(toolId, updatedAt) {
+    const key = localKey(toolId);
+    const local = readJSON(key);
+    if (local && local.updated_at === updatedAt) writeLocal(key, { ...local, synced_at: updatedAt });
+    dequeue(toolId, updatedAt);
+  }
+
+  // Replays queued saves for every tool. Entries whose cloud row moved on since the
+  // edit started are left for that tool's page to resolve with the conflict prompt.
+  function flushQueue(sb) {
+    sb = sb || window.supabaseClient;
+    if (!sb || flushing) return flushing || Promise.resolve();
+    if (typeof navigator !== "undefined" && navigator.onLine === false) return Promise.resolve();
+
+    flushing = (async () => {
+      const userId = await sessionUserId(sb);
+      if (!userId) return;
+
+      const queue = readQueue();
+      for (const toolId of Object.keys(queue)) {
+        const entry = queue[toolId];
+        // Someone else's edits, or signed-out ones not yet added to this account.
+        if (entry.user_id !== userId) continue;
+        try {
+          const current = await fetchRow(sb, userId, toolId, "updated_at");
+          if (current && toTime(current.updated_at) > toTime(entry.base)) continue;
+          await upsertRow(sb, userId, toolId, entry);
+          markSynced(toolId, entry.updated_at);
+          if (stores[toolId]) stores[toolId].handleReplayed(entry.updated_at);
+        } catch (e) {
+          break; // still offline or session not usable; try again later
+        }
+      }
+    })().finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  }
+
+  function watchClient(sb) {
+    if (!sb || watchedClients.has(sb)) return;
+    watchedClients.add(sb);
+    try {
+      sb.auth.onAuthStateChange((event) => {
+        if (event === "SIGNED_IN" || event === "TOKEN_REFRESHED") flushQueue(sb);
+      });
+    } catch (e) {}
+    window.addEventListener("online", () => flushQueue(sb));
+  }
+
+  // ----------------------------
+  // Signed-out saves
+  // ----------------------------
+  // Tool ids with a local copy or queued save that has no owner. Only the current
+  // record shape counts (it always has synced_at); older page-specific keys predate
+  // signed-out saving and stay with whoever opens them.
+  function guestToolIds() {
+    const queue = readQueue();
+    const ids = new Set(Object.keys(queue).filter((toolId) => !queue[toolId].user_id));
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key || key === QUEUE_KEY || !key.startsWith(LOCAL_PREFIX)) continue;
+        const record = readJSON(key);
+        if (record && record.state && "synced_at" in record && !record.user_id) ids.add(key.slice(LOCAL_PREFIX.length));
+      }
+    } catch (e) {}
+    return Array.from(ids);
+  }
+
+  // choice: "adopt" gives the copies to userId (load/flushQueue then sync them as usual);
+  // "discard" removes them from this device.
+  function mergeGuestSaves(userId, choice, toolIds = guestToolIds()) {
+    const queue = readQueue();
+    toolIds.forEach((toolId) => {
+      const key = localKey(toolId);
+      const local = readJSON(key);
+      const ownerless = local && local.state && "synced_at" in local && !local.user_id;
+      if (choice === "adopt" && userId) {
+        if (ownerless) writeLocal(key, { ...local, synced_at: null, user_id: userId });
+        if (queue[toolId] && !queue[toolId].user_id) queue[toolId] = { ...queue[toolId], user_id: userId, base: null };
+      } else if (choice === "discard") {
+        if (ownerless) localStorage.removeItem(key);
+        if (queue[toolId] && !queue[toolId].user_id) delete queue[toolId];
+      }
+    });
+    writeQueue(queue);
+  }
+
+  let guestMerge = null;
+
+  // Asks once per page, however many stores load; resolves when the copies are settled.
+  function settleGuestSaves(userId, ask) {
+    if (guestMerge) return guestMerge;
+    const toolIds = guestToolIds();
+    if (!userId || !toolIds.length) return Promise.resolve();
+    guestMerge = Promise.resolve(ask({ count: toolIds.length }))
+      .then((choice) => mergeGuestSaves(userId, choice, toolIds))
+      .finally(() => {
+        guestMerge = null;
+      });
+    return guestMerge;
+  }
+
+  // ----------------------------
+  // Conflict prompt
+  // ----------------------------
+  // Newer/older is decided from updated_at; the prompt only appears when both the
+  // device copy and the cloud copy changed since they last matched.
+  function chooseCopy(local, cloud) {
+    if (!cloud) return local ? "local" : null;
+    if (!local) return "cloud";
+
+    const localAt = toTime(local.updated_at);
+    const cloudAt = toTime(cloud.updated_at);
+    if (localAt === cloudAt) return "cloud";
+
+    const base = toTime(local.synced_at);
+    if (base) {
+      const localChanged = localAt > base;
+      const cloudChanged = cloudAt > base;
+      if (localChanged && cloudChanged) return "conflict";
+      return localChanged ? "local" : "cloud";
+    }
+
+    // No sync history on this device: last writer wins.
+    return localAt > cloudAt ? "local" : "cloud";
+  }
+
+  function injectConflictStyles() {
+    if (document.getElementById("tep-sync-styles")) return;
+    const style = document.createElement("style");
+    style.id = "tep-sync-styles";
+    style.textContent = `
+      .tep-sync-backdrop{
+        position:fixed; inset:0; z-index:9999;
+        display:flex; align-items:center; justify-content:center;
+        padding:20px;
+        background: rgba(16,24,40,.45);
+        backdrop-filter: blur(6px);
+      }
+      .tep-sync-card{
+        width:min(480px, 100%);
+        padding:22px;
+        border-radius:18px;
+        background:#fff;
+        color:#212529;
+        box-shadow: 0 24px 70px rgba(16,24,40,.22);
+        font-family: Inter, system-ui, sans-serif;
+      }
+      .dark-mode .tep-sync-card{ background:#12141c; color:rgba(255,255,255,.92); }
+      .tep-sync-title{ font-size:17px; font-weight:800; margin:0 0 8px; }
+      .tep-sync-copy{ font-size:14px; line-height:1.5; opacity:.85; margin:0 0 14px; }
+      .tep-sync-options{ display:grid; gap:10px; }
+      .tep-sync-option{
+        display:flex; flex-direction:column; align-items:flex-start; gap:2px;
+        padding:12px 14px;
+        border-radius:12px;
+        border:1px solid rgba(123,95,196,.25);
+        background: rgba(123,95,196,.06);
+        color:inherit; font:inherit; text-align:left; cursor:pointer;
+      }
+      .tep-sync-option:hover, .tep-sync-option:focus-visible{ border-color:#7B5FC4; outline:none; }
+      .tep-sync-option strong{ font-size:14px; }
+      .tep-sync-option span{ font-size:12px; opacity:.75; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Resolves to "local" or "cloud".
+  function promptConflict({ toolTitle, localAt, cloudAt }) {
+    return new Promise((resolve) => {
+      injectConflictStyles();
+
+      const backdrop = document.createElement("div");
+      backdrop.className = "tep-sync-backdrop";
+      backdrop.innerHTML = `
+        <div class="tep-sync-card" role="alertdialog" aria-modal="true" aria-labelledby="tepSyncTitle">
+          <p class="tep-sync-title" id="tepSyncTitle">Which version should we keep?</p>
+          <p class="tep-sync-copy"></p>
+          <div class="tep-sync-options">
+            <button type="button" class="tep-sync-option" data-choice="local">
+              <strong>Keep this device’s version</strong>
+              <span>Edited ${formatSavedAt(localAt)}</span>
+            </button>
+            <button type="button" class="tep-sync-option" data-choice="cloud">
+              <strong>Use your saved account version</strong>
+              <span>Saved ${formatSavedAt(cloudAt)}</span>
+            </button>
+          </div>
+        </div>
+      `;
+      backdrop.querySelector(".tep-sync-copy").textContent =
+        `${toolTitle || "This tool"} was changed on this device and in your account since they last synced. The version you don’t pick will be replaced.`;
+
+      backdrop.querySelectorAll("[data-choice]").forEach((btn) => {
+        btn.addEventListener("click", () => {
+          backdrop.remove();
+          resolve(btn.getAttribute("data-choice"));
+        });
+      });
+
+      document.body.appendChild(backdrop);
+      backdrop.querySelector('[data-choice="local"]')?.focus();
+    });
+  }
+
+  // Resolves to "adopt" or "discard".
+  function promptGuestMerge({ count }) {
+    return new Promise((resolve) => {
+      injectConflictStyles();
+
+      const backdrop = document.createElement("div");
+      backdrop.className = "tep-sync-backdrop";
+      backdrop.innerHTML = `
+        <div class="tep-sync-card" role="alertdialog" aria-modal="true" aria-labelledby="tepSyncTitle">
+          <p class="tep-sync-title" id="tepSyncTitle">Add this device’s progress to your account?</p>
+          <p class="tep-sync-copy"></p>
+          <div class="tep-sync-options">
+            <button type="button" class="tep-sync-option" data-choice="adopt">
+              <strong>Add it to my account</strong>
+              <span>Where your account already has a copy, the newer one is kept</span>
+            </button>
+            <button type="button" class="tep-sync-option" data-choice="discard">
+              <strong>Discard it</strong>
+              <span>Removes the signed-out copies from this device</span>
+            </button>
+          </div>
+        </div>
+      `;
+      backdrop.querySelector(".tep-sync-copy").textContent =
+        `Progress in ${count === 1 ? "1 tool was" : count + " tools was"} saved on this device while nobody was signed in. It stays off your account unless you add it.`;
+
+      backdrop.querySelectorAll("[data-choice]").forEach((btn) => {
+        btn.addEventListener("click", () => {
+          backdrop.remove();
+          resolve(btn.getAttribute("data-choice"));
+        });
+      });
+
+      document.body.appendChild(backdrop);
+      backdrop.querySelector('[data-choice="adopt"]')?.focus();
+    });
+  }
+
+  // ----------------------------
+  // Store
+  // ----------------------------
+  function register(options = {}) {
+    const {
+      toolId,
+      version = 1,
+      getState,
+      applyState,
+      client = null,
+      title = document.title.split("|")[0].trim(),
+      statusEl = "#saveStatus",
+      legacyKeys = [],
+      renderStatus = null,
+      onDirtyChange = null,
+      onSaved = null,
+      onLoaded = null,
+      reset = null,
+      resolveConflict = promptConflict,
+      resolveGuestSaves = promptGuestMerge,
+      migrations: steps = null,
+    } = options;
+
+    if (!toolId || typeof getState !== "function" || typeof applyState !== "function") {
+      console.error("[TEP] TEPToolState.register needs toolId, getState and applyState.");
+      return null;
+    }
+
+    if (steps) defineMigrations(toolId, steps);
+
+    const key = localKey(toolId);
+    let dirty = false;
+    let savedAt = null;
+    let lastUserId = null;
+    // Set when a stored payload can't be applied safely; blocks saves so it isn't overwritten.
+    let blockedMessage = "";
+
+    function getClient() {
+      const resolved = typeof client === "function" ? client() : client;
+      const sb = resolved || window.supabaseClient || null;
+      watchClient(sb);
+      return sb;
+    }
+
+    function emit(phase, message) {
+      const status = blockedMessage
+        ? { dirty, savedAt, phase: "blocked", message: blockedMessage }
+        : { dirty, savedAt, phase: phase || "idle", message: message || "" };
+      if (typeof renderStatus === "function") renderStatus(status);
+      else defaultRenderStatus(resolveEl(statusEl), status);
+    }
+
+    function setDirty(next) {
+      const changed = dirty !== next;
+      dirty = next;
+      if (changed && typeof onDirtyChange === "function") onDirtyChange(dirty);
+    }
+
+    function markDirty() {
+      setDirty(true);
+      emit();
+    }
+
+    function markSaved(dateLike) {
+      savedAt = dateLike ? new Date(dateLike) : new Date();
+      setDirty(false);
+      emit();
+    }
+
+    function queuedMessage(reason) {
+      return reason === "signed_out"
+        ? "Saved on this device • will sync when you sign in again"
+        : "Saved on this device • will sync when you’re back online";
+    }
+
+    async function getUserId() {
+      const userId = await sessionUserId(getClient());
+      if (userId) lastUserId = userId;
+      return userId;
+    }
+
+    // Opens, migrates + applies a stored record. Returns meta, or null if it couldn't be used.
+    async function applyRecord(stored, source) {
+      let record;
+      try {
+        record = await openRecord(stored);
+      } catch (e) {
+        blockedMessage = e.message;
+        emit();
+        return { source, updatedAt: stored.updated_at || null, blocked: "vault" };
+      }
+
+      let migrated;
+      try {
+        migrated = migrateState(toolId, record.state, record.tool_version, version);
+      } catch (e) {
+        blockedMessage = e.message;
+        emit();
+        return { source, updatedAt: record.updated_at || null, blocked: e.code };
+      }
+
+      const meta = {
+        source,
+        updatedAt: record.updated_at || null,
+        toolVersion: migrated.to,
+        migratedFrom: migrated.from !== migrated.to ? migrated.from : null,
+      };
+      try {
+        applyState(migrated.state, meta);
+      } catch (e) {
+        console.warn("[TEP] Could not apply saved state for", toolId, e);
+        emit();
+        return null;
+      }
+
+      if (record.updated_at) markSaved(record.updated_at);
+      else emit();
+      return meta;
+    }
+
+    async function pushToCloud(record, userId) {
+      const sb = getClient();
+      await upsertRow(sb, userId, toolId, record);
+      markSynced(toolId, record.updated_at);
+    }
+
+    function queueRecord(record, base, reason) {
+      enqueue(toolId, {
+        user_id: lastUserId,
+        tool_version: record.tool_version,
+        state: record.state,
+        updated_at: record.updated_at,
+        base: base || null,
+      });
+      emit("queued", queuedMessage(reason));
+    }
+
+    async function load() {
+      const sb = getClient();
+      const userId = await getUserId();
+      await settleGuestSaves(userId, resolveGuestSaves);
+      let local = readLocal(key, legacyKeys);
+      // Another account's copy on a shared device is never shown or uploaded.
+      if (local?.user_id && userId && local.user_id !== userId) local = null;
+
+      let cloud = null;
+      let cloudReachable = false;
+      if (sb && userId) {
+        try {
+          cloud = await fetchRow(sb, userId, toolId);
+          if (cloud && !cloud.state) cloud = null;
+          cloudReachable = true;
+        } catch (e) {}
+      }
+
+      // Without the cloud copy there is nothing to compare against.
+      let choice = cloudReachable ? chooseCopy(local, cloud) : local ? "local" : null;
+      if (choice === "conflict") {
+        choice = await resolveConflict({ toolId, toolTitle: title, localAt: local.updated_at, cloudAt: cloud.updated_at });
+      }
+
+      if (!choice) {
+        emit();
+        return null;
+      }
+
+      const record = choice === "cloud" ? cloud : local;
+      const meta = await applyRecord(record, choice);
+      if (!meta || meta.blocked) return meta;
+
+      if (choice === "cloud") {
+        writeLocal(key, {
+          state: cloud.state,
+          tool_version: cloud.tool_version,
+          updated_at: cloud.updated_at,
+          synced_at: cloud.updated_at,
+          user_id: userId,
+        });
+        dequeue(toolId);
+      } else if (cloudReachable && local.updated_at !== local.synced_at) {
+        // The device copy is newer: send it up now rather than waiting for a save.
+        const upload = { ...local, tool_version: local.tool_version ?? version };
+        try {
+          await pushToCloud(upload, userId);
+        } catch (e) {
+          queueRecord(upload, local.synced_at, "offline");
+        }
+      } else if (pendingFor(toolId)) {
+        emit("queued", queuedMessage(userId ? "offline" : "signed_out"));
+      }
+
+      if (typeof onLoaded === "function") onLoaded(meta);
+      flushQueue(sb);
+      return meta;
+    }
+
+    // Always writes the local copy; writes the cloud row when signed in and reachable,
+    // otherwise queues it for replay.
+    async function save() {
+      if (blockedMessage) {
+        emit();
+        return { ok: false, cloud: false, error: "blocked" };
+      }
+      emit("saving");
+
+      const sb = getClient();
+      const userId = await getUserId();
+      const owner = userId || lastUserId;
+      const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+
+      const previous = readJSON(key);
+      const sameOwner = !previous?.user_id || previous.user_id === owner;
+      const base = sameOwner ? previous?.synced_at || null : null;
+      let state;
+      try {
+        state = await sealState(getState());
+      } catch (e) {
+        emit("error", e.message || "Save failed");
+        return { ok: false, cloud: false, error: "vault" };
+      }
+      const record = { state, tool_version: version, updated_at: new Date().toISOString() };
+
+      if (!writeLocal(key, { ...record, synced_at: base, user_id: owner || null })) {
+        emit("error", "Save failed");
+        return { ok: false, cloud: false, error: "local_write_failed" };
+      }
+
+      const finish = (result) => {
+        if (typeof onSaved === "function") onSaved(result);
+        return result;
+      };
+
+      if (!sb || !userId || offline) {
+        savedAt = new Date(record.updated_at);
+        setDirty(false);
+        if (sb || lastUserId) {
+          queueRecord(record, base, offline ? "offline" : "signed_out");
+          return finish({ ok: true, cloud: false, queued: true, where: "queued", updatedAt: record.updated_at });
+        }
+        emit();
+        return finish({ ok: true, cloud: false, where: "local", updatedAt: record.updated_at });
+      }
+
+      try {
+        const current = await fetchRow(sb, userId, toolId, "state, tool_version, updated_at");
+        if (current && base && toTime(current.updated_at) > toTime(base)) {
+          const choice = await resolveConflict({
+            toolId,
+            toolTitle: title,
+            localAt: record.updated_at,
+            cloudAt: current.updated_at,
+          });
+          if (choice === "cloud") {
+            const meta = await applyRecord(current, "cloud");
+            if (meta && !meta.blocked) {
+              writeLocal(key, { ...current, synced_at: current.updated_at, user_id: userId });
+              dequeue(toolId);
+            }
+            return { ok: false, cloud: true, error: "kept_cloud", updatedAt: current.updated_at };
+          }
+        }
+        await pushToCloud(record, userId);
+      } catch (e) {
+        console.warn("[TEP] Cloud save failed for", toolId, e?.message || e);
+        savedAt = new Date(record.updated_at);
+        setDirty(false);
+        queueRecord(record, base, "offline");
+        return finish({ ok: true, cloud: false, queued: true, where: "queued", updatedAt: record.updated_at });
+      }
+
+      markSaved(record.updated_at);
+      return finish({ ok: true, cloud: true, where: "cloud", updatedAt: record.updated_at });
+    }
+
+    // Resets the page (via `reset`) and flags it as unsaved. Stored copies are kept
+    // until the next save, so an accidental clear can be undone with a reload.
+    function clear() {
+      if (typeof reset === "function") reset();
+      markDirty();
+    }
+
+    const store = {
+      toolId,
+      version,
+      localKey: key,
+      load,
+      save,
+      clear,
+      markDirty,
+      markSaved,
+      isDirty: () => dirty,
+      isBlocked: () => !!blockedMessage,
+      hasPendingSync: () => !!pendingFor(toolId),
+      getLastSavedAt: () => savedAt,
+    };
+
+    stores[toolId] = {
+      handleReplayed(updatedAt) {
+        if (!dirty && savedAt && savedAt.toISOString() === updatedAt) emit();
+      },
+    };
+
+    return store;
+  }
+
+  window.TEPToolState = {
+    register,
+    defineMigrations,
+    migrateState,
+    flushQueue,
+    mergeGuestSaves,
+    localKey,
+    formatSavedAt,
+    describeStatus,
+  };
+})();
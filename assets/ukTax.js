@@ -0,0 +1,244 @@
+// assets/ukTax.js — The Employee Playbook (static HTML + Supabase CDN)
+// UK take-home pay estimates: income tax (rest of UK or Scottish bands), employee Class 1
+// National Insurance, student loan repayments and salary-sacrifice pension, all driven by
+// per-tax-year tables so a new year is a data change, not a code change.
+// No dependencies.
+//
+// Usage:
+//   const now = TEPUKTax.calculate({ gross: 52000, taxYear: "2025-26", region: "scotland",
+//                                    studentLoan: "plan2", postgrad: false, pensionPct: 5 });
+//   now.net / now.monthly.net                    // annual / monthly take-home
+//   const diff = TEPUKTax.compare(52000, 60000, options);
+//   diff.netGainMonthly                          // what the raise is worth each month
+//   TEPUKTax.addTaxYear("2026-27", { ... });     // same shape as TAX_YEARS entries
+//
+// Figures are annual estimates for a single PAYE job on a standard tax code (1257L,
+// allowance tapered above £100k). Real payslips work per pay period, so a month can
+// differ by a few pounds, and other codes, benefits in kind or second jobs aren't modelled.
+//
+// Table shape (money in £ a year, rates as fractions):
+//   personalAllowance, allowanceTaperFrom      // allowance falls £1 per £2 above this
+//   bands: { ruk: [...], scotland: [...] }     // [{ name, rate, upTo }] on taxable income
+//                                              // (after the allowance); last upTo is null
+//   ni: { primaryThreshold, upperEarningsLimit, mainRate, upperRate }
+//   studentLoans: { plan1: { label, threshold, rate }, ... }   // postgrad is its own key
+
+(function () {
+  const TAX_YEARS = {
+    "2025-26": {
+      label: "2025/26",
+      personalAllowance: 12570,
+      allowanceTaperFrom: 100000,
+      bands: {
+        ruk: [
+          { name: "Basic", rate: 0.2, upTo: 37700 },
+          { name: "Higher", rate: 0.4, upTo: 125140 },
+          { name: "Additional", rate: 0.45, upTo: null },
+        ],
+        scotland: [
+          { name: "Starter", rate: 0.19, upTo: 2827 },
+          { name: "Basic", rate: 0.2, upTo: 14921 },
+          { name: "Intermediate", rate: 0.21, upTo: 31092 },
+          { name: "Higher", rate: 0.42, upTo: 62430 },
+          { name: "Advanced", rate: 0.45, upTo: 125140 },
+          { name: "Top", rate: 0.48, upTo: null },
+        ],
+      },
+      ni: { primaryThreshold: 12570, upperEarningsLimit: 50270, mainRate: 0.08, upperRate: 0.02 },
+      studentLoans: {
+        plan1: { label: "Plan 1", threshold: 26065, rate: 0.09 },
+        plan2: { label: "Plan 2", threshold: 28470, rate: 0.09 },
+        plan4: { label: "Plan 4 (Scotland)", threshold: 32745, rate: 0.09 },
+        postgrad: { label: "Postgraduate loan", threshold: 21000, rate: 0.06 },
+      },
+    },
+    "2024-25": {
+      label: "2024/25",
+      personalAllowance: 12570,
+      allowanceTaperFrom: 100000,
+      bands: {
+        ruk: [
+          { name: "Basic", rate: 0.2, upTo: 37700 },
+          { name: "Higher", rate: 0.4, upTo: 125140 },
+          { name: "Additional", rate: 0.45, upTo: null },
+        ],
+        scotland: [
+          { name: "Starter", rate: 0.19, upTo: 2306 },
+          { name: "Basic", rate: 0.2, upTo: 13991 },
+          { name: "Intermediate", rate: 0.21, upTo: 31092 },
+          { name: "Higher", rate: 0.42, upTo: 62430 },
+          { name: "Advanced", rate: 0.45, upTo: 125140 },
+          { name: "Top", rate: 0.48, upTo: null },
+        ],
+      },
+      ni: { primaryThreshold: 12570, upperEarningsLimit: 50270, mainRate: 0.08, upperRate: 0.02 },
+      studentLoans: {
+        plan1: { label: "Plan 1", threshold: 24990, rate: 0.09 },
+        plan2: { label: "Plan 2", threshold: 27295, rate: 0.09 },
+        plan4: { label: "Plan 4 (Scotland)", threshold: 31395, rate: 0.09 },
+        postgrad: { label: "Postgraduate loan", threshold: 21000, rate: 0.06 },
+      },
+    },
+  };
+
+  const REGIONS = { ruk: "England, Wales & NI", scotland: "Scotland" };
+  const POSTGRAD = "postgrad";
+
+  // ----------------------------
+  // Tables
+  // ----------------------------
+  // Newest first ("2025-26" sorts after "2024-25").
+  function years() {
+    return Object.keys(TAX_YEARS).sort().reverse();
+  }
+
+  function defaultYear() {
+    return years()[0];
+  }
+
+  function table(taxYear) {
+    return TAX_YEARS[taxYear] || TAX_YEARS[defaultYear()];
+  }
+
+  function addTaxYear(id, config) {
+    if (!/^\d{4}-\d{2}$/.test(String(id || "")) || !config?.bands?.ruk || !config.ni) {
+      throw new Error("A tax year needs an id like 2026-27, bands and NI settings.");
+    }
+    TAX_YEARS[id] = config;
+  }
+
+  // The undergraduate plans on offer for a year (postgrad is a separate tick box).
+  function studentLoanPlans(taxYear) {
+    const loans = table(taxYear).studentLoans || {};
+    return Object.keys(loans)
+      .filter((key) => key !== POSTGRAD)
+      .map((key) => ({ id: key, label: loans[key].label }));
+  }
+
+  // ----------------------------
+  // Engine
+  // ----------------------------
+  function money(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  }
+
+  function round2(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  function personalAllowance(t, income) {
+    const over = Math.max(0, income - t.allowanceTaperFrom);
+    return Math.max(0, t.personalAllowance - Math.floor(over / 2));
+  }
+
+  function incomeTax(t, region, income) {
+    const allowance = personalAllowance(t, income);
+    const taxable = Math.max(0, income - allowance);
+    const bands = t.bands[region] || t.bands.ruk;
+
+    let floor = 0;
+    const rows = [];
+    bands.forEach((band) => {
+      const top = band.upTo == null ? Infinity : band.upTo;
+      const amount = Math.max(0, Math.min(taxable, top) - floor);
+      if (amount > 0) rows.push({ name: band.name, rate: band.rate, amount: round2(amount), tax: round2(amount * band.rate) });
+      floor = Math.max(floor, top);
+    });
+
+    return { allowance, taxable, bands: rows, total: round2(rows.reduce((sum, r) => sum + r.tax, 0)) };
+  }
+
+  function nationalInsurance(t, pay) {
+    const { primaryThreshold, upperEarningsLimit, mainRate, upperRate } = t.ni;
+    const main = Math.max(0, Math.min(pay, upperEarningsLimit) - primaryThreshold);
+    const upper = Math.max(0, pay - upperEarningsLimit);
+    return round2(main * mainRate + upper * upperRate);
+  }
+
+  function studentLoanRepayments(t, pay, plan, postgrad) {
+    const loans = t.studentLoans || {};
+    const keys = [];
+    if (plan && plan !== POSTGRAD && loans[plan]) keys.push(plan);
+    if (postgrad && loans[POSTGRAD]) keys.push(POSTGRAD);
+
+    // Repayments are taken in whole pounds
+    return keys.map((key) => {
+      const loan = loans[key];
+      return { plan: key, label: loan.label, amount: Math.floor(Math.max(0, pay - loan.threshold) * loan.rate) };
+    });
+  }
+
+  // options: { gross, taxYear, region: "ruk" | "scotland", studentLoan: "plan1" | ..., postgrad, pensionPct }
+  function calculate(options = {}) {
+    const taxYear = TAX_YEARS[options.taxYear] ? options.taxYear : defaultYear();
+    const t = TAX_YEARS[taxYear];
+    const region = options.region === "scotland" ? "scotland" : "ruk";
+    const gross = money(options.gross);
+    const pensionPct = Math.min(100, money(options.pensionPct));
+
+    // Salary sacrifice lowers the pay that tax, NI and student loans are worked out on.
+    const pension = round2(gross * (pensionPct / 100));
+    const pay = gross - pension;
+
+    const tax = incomeTax(t, region, pay);
+    const ni = nationalInsurance(t, pay);
+    const loans = studentLoanRepayments(t, pay, options.studentLoan, options.postgrad);
+    const studentLoan = loans.reduce((sum, l) => sum + l.amount, 0);
+    const net = round2(pay - tax.total - ni - studentLoan);
+
+    const perMonth = (n) => round2(n / 12);
+    return {
+      taxYear,
+      taxYearLabel: t.label,
+      region,
+      regionLabel: REGIONS[region],
+      gross,
+      pension,
+      pensionPct,
+      personalAllowance: tax.allowance,
+      taxablePay: round2(tax.taxable),
+      incomeTax: tax.total,
+      bands: tax.bands,
+      nationalInsurance: ni,
+      studentLoan,
+      studentLoans: loans,
+      net,
+      monthly: {
+        gross: perMonth(gross),
+        pension: perMonth(pension),
+        incomeTax: perMonth(tax.total),
+        nationalInsurance: perMonth(ni),
+        studentLoan: perMonth(studentLoan),
+        net: perMonth(net),
+      },
+    };
+  }
+
+  // keepRate: the share of the gross rise that reaches take-home pay (0–1).
+  function compare(currentGross, desiredGross, options = {}) {
+    const current = calculate({ ...options, gross: currentGross });
+    const desired = calculate({ ...options, gross: desiredGross });
+    const grossGain = desired.gross - current.gross;
+    const netGain = round2(desired.net - current.net);
+    return {
+      current,
+      desired,
+      grossGain,
+      netGain,
+      netGainMonthly: round2(netGain / 12),
+      keepRate: grossGain ? netGain / grossGain : null,
+    };
+  }
+
+  window.TEPUKTax = {
+    TAX_YEARS,
+    REGIONS,
+    years,
+    defaultYear,
+    addTaxYear,
+    studentLoanPlans,
+    calculate,
+    compare,
+  };
+})();
@@ -0,0 +1,680 @@
+// assets/vault.js — The Employee Playbook (static HTML + Supabase CDN)
+// Opt-in private vault: sensitive drafts and tool state are encrypted in the browser
+// before they reach localStorage or Supabase `tool_states`.
+// Requires: Web Crypto (crypto.subtle, https or localhost). Optional: window.supabaseClient,
+// which keeps the vault settings and the account's tool_states copies in step.
+//
+// Usage:
+//   await TEPVault.enable(passphrase);           // profile.html; seals everything already stored
+//   const stored = await TEPVault.seal(value);   // envelope when the vault is on, else value unchanged
+//   const value = await TEPVault.open(stored);   // envelope -> value (asks for the passphrase if locked)
+//   await TEPVault.setItem(KEY, value);          // localStorage write, sealed when the vault is on
+//   const value = await TEPVault.getItem(KEY);   // null when missing
+//   await TEPVault.changePassphrase(current, next);
+//   await TEPVault.disable(passphrase);          // back to plain JSON everywhere
+//   TEPVault.lock();
+// Pages can listen for "tep:vault" on document (detail: { enabled, unlocked, reason }).
+//
+// Crypto: PBKDF2-SHA-256 (ITERATIONS rounds, random 16-byte salt) turns the passphrase
+// into an AES-GCM 256 key; every payload gets a fresh 12-byte IV. Envelope:
+//   { tep_vault: 1, iv: "<base64>", ct: "<base64 of the encrypted JSON>" }
+// The passphrase is never stored or sent. The settings (salt, rounds, an encrypted check
+// value, auto-lock minutes) live in localStorage and in the `private_vault` tool_states
+// row, so another signed-in device can unlock the same data with the same passphrase.
+//
+// While unlocked, the derived key is a non-extractable CryptoKey held in this page's
+// memory only; nothing that could rebuild it is written anywhere. Reloading or moving
+// to another page asks for the passphrase again. The key is also dropped after the
+// auto-lock minutes without activity and on lock(). A page that has shown sealed data
+// is covered by the unlock prompt when it locks.
+//
+// Sealed: every tool_states payload written through TEPToolState (except the rows in
+// PLAIN_TOOL_IDS) and the localStorage keys in SENSITIVE_KEYS. Not sealed: evidence log
+// attachment files (IndexedDB), My Playbook saved items and the check-in.
+// There is no recovery: a forgotten passphrase can only be cleared with reset(), which
+// deletes the sealed data.
+
+(function () {
+  const PARAMS_KEY = "tep_vault_v1";
+  // Earlier versions kept the exported key here; ready() clears anything left behind.
+  const LEGACY_SESSION_KEY = "tep_vault_session_v1";
+  const TABLE = "tool_states";
+  const CLOUD_TOOL_ID = "private_vault";
+
+  const ITERATIONS = 600000;
+  const MIN_PASSPHRASE = 10;
+  const DEFAULT_AUTO_LOCK = 15;
+  const AUTO_LOCK_OPTIONS = [5, 15, 30, 60];
+  const CHECK_VALUE = "tep-private-vault";
+  const IDLE_CHECK_MS = 20 * 1000;
+
+  // Same names as assets/toolState.js.
+  const TOOL_STATE_PREFIX = "tep_tool_state_";
+  const TOOL_STATE_QUEUE = "tep_tool_state_queue_v1";
+
+  // tool_states rows other scripts read directly as plain JSON.
+  const PLAIN_TOOL_IDS = [CLOUD_TOOL_ID, "my_playbook_checkin"];
+
+  // Whole-value localStorage keys the pages write through setItem().
+  const SENSITIVE_KEYS = [
+    "tepEscalationDocumentationDraft_v1", // form-escalation-documentation.html
+    "tep_evidence_log_v1", // assets/evidenceLog.js
+    "tepDecisionRecordDraft_v1", // template-decision-record.html
+    "tepPoliticalLandscapeMap_v1", // map-political-landscape.html
+  ];
+
+  // Returned by a rewrite step to remove the value instead of replacing it.
+  const DROP = {};
+
+  class VaultError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = "VaultError";
+      this.code = code;
+    }
+  }
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  function readJSON(storage, key) {
+    try {
+      const raw = storage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeJSON(storage, key, value) {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function toTime(value) {
+    const t = value ? new Date(value).getTime() : NaN;
+    return Number.isFinite(t) ? t : 0;
+  }
+
+  function toBase64(bytes) {
+    let binary = "";
+    new Uint8Array(bytes).forEach((b) => {
+      binary += String.fromCharCode(b);
+    });
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function isSupported() {
+    return !!(window.crypto && window.crypto.subtle && window.TextEncoder && window.TextDecoder);
+  }
+
+  function isSealed(value) {
+    return !!value && typeof value === "object" && value.tep_vault === 1 && typeof value.ct === "string";
+  }
+
+  function emit(reason) {
+    document.dispatchEvent(
+      new CustomEvent("tep:vault", { detail: { enabled: isEnabled(), unlocked: isUnlocked(), reason } })
+    );
+  }
+
+  // ----------------------------
+  // Crypto
+  // ----------------------------
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false, // never leaves memory
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async function encryptWith(cryptoKey, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plain = new TextEncoder().encode(JSON.stringify(value === undefined ? null : value));
+    const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, cryptoKey, plain);
+    return { tep_vault: 1, iv: toBase64(iv), ct: toBase64(ct) };
+  }
+
+  async function decryptWith(cryptoKey, envelope) {
+    try {
+      const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(envelope.iv) }, cryptoKey, fromBase64(envelope.ct));
+      return JSON.parse(new TextDecoder().decode(plain));
+    } catch (e) {
+      throw new VaultError("unreadable", "This data couldn’t be decrypted with your vault passphrase.");
+    }
+  }
+
+  async function verifyPassphrase(passphrase, params) {
+    const candidate = await deriveKey(passphrase, params.salt, params.iterations);
+    let check = null;
+    try {
+      check = await decryptWith(candidate, params.check);
+    } catch (e) {}
+    if (check !== CHECK_VALUE) throw new VaultError("wrong_passphrase", "That passphrase doesn’t match your vault.");
+    return candidate;
+  }
+
+  function checkPassphrase(passphrase) {
+    if (String(passphrase || "").length < MIN_PASSPHRASE) {
+      throw new VaultError("weak_passphrase", `Use at least ${MIN_PASSPHRASE} characters — a short sentence works well.`);
+    }
+  }
+
+  function newSalt() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  }
+
+  // ----------------------------
+  // Settings
+  // ----------------------------
+  // Shape: { version, salt, iterations, check, auto_lock_minutes, updated_at }
+  function getParams() {
+    const params = readJSON(localStorage, PARAMS_KEY);
+    return params && params.salt && isSealed(params.check) ? params : null;
+  }
+
+  function isEnabled() {
+    return !!getParams();
+  }
+
+  function autoLockMinutes() {
+    const minutes = Number(getParams()?.auto_lock_minutes);
+    return AUTO_LOCK_OPTIONS.includes(minutes) ? minutes : DEFAULT_AUTO_LOCK;
+  }
+
+  function getClient() {
+    return window.supabaseClient || null;
+  }
+
+  async function sessionUserId(sb) {
+    if (!sb) return null;
+    try {
+      const { data } = await sb.auth.getSession();
+      return data?.session?.user?.id || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function pushParams(params) {
+    const sb = getClient();
+    const userId = await sessionUserId(sb);
+    if (!userId) return;
+    const query = params
+      ? sb.from(TABLE).upsert(
+          { user_id: userId, tool_id: CLOUD_TOOL_ID, tool_version: 1, state: params, updated_at: params.updated_at },
+          { onConflict: "user_id,tool_id" }
+        )
+      : sb.from(TABLE).delete().eq("user_id", userId).eq("tool_id", CLOUD_TOOL_ID);
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  async function saveParams(params) {
+    if (params) writeJSON(localStorage, PARAMS_KEY, params);
+    else localStorage.removeItem(PARAMS_KEY);
+    await pushParams(params);
+  }
+
+  // The account's settings win when they are newer (set up or changed on another device).
+  async function pullParams() {
+    const sb = getClient();
+    const userId = await sessionUserId(sb);
+    if (!userId) return;
+    try {
+      const { data, error } = await sb.from(TABLE).select("state, updated_at").eq("user_id", userId).eq("tool_id", CLOUD_TOOL_ID).maybeSingle();
+      if (error) throw error;
+      const cloud = data?.state;
+      const local = getParams();
+      if (cloud?.salt && isSealed(cloud.check) && (!local || toTime(cloud.updated_at) > toTime(local.updated_at))) {
+        writeJSON(localStorage, PARAMS_KEY, cloud);
+      }
+    } catch (e) {
+      console.warn("[TEP] Could not read vault settings:", e?.message || e);
+    }
+  }
+
+  // ----------------------------
+  // Unlocked key
+  // ----------------------------
+  let key = null;
+  let keySalt = null;
+  let lastActive = Date.now();
+  let usedOnPage = false;
+  let readyPromise = null;
+
+  function isUnlocked() {
+    return !!key && keySalt === getParams()?.salt;
+  }
+
+  function setKey(cryptoKey, salt) {
+    key = cryptoKey;
+    keySalt = salt;
+    lastActive = Date.now();
+  }
+
+  function dropKey() {
+    key = null;
+    keySalt = null;
+  }
+
+  function clearLegacySession() {
+    try {
+      sessionStorage.removeItem(LEGACY_SESSION_KEY);
+    } catch (e) {}
+  }
+
+  // Runs once per page, after supabaseClient.js has loaded.
+  function ready() {
+    if (!readyPromise) {
+      readyPromise = (async () => {
+        clearLegacySession();
+        if (!isSupported()) return;
+        await pullParams();
+      })();
+    }
+    return readyPromise;
+  }
+
+  function noteActivity() {
+    lastActive = Date.now();
+  }
+
+  function checkIdle() {
+    if (isUnlocked() && Date.now() - lastActive > autoLockMinutes() * 60000) lock("idle");
+  }
+
+  function lock(reason = "manual") {
+    const wasUnlocked = isUnlocked();
+    dropKey();
+    emit(reason);
+    // Cover whatever this page decrypted until the passphrase is entered again.
+    if (wasUnlocked && usedOnPage && isEnabled()) promptUnlock(reason).catch(() => {});
+  }
+
+  async function unlock(passphrase) {
+    await ready();
+    const params = getParams();
+    if (!params) throw new VaultError("no_vault", "The private vault isn’t turned on.");
+    const cryptoKey = await verifyPassphrase(passphrase, params);
+    setKey(cryptoKey, params.salt);
+    emit("unlocked");
+    return true;
+  }
+
+  // ----------------------------
+  // Unlock prompt
+  // ----------------------------
+  function injectStyles() {
+    if (document.getElementById("tep-vault-styles")) return;
+    const style = document.createElement("style");
+    style.id = "tep-vault-styles";
+    style.textContent = `
+      .tep-vault-backdrop{
+        position:fixed; inset:0; z-index:10000;
+        display:flex; align-items:center; justify-content:center;
+        padding:20px;
+        background: rgba(16,24,40,.55);
+        backdrop-filter: blur(14px);
+        -webkit-backdrop-filter: blur(14px);
+      }
+      .tep-vault-card{
+        width:min(440px, 100%);
+        padding:22px;
+        border-radius:18px;
+        background:#fff;
+        color:#212529;
+        box-shadow: 0 24px 70px rgba(16,24,40,.22);
+        font-family: Inter, system-ui, sans-serif;
+      }
+      .dark-mode .tep-vault-card{ background:#12141c; color:rgba(255,255,255,.92); }
+      .tep-vault-title{ font-size:17px; font-weight:800; margin:0 0 8px; display:flex; align-items:center; gap:9px; }
+      .tep-vault-title i{ color:#7B5FC4; }
+      .tep-vault-copy{ font-size:14px; line-height:1.5; opacity:.85; margin:0 0 14px; }
+      .tep-vault-input{
+        width:100%; padding:11px 12px; border-radius:12px;
+        border:1px solid rgba(123,95,196,.35); background:transparent;
+        color:inherit; font:inherit; font-size:14px;
+      }
+      .tep-vault-input:focus{ outline:none; border-color:#7B5FC4; box-shadow:0 0 0 3px rgba(123,95,196,.18); }
+      .tep-vault-error{ min-height:18px; margin:8px 0 0; font-size:12.5px; font-weight:600; color:#ef4444; }
+      .tep-vault-actions{ display:flex; align-items:center; justify-content:space-between; gap:12px; margin-top:12px; }
+      .tep-vault-actions a{ font-size:13px; color:inherit; opacity:.75; }
+      .tep-vault-unlock{
+        padding:10px 18px; border-radius:999px; border:none;
+        background:#7B5FC4; color:#fff; font:inherit; font-size:14px; font-weight:700; cursor:pointer;
+      }
+      .tep-vault-unlock[disabled]{ opacity:.6; cursor:wait; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  let pendingPrompt = null;
+
+  // Resolves once the vault is unlocked. There is no cancel: the data can't be shown
+  // or saved without the key, so the way out is leaving the page.
+  function promptUnlock(reason) {
+    if (pendingPrompt) return pendingPrompt;
+    pendingPrompt = new Promise((resolve) => {
+      injectStyles();
+      const idle = reason === "idle";
+
+      const backdrop = document.createElement("div");
+      backdrop.className = "tep-vault-backdrop";
+      backdrop.innerHTML = `
+        <form class="tep-vault-card" role="alertdialog" aria-modal="true" aria-labelledby="tepVaultTitle" novalidate>
+          <p class="tep-vault-title" id="tepVaultTitle"><i class="fas fa-lock"></i> ${idle ? "Your private vault locked" : "Unlock your private vault"}</p>
+          <p class="tep-vault-copy">${
+            idle
+              ? `It locked after ${autoLockMinutes()} minutes without activity. Enter your vault passphrase to carry on.`
+              : "Your drafts and saved progress are encrypted. Enter your vault passphrase to open them."
+          }</p>
+          <input class="tep-vault-input" type="password" autocomplete="current-password" aria-label="Vault passphrase" placeholder="Vault passphrase">
+          <p class="tep-vault-error" role="alert"></p>
+          <div class="tep-vault-actions">
+            <a href="index.html">Leave this page</a>
+            <button type="submit" class="tep-vault-unlock">Unlock</button>
+          </div>
+        </form>
+      `;
+
+      const form = backdrop.querySelector("form");
+      const input = backdrop.querySelector(".tep-vault-input");
+      const error = backdrop.querySelector(".tep-vault-error");
+      const button = backdrop.querySelector(".tep-vault-unlock");
+
+      form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        button.disabled = true;
+        error.textContent = "";
+        try {
+          await unlock(input.value);
+          backdrop.remove();
+          pendingPrompt = null;
+          resolve(key);
+        } catch (err) {
+          error.textContent = err.message || "Couldn’t unlock the vault.";
+          input.select();
+        } finally {
+          button.disabled = false;
+        }
+      });
+
+      document.body.appendChild(backdrop);
+      input.focus();
+    });
+    return pendingPrompt;
+  }
+
+  async function ensureUnlocked() {
+    await ready();
+    if (!isSupported()) throw new VaultError("unsupported", "This browser can’t use the private vault on this page (it needs https).");
+    if (!isEnabled()) throw new VaultError("no_vault", "This data is encrypted, but the private vault isn’t set up on this device.");
+    usedOnPage = true;
+    if (isUnlocked()) return key;
+    return promptUnlock("open");
+  }
+
+  // ----------------------------
+  // Seal / open
+  // ----------------------------
+  async function seal(value) {
+    await ready();
+    if (!isEnabled() || isSealed(value)) return value;
+    return encryptWith(await ensureUnlocked(), value);
+  }
+
+  async function open(value) {
+    if (!isSealed(value)) return value;
+    return decryptWith(await ensureUnlocked(), value);
+  }
+
+  // Opens every envelope inside a value (used for the account data export).
+  async function openAll(value) {
+    if (isSealed(value)) return open(value);
+    if (Array.isArray(value)) return Promise.all(value.map(openAll));
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const k of Object.keys(value)) out[k] = await openAll(value[k]);
+      return out;
+    }
+    return value;
+  }
+
+  const writes = {};
+
+  async function getItem(storageKey) {
+    const stored = readJSON(localStorage, storageKey);
+    return stored === null ? null : open(stored);
+  }
+
+  // Writes to the same key land in call order even though sealing is async.
+  function setItem(storageKey, value) {
+    const run = () => seal(value).then((stored) => localStorage.setItem(storageKey, JSON.stringify(stored)));
+    const next = (writes[storageKey] || Promise.resolve()).then(run, run);
+    writes[storageKey] = next.catch(() => {});
+    return next;
+  }
+
+  // ----------------------------
+  // Re-encryption
+  // ----------------------------
+  // step(value) -> new value, or DROP. Everything is computed before anything is written,
+  // so a value that can't be decrypted stops the change with nothing touched.
+  async function planLocal(step) {
+    const plan = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const storageKey = localStorage.key(i);
+      const stored = readJSON(localStorage, storageKey);
+      if (stored === null || typeof stored !== "object") continue;
+
+      if (storageKey === TOOL_STATE_QUEUE) {
+        const queue = {};
+        for (const toolId of Object.keys(stored)) {
+          const state = await step(stored[toolId].state, toolId);
+          if (state !== DROP) queue[toolId] = { ...stored[toolId], state };
+        }
+        plan.push([storageKey, Object.keys(queue).length ? queue : DROP]);
+      } else if (storageKey.startsWith(TOOL_STATE_PREFIX)) {
+        const toolId = storageKey.slice(TOOL_STATE_PREFIX.length);
+        if (stored.state === undefined || PLAIN_TOOL_IDS.includes(toolId)) continue;
+        const state = await step(stored.state, toolId);
+        plan.push([storageKey, state === DROP ? DROP : { ...stored, state }]);
+      } else if (SENSITIVE_KEYS.includes(storageKey)) {
+        plan.push([storageKey, await step(stored, storageKey)]);
+      }
+    }
+    return plan;
+  }
+
+  async function planCloud(step, sb, userId) {
+    if (!userId) return [];
+    const { data, error } = await sb.from(TABLE).select("tool_id, state").eq("user_id", userId);
+    if (error) throw new VaultError("offline", "Couldn’t reach your account, so nothing was changed. Try again when you’re online.");
+    const plan = [];
+    for (const row of data || []) {
+      if (!row?.tool_id || PLAIN_TOOL_IDS.includes(row.tool_id) || row.state == null) continue;
+      plan.push({ toolId: row.tool_id, before: row.state, after: await step(row.state, row.tool_id) });
+    }
+    return plan;
+  }
+
+  async function writeCloudRow(sb, userId, toolId, state) {
+    const base = sb.from(TABLE);
+    const query = state === DROP ? base.delete() : base.update({ state });
+    const { error } = await query.eq("user_id", userId).eq("tool_id", toolId);
+    if (error) throw error;
+  }
+
+  async function rewrite(step) {
+    const sb = getClient();
+    const userId = await sessionUserId(sb);
+    const local = await planLocal(step);
+    const cloud = await planCloud(step, sb, userId);
+
+    // Cloud first: if a row can't be written the ones already changed are put back.
+    const done = [];
+    try {
+      for (const change of cloud) {
+        await writeCloudRow(sb, userId, change.toolId, change.after);
+        done.push(change);
+      }
+    } catch (e) {
+      for (const change of done) {
+        if (change.after === DROP) continue;
+        try {
+          await writeCloudRow(sb, userId, change.toolId, change.before);
+        } catch (err) {}
+      }
+      throw new VaultError("offline", "Couldn’t update your account copies, so nothing was changed. Try again when you’re online.");
+    }
+
+    local.forEach(([storageKey, value]) => {
+      if (value === DROP) localStorage.removeItem(storageKey);
+      else localStorage.setItem(storageKey, JSON.stringify(value));
+    });
+    return { local: local.length, cloud: cloud.length };
+  }
+
+  function reencrypt(fromKey, toKey) {
+    return async (value) => {
+      let plain = value;
+      if (isSealed(value)) {
+        if (!fromKey) return value; // sealed with a key we don't hold; leave it alone
+        plain = await decryptWith(fromKey, value);
+      }
+      return toKey ? encryptWith(toKey, plain) : plain;
+    };
+  }
+
+  // ----------------------------
+  // Set up / change / turn off
+  // ----------------------------
+  async function enable(passphrase, options = {}) {
+    if (!isSupported()) throw new VaultError("unsupported", "This browser can’t use the private vault on this page (it needs https).");
+    await ready();
+    if (isEnabled()) throw new VaultError("already_on", "The private vault is already on.");
+    checkPassphrase(passphrase);
+
+    const salt = newSalt();
+    const cryptoKey = await deriveKey(passphrase, salt, ITERATIONS);
+    const minutes = AUTO_LOCK_OPTIONS.includes(Number(options.autoLockMinutes)) ? Number(options.autoLockMinutes) : DEFAULT_AUTO_LOCK;
+    const params = {
+      version: 1,
+      salt,
+      iterations: ITERATIONS,
+      check: await encryptWith(cryptoKey, CHECK_VALUE),
+      auto_lock_minutes: minutes,
+      updated_at: new Date().toISOString(),
+    };
+
+    const result = await rewrite(reencrypt(null, cryptoKey));
+    await saveParams(params);
+    setKey(cryptoKey, salt);
+    emit("enabled");
+    return result;
+  }
+
+  async function changePassphrase(current, next) {
+    await ready();
+    const params = getParams();
+    if (!params) throw new VaultError("no_vault", "The private vault isn’t turned on.");
+    const oldKey = await verifyPassphrase(current, params);
+    checkPassphrase(next);
+
+    const salt = newSalt();
+    const newKey = await deriveKey(next, salt, ITERATIONS);
+    const result = await rewrite(reencrypt(oldKey, newKey));
+    await saveParams({
+      ...params,
+      salt,
+      iterations: ITERATIONS,
+      check: await encryptWith(newKey, CHECK_VALUE),
+      updated_at: new Date().toISOString(),
+    });
+    setKey(newKey, salt);
+    emit("changed");
+    return result;
+  }
+
+  async function disable(passphrase) {
+    await ready();
+    const params = getParams();
+    if (!params) return { local: 0, cloud: 0 };
+    const oldKey = await verifyPassphrase(passphrase, params);
+    const result = await rewrite(reencrypt(oldKey, null));
+    await saveParams(null);
+    dropKey();
+    emit("disabled");
+    return result;
+  }
+
+  // Forgotten passphrase: sealed values can't be read by anyone, so they are deleted.
+  async function reset() {
+    await ready();
+    const result = await rewrite(async (value) => (isSealed(value) ? DROP : value));
+    await saveParams(null);
+    dropKey();
+    emit("reset");
+    return result;
+  }
+
+  async function setAutoLock(minutes) {
+    const params = getParams();
+    if (!params || !AUTO_LOCK_OPTIONS.includes(Number(minutes))) return false;
+    await saveParams({ ...params, auto_lock_minutes: Number(minutes), updated_at: new Date().toISOString() });
+    noteActivity();
+    return true;
+  }
+
+  // ----------------------------
+  // Activity
+  // ----------------------------
+  ["pointerdown", "keydown", "wheel", "touchstart"].forEach((type) =>
+    window.addEventListener(type, noteActivity, { passive: true, capture: true })
+  );
+  setInterval(checkIdle, IDLE_CHECK_MS);
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", () => ready());
+  else ready();
+
+  window.TEPVault = {
+    SENSITIVE_KEYS,
+    MIN_PASSPHRASE,
+    AUTO_LOCK_OPTIONS,
+    VaultError,
+    ready,
+    isSupported,
+    isEnabled,
+    isUnlocked,
+    isSealed,
+    autoLockMinutes,
+    enable,
+    unlock,
+    lock,
+    changePassphrase,
+    disable,
+    reset,
+    setAutoLock,
+    ensureUnlocked,
+    seal,
+    open,
+    openAll,
+    getItem,
+    setItem,
+  };
+})();
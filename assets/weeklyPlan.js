@@ -0,0 +1,276 @@
+// assets/weeklyPlan.js — The Employee Playbook (static HTML + Supabase CDN)
+// Shared state + scoring for the Weekly Priority Planner, so other tools can hand work
+// into "this week" without opening the planner.
+// Requires: nothing (the planner state lives in localStorage under KEY).
+//
+// Usage:
+//   const state = TEPWeeklyPlan.getState();              // { tasks, meetings, settings, handoff }
+//   TEPWeeklyPlan.computePriorityScore(impact, urgency, effort);   // 1–10
+//   TEPWeeklyPlan.addTasks([{ sourceId, title, notes, impact, urgency, effort, due }], "eisenhower");
+//   TEPWeeklyPlan.setHandoff("eisenhower", [{ id, title, kind: "delegate", to: "Sam" }]);
+//   TEPWeeklyPlan.buildBoundaryScript(outcomes, tasks, worstDay, state.handoff);
+//
+// Tasks added by another tool carry { source, sourceId }, so sending again updates the
+// same planner task (title, notes, scores) and leaves the day it was placed on alone.
+// The handoff list is what the week is NOT doing: kind "delegate" (someone else takes it)
+// or "drop" (parked/declined). Each source replaces only its own entries.
+
+(function () {
+  const KEY = "tepWeeklyPriorityPlanner_v1";
+
+  const DAY_LABELS = {
+    backlog: "Backlog (Unassigned)",
+    mon: "Monday",
+    tue: "Tuesday",
+    wed: "Wednesday",
+    thu: "Thursday",
+    fri: "Friday",
+    sat: "Saturday",
+    sun: "Sunday",
+  };
+
+  const DAY_ORDER = ["backlog", "mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+  const WEEK_DAYS = DAY_ORDER.slice(1);
+  const HANDOFF_KINDS = ["delegate", "drop"];
+  const SCRIPT_LIST_MAX = 4;
+
+  // ----------------------------
+  // State
+  // ----------------------------
+  function emptyState() {
+    return { tasks: [], meetings: [], settings: {}, handoff: [] };
+  }
+
+  function getState() {
+    try {
+      const raw = localStorage.getItem(KEY);
+      if (!raw) return emptyState();
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed !== "object") return emptyState();
+      parsed.tasks = Array.isArray(parsed.tasks) ? parsed.tasks : [];
+      parsed.meetings = Array.isArray(parsed.meetings) ? parsed.meetings : [];
+      parsed.settings = parsed.settings && typeof parsed.settings === "object" ? parsed.settings : {};
+      parsed.handoff = Array.isArray(parsed.handoff) ? parsed.handoff : [];
+      return parsed;
+    } catch (e) {
+      return emptyState();
+    }
+  }
+
+  function setState(state) {
+    try {
+      localStorage.setItem(KEY, JSON.stringify(state));
+      return true;
+    } catch (e) {
+      console.warn("[TEP] Weekly plan save failed", e);
+      return false;
+    }
+  }
+
+  // ----------------------------
+  // Priority math
+  // ----------------------------
+  function clampScale(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.max(1, Math.min(3, Math.round(n))) : 2;
+  }
+
+  // impact/urgency/effort are 1–3 (effort: 1 small, 3 large).
+  // Impact and urgency increase the score; effort reduces it. Range 1–10.
+  function computePriorityScore(impact, urgency, effort) {
+    const raw = impact * 2 + urgency * 2 - effort;
+    const x = Number.isFinite(raw) ? raw : 1;
+    return Math.max(1, Math.min(10, x));
+  }
+
+  function bandFromScore(score) {
+    if (score >= 8) return "p0";
+    if (score >= 6) return "p1";
+    return "p2";
+  }
+
+  // ----------------------------
+  // Dates
+  // ----------------------------
+  function weekStartDate(state) {
+    const iso = state?.settings?.weekStart;
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || "");
+    if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+
+    const d = new Date();
+    const day = d.getDay(); // 0=Sun
+    d.setDate(d.getDate() + (day === 0 ? -6 : 1 - day));
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+
+  // "2026-10-21" -> "wed" when it falls in the planner's week, else "none".
+  // Day keys pass straight through.
+  function dayForDate(value, state) {
+    if (!value || value === "none") return "none";
+    if (WEEK_DAYS.includes(value)) return value;
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!m) return "none";
+
+    const start = weekStartDate(state || getState());
+    const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    const offset = Math.round((date - start) / 86400000);
+    return offset >= 0 && offset < 7 ? WEEK_DAYS[offset] : "none";
+  }
+
+  function makeId() {
+    try {
+      if (window.crypto && crypto.getRandomValues) {
+        const a = new Uint32Array(2);
+        crypto.getRandomValues(a);
+        return `t_${a[0].toString(16)}${a[1].toString(16)}`;
+      }
+    } catch (e) {}
+    return `t_${Math.random().toString(16).slice(2)}${Date.now().toString(16)}`;
+  }
+
+  // ----------------------------
+  // Hand-ins from other tools
+  // ----------------------------
+  // items: [{ sourceId, title, notes?, category?, impact, urgency, effort, due?, day? }]
+  // due may be a day key or an ISO date. Returns { added, updated }.
+  function addTasks(items, source) {
+    const state = getState();
+    const result = { added: 0, updated: 0 };
+
+    (items || []).forEach((item) => {
+      const title = String(item?.title || "").trim();
+      if (!title) return;
+
+      const impact = clampScale(item.impact);
+      const urgency = clampScale(item.urgency);
+      const effort = clampScale(item.effort);
+      const priorityScore = computePriorityScore(impact, urgency, effort);
+      const fields = {
+        title,
+        notes: String(item.notes || "").trim(),
+        due: dayForDate(item.due, state),
+        impact,
+        urgency,
+        effort,
+        priorityScore,
+        priorityBand: bandFromScore(priorityScore),
+      };
+
+      const existing = item.sourceId
+        ? state.tasks.find((t) => t.source === source && t.sourceId === item.sourceId)
+        : null;
+
+      if (existing) {
+        Object.assign(existing, fields);
+        result.updated++;
+        return;
+      }
+
+      state.tasks.push({
+        id: makeId(),
+        ...fields,
+        category: item.category || "none",
+        day: DAY_ORDER.includes(item.day) ? item.day : "backlog",
+        source,
+        sourceId: item.sourceId || null,
+      });
+      result.added++;
+    });
+
+    if (result.added || result.updated) setState(state);
+    return result;
+  }
+
+  // items: [{ id, title, kind: "delegate" | "drop", to?, notes? }]
+  function setHandoff(source, items) {
+    const state = getState();
+    const mine = (items || [])
+      .filter((item) => item && String(item.title || "").trim() && HANDOFF_KINDS.includes(item.kind))
+      .map((item) => ({
+        id: item.id || makeId(),
+        source,
+        title: String(item.title).trim(),
+        kind: item.kind,
+        to: String(item.to || "").trim(),
+        notes: String(item.notes || "").trim(),
+      }));
+
+    state.handoff = state.handoff.filter((h) => h.source !== source).concat(mine);
+    setState(state);
+    return state.handoff;
+  }
+
+  // ----------------------------
+  // Boundary script
+  // ----------------------------
+  function listTitles(items, format) {
+    const shown = items.slice(0, SCRIPT_LIST_MAX).map(format);
+    const more = items.length - shown.length;
+    return shown.join(", ") + (more > 0 ? ` (+${more} more)` : "");
+  }
+
+  // The sentences a boundary script says about the handoff list (may be empty).
+  function handoffLines(handoff) {
+    const list = Array.isArray(handoff) ? handoff : [];
+    const delegated = list.filter((h) => h.kind === "delegate");
+    const dropped = list.filter((h) => h.kind === "drop");
+    const lines = [];
+
+    if (delegated.length) {
+      lines.push(`To protect that, I’m handing over: ${listTitles(delegated, (h) => `“${h.title}”${h.to ? ` (to ${h.to})` : ""}`)}.`);
+    }
+    if (dropped.length) {
+      lines.push(`I’m not picking up this week: ${listTitles(dropped, (h) => `“${h.title}”`)}. Shout today if any of these genuinely needs to stay.`);
+    }
+    return lines;
+  }
+
+  function buildBoundaryScript(outcomes, tasks, worstDay, handoff) {
+    const top = tasks
+      .slice()
+      .sort((a, b) => (b.priorityScore || 0) - (a.priorityScore || 0))
+      .filter((t) => (t.day || "backlog") !== "backlog")
+      .slice(0, 3);
+
+    const oLine = outcomes.length
+      ? `My week is anchored on ${Math.min(3, outcomes.length)} outcome(s): ${outcomes.slice(0, 3).map((o) => `“${o}”`).join(", ")}.`
+      : `My week is anchored on 1–2 delivery outcomes. I’ll confirm the final priority order today.`;
+
+    const topLine = top.length
+      ? `Top delivery tasks placed: ${top.map((t) => `${DAY_LABELS[t.day] || t.day}`).join(", ")}.`
+      : `I’ve placed delivery tasks into the week to protect focus time.`;
+
+    const overloadLine = tasks.filter((t) => (t.day || "backlog") === worstDay).length >= 6
+      ? `Note: ${DAY_LABELS[worstDay]} is currently heavy, so any new urgent requests will need a trade-off.`
+      : `If something urgent appears, I can take it — but I’ll need an explicit trade-off (what moves / drops).`;
+
+    const handoffText = handoffLines(handoff);
+
+    return [
+      `“Sharing my weekly priorities so expectations stay clean.”`,
+      ``,
+      oLine,
+      topLine,
+      ...(handoffText.length ? [``, ...handoffText] : []),
+      ``,
+      overloadLine,
+      `If there’s no trade-off, the risk is missed delivery rather than “busyness”.`,
+    ].join("\n");
+  }
+
+  window.TEPWeeklyPlan = {
+    KEY,
+    DAY_LABELS,
+    DAY_ORDER,
+    getState,
+    setState,
+    computePriorityScore,
+    bandFromScore,
+    dayForDate,
+    addTasks,
+    setHandoff,
+    handoffLines,
+    buildBoundaryScript,
+  };
+})();
@@ -0,0 +1,192 @@
+// sw.js — The Employee Playbook (static HTML + Supabase CDN)
+// Service worker: keeps the site usable offline. Registered by assets/offline.js; it lives
+// at the site root so its scope covers every page.
+//
+// Precached on install: the pages in PAGES, the files in ASSETS and the CDN files in
+// CDN_FILES (Supabase bundles, Font Awesome). Bump VERSION when either list changes;
+// old caches are deleted on activate.
+//
+// Strategies:
+//   pages + same-origin files  network first (NETWORK_TIMEOUT_MS), cached copy when offline
+//                              or the network stalls; every good response refreshes the cache
+//   CDN files + fonts          cached copy first, refreshed in the background
+//   everything else            not handled (Supabase API calls go straight to the network;
+//                              toolState.js / playbook.js queue saves while offline)
+//
+// vercel.json serves clean URLs, so "/checklist-capacity.html" and "/checklist-capacity"
+// are the same page: page responses are cached under the clean path and redirects are
+// unwrapped before they are stored (a redirected response can't answer a navigation).
+
+const VERSION = "v4";
+const CACHE = "tep-offline-" + VERSION;
+const NETWORK_TIMEOUT_MS = 4000;
+
+const PAGES = [
+  "about-us", "assessment-burnout-and-capacity", "assessment-conflict-risk-radar",
+  "assessment-presence-calibration", "calculator-multi-factor-risk",
+  "category-career-playbook", "category-clarity-priorities-and-direction",
+  "category-confidence-presence-influence", "category-expectation-burnout-and-capacity",
+  "category-hr-and-formal-processes",
+  "category-manager-relationship-and-leadership-style",
+  "category-workplace-dynamics-and-politics", "checklist-boundary-strength",
+  "checklist-burnout-detection", "checklist-capacity", "checklist-decision-clarity",
+  "checklist-expectation-alignment", "checklist-hr-and-process-safety",
+  "checklist-manager-pattern-identifier", "checklist-micromanagement",
+  "checklist-performance-review-prep", "checklist-performance-review-preparation",
+  "checklist-presence-upgrade", "checklist-priority-reset", "checklist-team-dysfunction",
+  "checklist-workload-clarity", "create-account", "dashboard", "forgot-password",
+  "form-escalation-documentation", "framework-career-anchoring",
+  "framework-credibility-and-positioning", "framework-decision-clarity",
+  "framework-evidence-and-documentation", "framework-micromanagement-to-autonomy",
+  "framework-negotiation", "framework-risk-and-safety", "framework-situational-analysis",
+  "framework-skills-development", "framework-strategic-interpretation",
+  "guide-boundaries", "guide-emotional-preparation", "guide-strategic-conversations",
+  "guide-toxic-behaviour-response", "help-centre", "index", "map-political-landscape",
+  "map-stakeholder", "map-team-tension", "matrix-eisenhower", "my-playbook",
+  "plan-burnout-prevention", "plan-exit-and-reputation", "plan-formal-escalation",
+  "plan-personal-action", "plan-priority-reset", "plan-reputation-management",
+  "plan-sustainable-pace", "planner-pay-increase-negotiation", "planner-time-blocking",
+  "planner-weekly-priority", "playbook-career-advancement", "playbook-priority-reset",
+  "privacy-and-security", "profile", "review-meeting-effectiveness",
+  "review-quarterly-workload", "routine-presence-90-seconds-reset", "script-library",
+  "sign-in", "template-decision-record", "terms-and-conditions", "the-coach",
+  "the-coach-member", "the-lens", "the-pricing", "the-shift", "the-toolkit",
+  "update-password", "worksheet-priority-audit",
+];
+
+const ASSETS = [
+  "favicon.ico", "accessControl.js", "accountData.js", "auth.js", "authLoader.js",
+  "authUI.js", "calendar.js", "coachEngine.js", "coachSessions.js", "dashboardData.js",
+  "evidenceLog.js", "export.js", "offline.js", "payBenchmarks.js", "peopleDirectory.js", "playbook.js",
+  "redirect.js", "scoreHistory.js", "scriptLibraryData.js", "search.js", "searchIndex.js",
+  "supabase-config.js", "supabaseClient.js", "telemetry.js", "toolState.js", "ukTax.js", "vault.js",
+  "weeklyPlan.js",
+  "img/favicon.png", "img/logo.png", "img/logo-dark.png",
+].map((file) => "/assets/" + file);
+
+const CDN_FILES = [
+  "https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2",
+  "https://cdn.jsdelivr.net/npm/@supabase/supabase-js/+esm",
+  "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css",
+];
+
+const CDN_HOSTS = ["cdn.jsdelivr.net", "cdnjs.cloudflare.com", "fonts.googleapis.com", "fonts.gstatic.com"];
+
+const OFFLINE_PAGE = `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Offline | The Employee Playbook</title>
+<style>
+  body{margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;padding:24px;
+    font-family:Inter,-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;background:#F8F9FA;color:#212529}
+  main{max-width:440px;text-align:center}
+  h1{font-size:22px;margin:0 0 10px}
+  p{color:#6C757D;line-height:1.6;margin:0 0 20px}
+  a{display:inline-block;padding:10px 18px;border-radius:10px;background:#7B5FC4;color:#fff;text-decoration:none;font-weight:600}
+</style></head>
+<body><main>
+  <h1>You’re offline</h1>
+  <p>This page hasn’t been saved on this device yet. Tools you’ve opened before still work offline, and anything you save syncs when you’re back online.</p>
+  <a href="/dashboard">Go to your dashboard</a>
+</main></body></html>`;
+
+// ----------------------------
+// Helpers
+// ----------------------------
+// "/x.html", "/x" and "/x/" -> "/x"; "/" and "/index.html" -> "/".
+function pageKey(url) {
+  let path = url.pathname.replace(/\.html$/i, "").replace(/\/+$/, "");
+  if (!path || path === "/index") path = "/";
+  return new URL(path, self.location.origin).href;
+}
+
+async function storable(response) {
+  if (!response.redirected) return response;
+  const body = await response.blob();
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+async function put(key, response) {
+  if (!response || !(response.ok || response.type === "opaque")) return;
+  const cache = await caches.open(CACHE);
+  await cache.put(key, await storable(response));
+}
+
+// Resolves with the network response, or null if it fails or takes too long
+// (the fetch carries on and still refreshes the cache when it lands).
+function fromNetwork(request, key, event) {
+  const fetched = fetch(request).then(async (response) => {
+    if (response.ok) await put(key, response.clone());
+    return response;
+  });
+  event.waitUntil(fetched.catch(() => {}));
+  const timeout = new Promise((resolve) => setTimeout(() => resolve(null), NETWORK_TIMEOUT_MS));
+  return Promise.race([fetched.catch(() => null), timeout]);
+}
+
+// ----------------------------
+// Strategies
+// ----------------------------
+async function networkFirst(event, key, fallback) {
+  const response = await fromNetwork(event.request, key, event);
+  if (response) return response;
+  const cached = await caches.match(key, { ignoreSearch: true });
+  if (cached) return cached;
+  return fallback ? fallback() : Response.error();
+}
+
+async function cacheFirst(event) {
+  const cached = await caches.match(event.request);
+  const refresh = fetch(event.request)
+    .then((response) => put(event.request, response.clone()).then(() => response))
+    .catch(() => null);
+  event.waitUntil(refresh);
+  return cached || (await refresh) || Response.error();
+}
+
+function offlinePage() {
+  return new Response(OFFLINE_PAGE, { status: 503, headers: { "Content-Type": "text/html; charset=utf-8" } });
+}
+
+// ----------------------------
+// Lifecycle
+// ----------------------------
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const pages = PAGES.map((slug) => ({ request: "/" + slug + ".html", key: pageKey(new URL("/" + slug, self.location.origin)) }));
+      const files = ASSETS.map((path) => ({ request: path, key: path }));
+      const cdn = CDN_FILES.map((url) => ({ request: new Request(url, { mode: "cors" }), key: url }));
+      // One missing file shouldn't stop the rest being cached; it is picked up on first use.
+      await Promise.allSettled(
+        pages.concat(files, cdn).map(({ request, key }) =>
+          fetch(request, { cache: "reload" }).then((response) => put(key, response))
+        )
+      );
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(keys.filter((k) => k.startsWith("tep-offline-") && k !== CACHE).map((k) => caches.delete(k)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(event, pageKey(url), offlinePage));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(event, url.origin + url.pathname));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(event));
+  }
+});